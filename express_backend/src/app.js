@@ -79,7 +79,8 @@ app.use('/docs', swaggerUi.serve, (req, res, next) => {
   }
 });
 
-// Parse JSON request body
+// Parse JSON request body; event batches get the same 5mb limit as NDJSON batches (see routes/events.js)
+app.use('/api/events/batch', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Mount routes
@@ -88,9 +89,13 @@ app.use('/', routes);
 // Error handling middleware
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
+  // Body parser failures (oversized or malformed bodies) are client errors
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   // eslint-disable-next-line no-console
   console.error(err.stack);
-  res.status(500).json({
+  return res.status(500).json({
     status: 'error',
     message: 'Internal Server Error',
   });
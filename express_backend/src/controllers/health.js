@@ -7,7 +7,7 @@ class HealthController {
      * Health endpoint handler.
      * Purpose: returns service health status regardless of MongoDB connectivity.
      * Params: Express Request, Response
-     * Returns: 200 JSON { status, message, timestamp, environment, mongo, socket, process }
+     * Returns: 200 JSON { status, message, timestamp, environment, mongo, socket, metrics_cache, process }
      */
     const healthStatus = healthService.getStatus();
     return res.status(200).json(healthStatus);
@@ -17,7 +17,7 @@ function extractToken(req) {
 }
 
 /**
- * Decode and verify JWT using shared secret.
+ * Decode and verify JWT from the request using shared secret.
  * Returns standardized principal shape: { id, username, email, roles[], role? }
  */
 function verifyAndNormalizeToken(req) {
@@ -27,6 +27,15 @@ function verifyAndNormalizeToken(req) {
     err.statusCode = 401;
     throw err;
   }
+  return verifyJwt(token);
+}
+
+// PUBLIC_INTERFACE
+function verifyJwt(token) {
+  /**
+   * Verify a raw JWT string with the shared secret and return the normalized principal.
+   * Used by HTTP middleware and the Socket.io handshake. Throws on missing config or invalid token.
+   */
   const secret = process.env.JWT_SECRET;
   if (!secret) {
     const err = new Error('JWT not configured');
@@ -44,6 +53,14 @@ function verifyAndNormalizeToken(req) {
   };
 }
 
+// PUBLIC_INTERFACE
+function isAdminPrincipal(principal) {
+  /** True when the normalized principal carries the admin role. */
+  if (!principal) return false;
+  const roles = principal.roles || [];
+  return principal.role === 'admin' || roles.includes('admin');
+}
+
 // PUBLIC_INTERFACE
 function requireAuth(req, res, next) {
   /** Express middleware to require a valid JWT (user or admin) and attach principal to req.user */
@@ -56,6 +73,13 @@ function requireAuth(req, res, next) {
   }
 }
 
+// PUBLIC_INTERFACE
+function optionalAuth(req, res, next) {
+  /** Express middleware that attaches the principal to req.user when a Bearer token is sent; invalid tokens get 401. */
+  if (!extractToken(req)) return next();
+  return requireAuth(req, res, next);
+}
+
 // PUBLIC_INTERFACE
 function requireAdmin(req, res, next) {
   /** Express middleware to require admin role after requireAuth */
@@ -88,6 +112,9 @@ function requireAdminAuth(req, res, next) {
 
 module.exports = {
   requireAuth,
+  optionalAuth,
   requireAdmin,
   requireAdminAuth,
+  verifyJwt,
+  isAdminPrincipal,
 };
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Errors carrying an HTTP status. Services and routes throw them with httpError()/badRequest(); route handlers
+ * pass caught errors to handleHttpError(), which answers client errors as { error } and forwards the rest to the
+ * app's error middleware (500).
+ */
+
+// PUBLIC_INTERFACE
+function httpError(statusCode, message, extra = {}) {
+  /** Error with statusCode and any extra fields (e.g. retry_after) copied onto it. */
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+}
+
+// PUBLIC_INTERFACE
+function badRequest(message) {
+  /** httpError(400, message). */
+  return httpError(400, message);
+}
+
+// PUBLIC_INTERFACE
+function handleHttpError(err, res, next) {
+  /**
+   * Respond to a 4xx error (statusCode 400-499, or a Mongoose ValidationError as 400) with { error: message };
+   * forward anything else to next().
+   */
+  if (err && err.name === 'ValidationError') {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err && err.statusCode >= 400 && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  return next(err);
+}
+
+module.exports = {
+  httpError,
+  badRequest,
+  handleHttpError,
+};
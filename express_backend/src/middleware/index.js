@@ -1,10 +1,17 @@
 'use strict';
 
-const { requireAuth, requireAdmin, requireAdminAuth } = require('./auth');
+const { requireAuth, optionalAuth, requireAdmin, requireAdminAuth, verifyJwt, isAdminPrincipal } = require('./auth');
+const { httpError, badRequest, handleHttpError } = require('./errors');
 
 // This file will export middleware as the application grows
 module.exports = {
   requireAuth,
+  optionalAuth,
   requireAdmin,
   requireAdminAuth,
+  verifyJwt,
+  isAdminPrincipal,
+  httpError,
+  badRequest,
+  handleHttpError,
 };
@@ -34,6 +34,24 @@ const AnswerSchema = new mongoose.Schema(
       type: Boolean,
       required: true,
     },
+    // 1 for the user's first answer to the question, 2 for the first retry, ...
+    // Absent on answers recorded before attempts were tracked.
+    attempt_number: {
+      type: Number,
+      required: false,
+      min: 1,
+    },
+    // Set when the answer was given inside a quiz session
+    quiz_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: false,
+    },
+    quiz_session_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizSession',
+      required: false,
+    },
     created_at: {
       type: Date,
       default: () => new Date(),
@@ -55,12 +73,21 @@ const AnswerSchema = new mongoose.Schema(
  * - Per question/time queries
  * - created_at desc for recent queries
  * - user_id for distinct user aggregations
+ * - quiz_id for quiz analytics
+ * - (question_id, user_id, attempt_number) for the attempt policy
  */
 AnswerSchema.index({ question_id: 1, created_at: -1 });
 // Efficient time range scans
 AnswerSchema.index({ created_at: -1 });
 // User-based aggregations and lookups
 AnswerSchema.index({ user_id: 1, created_at: -1 });
+// Quiz analytics
+AnswerSchema.index({ quiz_id: 1, created_at: -1 }, { partialFilterExpression: { quiz_id: { $exists: true } } });
+// Attempt policy lookups; unique attempt numbers reject concurrent duplicate submissions
+AnswerSchema.index(
+  { question_id: 1, user_id: 1, attempt_number: 1 },
+  { unique: true, partialFilterExpression: { attempt_number: { $gt: 0 } } }
+);
 
 const Answer = mongoose.model('Answer', AnswerSchema);
 
@@ -0,0 +1,23 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Answer = require('./Answer');
+
+/**
+ * AnswerArchive holds answers the retention job moved out of `answers` (RETENTION_ANSWERS_DAYS, archive mode),
+ * in the same shape and with the same indexes. The attempt policy counts them, so purging old answers never
+ * gives users their attempts back; QuizSession.responses[].answer_id of archived answers points here.
+ */
+const AnswerArchiveSchema = Answer.schema.clone();
+
+/**
+ * Aggregation stages selecting the answers matching `match` from both `answers` and the archive. Per-user,
+ * per-question and quiz reports start their Answer pipelines with these, so archiving does not change them.
+ */
+AnswerArchiveSchema.statics.withArchived = function withArchived(match) {
+  return [{ $match: match }, { $unionWith: { coll: this.collection.collectionName, pipeline: [{ $match: match }] } }];
+};
+
+const AnswerArchive = mongoose.model('AnswerArchive', AnswerArchiveSchema, `${Answer.collection.collectionName}_archive`);
+
+module.exports = AnswerArchive;
@@ -2,6 +2,11 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Event is the former store of client-posted events (username + event_type), kept read-only so existing
+ * rows can be copied into UserEvent with eventIngestion.migrateLegacyEvents (npm run migrate:events).
+ * Nothing writes to it any more.
+ */
 const EventSchema = new mongoose.Schema(
   {
     username: {
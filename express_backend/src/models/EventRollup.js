@@ -0,0 +1,43 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const GranularityEnum = ['minute', 'hour', 'day'];
+
+/**
+ * EventRollup is a pre-aggregated UserEvent count: events of one type whose timestamp falls in
+ * [bucket, bucket + granularity). Buckets are UTC-aligned. Maintained incrementally by services/rollups.js
+ * as events are stored, and rebuilt from raw events by the rollup backfill.
+ */
+const EventRollupSchema = new mongoose.Schema(
+  {
+    granularity: {
+      type: String,
+      enum: GranularityEnum,
+      required: true,
+    },
+    bucket: {
+      type: Date,
+      required: true,
+    },
+    event_type: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+  }
+);
+
+// One document per granularity, type and bucket; also serves range reads across all types
+EventRollupSchema.index({ granularity: 1, bucket: 1, event_type: 1 }, { unique: true });
+
+const EventRollup = mongoose.model('EventRollup', EventRollupSchema);
+
+module.exports = EventRollup;
@@ -0,0 +1,63 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * EventType is an entry of the event type registry: the event_type values UserEvent and Event writes may use.
+ * meta_schema optionally constrains UserEvent.meta with a JSON schema (see services/jsonSchema.js).
+ * Built-in types are the ones the server itself writes; they cannot be deleted.
+ */
+const EventTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 64,
+      match: [/^[a-z][a-z0-9_.:-]*$/, 'name must start with a letter and contain only a-z, 0-9, _ . : -'],
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1024,
+      default: '',
+    },
+    meta_schema: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    built_in: {
+      type: Boolean,
+      default: false,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+    },
+    created_at: {
+      type: Date,
+      default: () => new Date(),
+      immutable: true,
+    },
+    updated_at: {
+      type: Date,
+      default: () => new Date(),
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+    minimize: false,
+  }
+);
+
+EventTypeSchema.pre('validate', function (next) {
+  this.updated_at = new Date();
+  return next();
+});
+
+const EventType = mongoose.model('EventType', EventTypeSchema);
+
+module.exports = EventType;
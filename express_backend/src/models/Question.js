@@ -5,6 +5,7 @@ const mongoose = require('mongoose');
 /**
  * Question model represents a multiple-choice question (MCQ) with options.
  * Each question has text, an array of options, and an index of the correct option.
+ * Questions are never hard-deleted; archived_at marks retired questions.
  */
 const OptionSchema = new mongoose.Schema(
   {
@@ -75,6 +76,22 @@ const QuestionSchema = new mongoose.Schema(
       type: Date,
       default: () => new Date(),
     },
+    // Per-question override of the global answer attempt policy (null = inherit ANSWER_MAX_ATTEMPTS / ANSWER_COOLDOWN_SECONDS)
+    attempt_policy: {
+      max_attempts: { type: Number, min: 0, default: null },
+      cooldown_seconds: { type: Number, min: 0, default: null },
+    },
+    // Soft archive: archived questions are hidden from listings and cannot be answered,
+    // but stay in the collection so historical Answer rows still resolve.
+    archived_at: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    archived_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+    },
   },
   {
     versionKey: false,
@@ -93,6 +110,11 @@ QuestionSchema.pre('validate', function (next) {
   return next();
 });
 
+// Full-text search on question text ($text queries in GET /api/questions)
+QuestionSchema.index({ text: 'text' });
+// Stable listing order for cursor pagination over active questions
+QuestionSchema.index({ archived_at: 1, created_at: -1, _id: -1 });
+
 const Question = mongoose.model('Question', QuestionSchema);
 
 module.exports = Question;
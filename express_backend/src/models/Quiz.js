@@ -0,0 +1,82 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Quiz groups questions into an ordered, optionally timed assessment.
+ * - question_ids keeps the presentation order
+ * - time_limit_seconds bounds each session (null = untimed)
+ * - opens_at / closes_at bound when sessions may be started (null = unbounded)
+ */
+const QuizSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 1,
+      maxlength: 256,
+    },
+    description: {
+      type: String,
+      required: false,
+      trim: true,
+      maxlength: 4096,
+    },
+    question_ids: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length >= 1 && arr.length <= 500
+          && new Set(arr.map(String)).size === arr.length,
+        message: 'A quiz must have between 1 and 500 distinct questions',
+      },
+      required: true,
+    },
+    time_limit_seconds: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    opens_at: {
+      type: Date,
+      default: null,
+    },
+    closes_at: {
+      type: Date,
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false,
+    },
+    created_at: {
+      type: Date,
+      default: () => new Date(),
+      immutable: true,
+    },
+    updated_at: {
+      type: Date,
+      default: () => new Date(),
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+  }
+);
+
+QuizSchema.index({ created_at: -1, _id: -1 });
+
+// Ensure the window is ordered
+QuizSchema.pre('validate', function (next) {
+  if (this.opens_at && this.closes_at && this.opens_at.getTime() >= this.closes_at.getTime()) {
+    this.invalidate('closes_at', 'opens_at must be before closes_at');
+  }
+  this.updated_at = new Date();
+  return next();
+});
+
+const Quiz = mongoose.model('Quiz', QuizSchema);
+
+module.exports = Quiz;
@@ -0,0 +1,113 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * QuizSession is one user's run through a Quiz.
+ * Responses are embedded (one per question) so a session can be scored without reading answers;
+ * each response also has a matching Answer document carrying quiz_id / quiz_session_id.
+ *
+ * status: in_progress -> completed (finished in time) | expired (time limit or quiz window passed).
+ * Unfinished sessions past expires_at are expired lazily when next touched.
+ */
+const ResponseSchema = new mongoose.Schema(
+  {
+    question_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      required: true,
+    },
+    answer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Answer',
+      required: false,
+    },
+    selectedOptionIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    isCorrect: {
+      type: Boolean,
+      required: true,
+    },
+    answered_at: {
+      type: Date,
+      default: () => new Date(),
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const QuizSessionSchema = new mongoose.Schema(
+  {
+    quiz_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    username: {
+      type: String,
+      required: false,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['in_progress', 'completed', 'expired'],
+      default: 'in_progress',
+    },
+    total_questions: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    responses: {
+      type: [ResponseSchema],
+      default: [],
+    },
+    correct_count: {
+      type: Number,
+      default: 0,
+    },
+    score: {
+      type: Number,
+      default: null,
+    },
+    started_at: {
+      type: Date,
+      default: () => new Date(),
+      immutable: true,
+    },
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+  }
+);
+
+// At most one running session per user and quiz
+QuizSessionSchema.index(
+  { quiz_id: 1, user_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+QuizSessionSchema.index({ user_id: 1, started_at: -1 });
+QuizSessionSchema.index({ quiz_id: 1, started_at: -1 });
+
+const QuizSession = mongoose.model('QuizSession', QuizSessionSchema);
+
+module.exports = QuizSession;
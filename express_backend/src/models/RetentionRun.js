@@ -0,0 +1,69 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * RetentionRun records one purge of a collection by the retention job (services/retention.js):
+ * which rows were removed (everything older than cutoff), how, and with what outcome.
+ */
+const RetentionRunSchema = new mongoose.Schema(
+  {
+    target: {
+      type: String,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ['delete', 'archive', 'ttl'],
+      required: true,
+    },
+    days: {
+      type: Number,
+      required: true,
+    },
+    cutoff: {
+      type: Date,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule',
+    },
+    compacted_days: {
+      type: Number,
+      default: 0,
+    },
+    deleted: {
+      type: Number,
+      default: 0,
+    },
+    archived: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    started_at: {
+      type: Date,
+      required: true,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+  }
+);
+
+// Latest run per collection (admin retention endpoint)
+RetentionRunSchema.index({ target: 1, started_at: -1 });
+
+const RetentionRun = mongoose.model('RetentionRun', RetentionRunSchema);
+
+module.exports = RetentionRun;
@@ -0,0 +1,44 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * RollupState records how far a rollup collection has been rebuilt from raw data (one document per rollup,
+ * keyed by name). Rollups are only read once a complete backfill has been recorded here, and stop being read
+ * when live increments were lost (backfilled_at is cleared until the next complete backfill).
+ */
+const RollupStateSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    backfilled_at: {
+      type: Date,
+      default: null,
+    },
+    backfilled_from: {
+      type: Date,
+      default: null,
+    },
+    // UTC day the last complete backfill ran on. Only closed days are backfilled, so this day's rollups miss
+    // events stored before rollups were maintained and metrics count it from raw events.
+    partial_day: {
+      type: Date,
+      default: null,
+    },
+    // Set when increments were lost (cleared by the next complete backfill)
+    stale_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: false,
+  }
+);
+
+const RollupState = mongoose.model('RollupState', RollupStateSchema);
+
+module.exports = RollupState;
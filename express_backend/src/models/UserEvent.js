@@ -1,10 +1,15 @@
 'use strict';
 
 const mongoose = require('mongoose');
+const eventTypes = require('../services/eventTypes');
 
 /**
- * UserEvent stores user-related events for metrics (e.g., signup, login, answer, click, logout).
- * Includes user reference and username for quick lookups.
+ * UserEvent is the canonical analytics event store; every producer writes through services/eventIngestion.
+ * - server: events the server logs itself (signup, login, answer, quiz_start / quiz_answer / quiz_finish, ...)
+ * - api: events posted by clients to /api/events and /api/events/batch
+ * - legacy: rows migrated from the former `events` collection (legacy_event_id points at the source row)
+ * Includes user reference and username for quick lookups; at least one of them is set.
+ * event_type must be registered in the event type registry (EventType); meta must match the type's meta_schema.
  */
 const UserEventSchema = new mongoose.Schema(
   {
@@ -23,18 +28,37 @@ const UserEventSchema = new mongoose.Schema(
     event_type: {
       type: String,
       required: true,
-      enum: ['signup', 'login', 'answer', 'click', 'logout'],
       index: true,
       trim: true,
+      validate: {
+        validator: (value) => eventTypes.has(value),
+        message: 'Unknown event_type "{VALUE}"',
+      },
     },
     timestamp: {
       type: Date,
       default: () => new Date(),
       index: true,
     },
+    source: {
+      type: String,
+      enum: ['server', 'api', 'legacy'],
+      default: 'server',
+    },
+    legacy_event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+    },
     meta: {
       type: Object,
       default: {},
+      validate: {
+        validator(value) {
+          const error = eventTypes.has(this.event_type) ? eventTypes.validate(this.event_type, value) : null;
+          if (error) throw new Error(error);
+          return true;
+        },
+      },
     },
   },
   {
@@ -43,9 +67,26 @@ const UserEventSchema = new mongoose.Schema(
   }
 );
 
+UserEventSchema.pre('validate', function (next) {
+  if (!this.user_id && !this.username) {
+    this.invalidate('username', 'user_id or username is required');
+  }
+  return next();
+});
+
 // Compound index for frequent analytics queries by time and type
 UserEventSchema.index({ event_type: 1, timestamp: -1 });
 UserEventSchema.index({ user_id: 1, timestamp: -1 });
+// Quiz metrics (quiz_start / quiz_answer / quiz_finish carry meta.quiz_id)
+UserEventSchema.index(
+  { 'meta.quiz_id': 1, event_type: 1, timestamp: -1 },
+  { partialFilterExpression: { 'meta.quiz_id': { $exists: true } } }
+);
+
+// Makes the legacy events migration idempotent
+UserEventSchema.index({ legacy_event_id: 1 }, { unique: true, partialFilterExpression: { legacy_event_id: { $exists: true } } });
+// Client event feed (GET /api/events)
+UserEventSchema.index({ source: 1, timestamp: -1 });
 
 const UserEvent = mongoose.model('UserEvent', UserEventSchema);
 
@@ -4,8 +4,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const UserEvent = require('../models/UserEvent');
-const { getIO } = require('../socket');
+const eventIngestion = require('../services/eventIngestion');
 
 const router = express.Router();
 
@@ -106,26 +105,12 @@ router.post('/signup', async (req, res, next) => {
     const saved = await doc.save();
 
     // Log user_event for signup
-    try {
-      const ue = await new UserEvent({
-        user_id: saved._id,
-        username: saved.username,
-        event_type: 'signup',
-        meta: { ua: req.get('user-agent') || '' },
-      }).save();
-      // Emit granular and aggregate metrics updates
-      try {
-        const io = getIO();
-        io.emit('user_event_created', ue.toObject());
-        io.emit('metrics_update', { type: 'signup' });
-      } catch (e) {
-        // eslint-disable-next-line no-console
-        console.warn('[Socket.io] emit metrics_update failed:', e.message);
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn('[UserEvent] signup log failed:', e.message);
-    }
+    await eventIngestion.log({
+      user_id: saved._id,
+      username: saved.username,
+      event_type: 'signup',
+      meta: { ua: req.get('user-agent') || '' },
+    });
 
     const token = signToken(saved);
     return res.status(201).json({ user: toPublicUser(saved), token });
@@ -182,25 +167,12 @@ router.post('/login', async (req, res, next) => {
     }
 
     // Log user_event for login
-    try {
-      const ue = await new UserEvent({
-        user_id: user._id,
-        username: user.username,
-        event_type: 'login',
-        meta: { ua: req.get('user-agent') || '' },
-      }).save();
-      try {
-        const io = getIO();
-        io.emit('user_event_created', ue.toObject());
-        io.emit('metrics_update', { type: 'login' });
-      } catch (e) {
-        // eslint-disable-next-line no-console
-        console.warn('[Socket.io] emit metrics_update failed:', e.message);
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn('[UserEvent] login log failed:', e.message);
-    }
+    await eventIngestion.log({
+      user_id: user._id,
+      username: user.username,
+      event_type: 'login',
+      meta: { ua: req.get('user-agent') || '' },
+    });
 
     const token = signToken(user);
     return res.status(200).json({ user: toPublicUser(user), token });
@@ -0,0 +1,195 @@
+'use strict';
+
+const express = require('express');
+const { requireAuth, requireAdmin, handleHttpError } = require('../middleware');
+const eventTypes = require('../services/eventTypes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: EventTypes
+ *   description: Registry of event types accepted by /api/events and the user event log
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventType:
+ *       type: object
+ *       properties:
+ *         name: { type: string, example: video_play }
+ *         description: { type: string }
+ *         meta_schema:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             Optional JSON schema for UserEvent.meta. Supported keywords: type, enum, const, properties, required,
+ *             additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum.
+ *         built_in: { type: boolean, description: Written by the server itself; cannot be deleted }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/event-types:
+ *   get:
+ *     summary: List registered event types
+ *     tags: [EventTypes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered event types sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventType'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Register an event type (admin only)
+ *     tags: [EventTypes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, description: 'Lowercase; letters, digits, _ . : -' }
+ *               description: { type: string }
+ *               meta_schema: { type: object }
+ *     responses:
+ *       201:
+ *         description: Created event type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventType'
+ *       400:
+ *         description: Invalid name or meta_schema
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       409:
+ *         description: Name already registered
+ */
+router.get('/event-types', requireAuth, (req, res) => res.status(200).json(eventTypes.list()));
+
+router.post('/event-types', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const entry = await eventTypes.create(req.body || {}, req.user);
+    return res.status(201).json(entry);
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/event-types/{name}:
+ *   get:
+ *     summary: Get an event type
+ *     tags: [EventTypes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Event type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventType'
+ *       404:
+ *         description: Not registered
+ *   patch:
+ *     summary: Update an event type's description or meta_schema (admin only)
+ *     description: meta_schema null removes the schema. Types cannot be renamed.
+ *     tags: [EventTypes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description: { type: string }
+ *               meta_schema: { type: object, nullable: true }
+ *     responses:
+ *       200:
+ *         description: Updated event type
+ *       400:
+ *         description: Invalid body
+ *       404:
+ *         description: Not registered
+ *   delete:
+ *     summary: Unregister an event type (admin only)
+ *     description: Stored events keep their type; new writes using it are rejected. Built-in types cannot be deleted.
+ *     tags: [EventTypes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Removed event type
+ *       404:
+ *         description: Not registered
+ *       409:
+ *         description: Built-in type
+ */
+router.get('/event-types/:name', requireAuth, async (req, res, next) => {
+  try {
+    await eventTypes.refreshIfUnknown([req.params.name]);
+    const entry = eventTypes.get(req.params.name);
+    if (!entry) return res.status(404).json({ error: 'Event type not found' });
+    return res.status(200).json(entry);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.patch('/event-types/:name', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const entry = await eventTypes.update(req.params.name, req.body || {});
+    return res.status(200).json(entry);
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+router.delete('/event-types/:name', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const entry = await eventTypes.remove(req.params.name);
+    return res.status(200).json(entry);
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 'use strict';
 
 const express = require('express');
-const Event = require('../models/Event');
-const { getIO } = require('../socket');
+const UserEvent = require('../models/UserEvent');
+const { optionalAuth, handleHttpError } = require('../middleware');
+const eventIngestion = require('../services/eventIngestion');
 
 const router = express.Router();
 
@@ -25,14 +26,19 @@ const router = express.Router();
  *           description: MongoDB id
  *         username:
  *           type: string
- *           description: Username related to the event
+ *           description: Username related to the event (taken from the token when the request is authenticated)
  *         event_type:
  *           type: string
- *           description: Type of the event
+ *           description: Type of the event (must be registered under /api/event-types)
  *         timestamp:
  *           type: string
  *           format: date-time
  *           description: Event timestamp
+ *         meta:
+ *           type: object
+ *           description: >
+ *             Custom event properties (page, button id, campaign, device, ...), validated against the type's
+ *             meta_schema when it has one. Requests may send them as `properties` or `meta`.
  *       required:
  *         - username
  *         - event_type
@@ -53,7 +59,7 @@ const router = express.Router();
  * /api/events:
  *   get:
  *     summary: Get recent events
- *     description: Returns up to the last 10 events sorted by timestamp descending.
+ *     description: Returns up to the last 10 client-posted events (including migrated legacy rows) sorted by timestamp descending.
  *     tags: [Events]
  *     responses:
  *       200:
@@ -67,7 +73,8 @@ const router = express.Router();
  */
 router.get('/events', async (req, res, next) => {
   try {
-    const events = await Event.find({})
+    const events = await UserEvent.find({ source: { $in: ['api', 'legacy'] } })
+      .select({ username: 1, event_type: 1, timestamp: 1, meta: 1 })
       .sort({ timestamp: -1 })
       .limit(10)
       .lean();
@@ -82,7 +89,11 @@ router.get('/events', async (req, res, next) => {
  * /api/events:
  *   post:
  *     summary: Create new event
- *     description: Creates a new event and emits a 'new_event' websocket message to connected clients.
+ *     description: >
+ *       Records an event in the canonical event store (the same one the server's own signup/login/answer events
+ *       use, and that all metrics read). With a Bearer token the event is attributed to the authenticated user.
+ *       Emits 'user_event_created' and 'new_event' to admin sockets in the event_type:<type> room and an
+ *       aggregate 'metrics_update' to every socket watching that type.
  *     tags: [Events]
  *     requestBody:
  *       required: true
@@ -98,6 +109,10 @@ router.get('/events', async (req, res, next) => {
  *               timestamp:
  *                 type: string
  *                 format: date-time
+ *               properties:
+ *                 type: object
+ *                 description: Custom event properties (alias meta); stored as meta
+ *                 example: { page: /pricing, button_id: signup-cta, campaign: spring, device: mobile }
  *             required:
  *               - username
  *               - event_type
@@ -111,37 +126,126 @@ router.get('/events', async (req, res, next) => {
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/events', async (req, res, next) => {
+router.post('/events', optionalAuth, async (req, res, next) => {
   try {
-    const { username, event_type, timestamp } = req.body || {};
-    if (!username || !event_type) {
-      return res.status(400).json({ error: 'username and event_type are required' });
-    }
+    const saved = await eventIngestion.ingest(req.body || {}, { source: 'api', principal: req.user });
+    return res.status(201).json(saved);
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
 
-    const doc = new Event({
-      username,
-      event_type,
-      timestamp: timestamp ? new Date(timestamp) : undefined,
-    });
+// Upper bound on items accepted by a single batch request
+const BATCH_MAX_ITEMS = Number(process.env.EVENTS_BATCH_MAX_ITEMS) || 1000;
 
-    const saved = await doc.save();
+/**
+ * Parse an NDJSON body (one JSON object per line) into an array of items.
+ * Lines that fail to parse are kept as { __parseError } so they can be reported per index.
+ */
+function parseNdjson(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return { __parseError: `Invalid JSON: ${e.message}` };
+      }
+    });
+}
 
-    // Emit to all connected clients
+/**
+ * @swagger
+ * /api/events/batch:
+ *   post:
+ *     summary: Create events in bulk
+ *     description: >
+ *       Accepts an array of events as JSON (a bare array or { events: [...] }) or as NDJSON
+ *       (Content-Type application/x-ndjson, one event per line). Each item is validated independently;
+ *       valid items are written to the canonical event store with a single bulk insert. Raw events go to admin
+ *       sockets as coalesced 'user_events_created' / 'new_events' messages and the aggregate 'metrics_update'
+ *       to every socket watching the types.
+ *       The response reports the outcome per item index.
+ *     tags: [Events]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Event'
+ *               - type: object
+ *                 properties:
+ *                   events:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Event'
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: All items were inserted
+ *       207:
+ *         description: Some items were inserted, others failed (see results)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 inserted: { type: integer }
+ *                 failed: { type: integer }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index: { type: integer }
+ *                       ok: { type: boolean }
+ *                       _id: { type: string }
+ *                       error: { type: string }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       413:
+ *         description: Too many items in a single batch, or a body over 5mb
+ */
+router.post(
+  '/events/batch',
+  optionalAuth,
+  express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '5mb' }),
+  async (req, res, next) => {
     try {
-      const io = getIO();
-      io.emit('new_event', saved.toObject());
-      // Also notify metrics listeners for general updates
-      io.emit('metrics_update', { type: 'event' });
-    } catch (emitErr) {
-      // Log but do not fail the request
-      // eslint-disable-next-line no-console
-      console.warn('[Socket.io] emit failed:', emitErr.message);
-    }
+      let items;
+      if (typeof req.body === 'string') {
+        items = parseNdjson(req.body);
+      } else if (Array.isArray(req.body)) {
+        items = req.body;
+      } else if (req.body && Array.isArray(req.body.events)) {
+        items = req.body.events;
+      }
 
-    return res.status(201).json(saved);
-  } catch (err) {
-    return next(err);
+      if (!items || items.length === 0) {
+        return res.status(400).json({ error: 'Request body must be a non-empty array of events (JSON or NDJSON)' });
+      }
+      if (items.length > BATCH_MAX_ITEMS) {
+        return res.status(413).json({ error: `A batch may contain at most ${BATCH_MAX_ITEMS} events` });
+      }
+
+      // Each item is validated independently; valid items are written with a single bulk insert
+      const { inserted, failed, results } = await eventIngestion.ingestMany(items, { source: 'api', principal: req.user });
+      if (inserted === 0) {
+        return res.status(400).json({ inserted, failed, results });
+      }
+
+      const status = failed === 0 ? 201 : 207;
+      return res.status(status).json({ inserted, failed, results });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 module.exports = router;
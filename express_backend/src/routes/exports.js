@@ -0,0 +1,158 @@
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { requireAuth, requireAdmin, badRequest, handleHttpError } = require('../middleware');
+const UserEvent = require('../models/UserEvent');
+const Answer = require('../models/Answer');
+const dataExport = require('../services/dataExport');
+const eventTypes = require('../services/eventTypes');
+const { parseTimeRange, buildRangeMatch } = require('../services/timeRange');
+
+const router = express.Router();
+
+// Raw exports are spreadsheet-first; NDJSON keeps nested meta intact
+const RAW_FORMATS = ['csv', 'ndjson'];
+const USER_EVENT_COLUMNS = ['_id', 'timestamp', 'event_type', 'user_id', 'username', 'source', 'meta'];
+const ANSWER_COLUMNS = [
+  '_id', 'created_at', 'question_id', 'user_id', 'username', 'selectedOptionIndex', 'isCorrect', 'attempt_number',
+  'quiz_id', 'quiz_session_id', 'meta',
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Export
+ *   description: Raw data exports (streamed CSV / NDJSON)
+ */
+
+/**
+ * Optional ObjectId query param as a filter value; throws Error(statusCode=400) when malformed.
+ */
+function objectIdParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (!mongoose.isValidObjectId(value)) throw badRequest(`${name} must be a valid id`);
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+function stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * @swagger
+ * /api/export/user-events:
+ *   get:
+ *     summary: Stream raw user events (admin only)
+ *     description: >
+ *       All user events in the range, oldest first, streamed from the database as CSV (default) or NDJSON.
+ *       CSV has the columns _id, timestamp, event_type, user_id, username, source and meta (as JSON);
+ *       NDJSON has one event document per line.
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson] }
+ *         description: Defaults from the Accept header (text/csv, application/x-ndjson), else csv
+ *       - in: query
+ *         name: event
+ *         schema: { type: string }
+ *         description: Comma-separated event types to include
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Export file (Content-Disposition attachment)
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Invalid format, range or filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/export/user-events', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const format = dataExport.format(req, RAW_FORMATS);
+    const range = parseTimeRange(req.query);
+    const filter = buildRangeMatch('timestamp', range);
+    const events = String(req.query.event || '').split(',').map((e) => e.trim()).filter(Boolean);
+    if (events.length) {
+      await eventTypes.refreshIfUnknown(events);
+      const unknown = events.find((e) => !eventTypes.has(e));
+      if (unknown) throw badRequest(`Unknown event_type "${unknown}"`);
+      filter.event_type = { $in: events };
+    }
+    const userId = objectIdParam(req.query.user_id, 'user_id');
+    if (userId) filter.user_id = userId;
+
+    const cursor = UserEvent.find(filter).sort({ timestamp: 1 }).lean().cursor();
+    await dataExport.stream(res, cursor, { format, columns: USER_EVENT_COLUMNS, filename: `user-events-${stamp()}` });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/export/answers:
+ *   get:
+ *     summary: Stream raw answers (admin only)
+ *     description: >
+ *       All answers in the range (by created_at), oldest first, streamed from the database as CSV (default)
+ *       or NDJSON. CSV has the columns _id, created_at, question_id, user_id, username, selectedOptionIndex,
+ *       isCorrect, attempt_number, quiz_id, quiz_session_id and meta (as JSON).
+ *     tags: [Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, ndjson] }
+ *         description: Defaults from the Accept header (text/csv, application/x-ndjson), else csv
+ *       - in: query
+ *         name: question_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Export file (Content-Disposition attachment)
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Invalid format, range or filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/export/answers', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const format = dataExport.format(req, RAW_FORMATS);
+    const range = parseTimeRange(req.query);
+    const filter = buildRangeMatch('created_at', range);
+    const questionId = objectIdParam(req.query.question_id, 'question_id');
+    if (questionId) filter.question_id = questionId;
+    const userId = objectIdParam(req.query.user_id, 'user_id');
+    if (userId) filter.user_id = userId;
+
+    const cursor = Answer.find(filter).sort({ created_at: 1 }).lean().cursor();
+    await dataExport.stream(res, cursor, { format, columns: ANSWER_COLUMNS, filename: `answers-${stamp()}` });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+module.exports = router;
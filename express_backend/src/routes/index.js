@@ -3,10 +3,16 @@
 const express = require('express');
 const healthController = require('../controllers/health');
 const eventsApi = require('./events');
+const eventTypesApi = require('./eventTypes');
 const authApi = require('./auth');
 const adminAuthApi = require('./adminAuth');
+const questionBankApi = require('./questionBank');
 const mcqApi = require('./mcq');
 const metricsApi = require('./metrics');
+const usersApi = require('./users');
+const quizzesApi = require('./quizzes');
+const retentionApi = require('./retention');
+const exportsApi = require('./exports');
 
 const router = express.Router();
 
@@ -36,6 +42,18 @@ const router = express.Router();
  *                 environment:
  *                   type: string
  *                   example: development
+ *                 metrics_cache:
+ *                   type: object
+ *                   description: /api/metrics response cache counters
+ *                   properties:
+ *                     enabled: { type: boolean }
+ *                     ttl_ms: { type: integer }
+ *                     entries: { type: integer }
+ *                     hits: { type: integer }
+ *                     misses: { type: integer }
+ *                     not_modified: { type: integer, description: Responses answered with 304 }
+ *                     invalidations: { type: integer, description: Entries dropped because an event changed their metric }
+ *                     hit_rate: { type: number, nullable: true }
  */
 router.get('/', healthController.check.bind(healthController));
 
@@ -55,14 +73,27 @@ router.get('/health', healthController.check.bind(healthController));
  * Includes:
  * - Auth (/api/auth/...)
  * - Events (/api/events)
+ * - Event type registry (/api/event-types)
+ * - Question bank import/export (/api/questions/import, /api/questions/export)
  * - MCQ (/api/questions, /api/answers)
  * - Metrics (/api/metrics/...)
+ * - Users (/api/me/..., /api/users/:id/...)
+ * - Quizzes (/api/quizzes, /api/quiz-sessions)
+ * - Retention admin (/api/admin/retention)
+ * - Raw exports (/api/export/user-events, /api/export/answers)
  */
 router.use('/api/auth', authApi); // auth.js must define relative routes like '/login', '/signup', '/me'
 router.use('/api', adminAuthApi);
 router.use('/api', eventsApi);
+router.use('/api', eventTypesApi);
+// Before mcqApi so /questions/export is not taken for /questions/:id
+router.use('/api', questionBankApi);
 router.use('/api', mcqApi);
 router.use('/api', metricsApi);
+router.use('/api', usersApi);
+router.use('/api', quizzesApi);
+router.use('/api', retentionApi);
+router.use('/api', exportsApi);
 
 /**
  * @swagger
@@ -1,11 +1,15 @@
 'use strict';
 
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../middleware');
+const mongoose = require('mongoose');
+const { requireAuth, requireAdmin, badRequest, handleHttpError } = require('../middleware');
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
-const UserEvent = require('../models/UserEvent');
-const { getIO } = require('../socket');
+const broadcaster = require('../services/broadcaster');
+const eventIngestion = require('../services/eventIngestion');
+const attemptPolicy = require('../services/attemptPolicy');
+const metricsCache = require('../services/metricsCache');
+const { parseLimit, decodeCursor, cursorFilter, buildPage } = require('../services/pagination');
 
 const router = express.Router();
 
@@ -45,6 +49,33 @@ const router = express.Router();
  *         tags:
  *           type: array
  *           items: { type: string }
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         archived_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the question has been archived (soft-deleted)
+ *         attempt_policy:
+ *           $ref: '#/components/schemas/AttemptPolicy'
+ *     AttemptPolicy:
+ *       type: object
+ *       description: >
+ *         Per-question override of the global answer attempt policy (ANSWER_MAX_ATTEMPTS / ANSWER_COOLDOWN_SECONDS).
+ *         null inherits the global value; 0 means unlimited attempts / no cooldown; max_attempts=1 is single-attempt.
+ *       properties:
+ *         max_attempts:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *         cooldown_seconds:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
  *     PublicQuestion:
  *       allOf:
  *         - $ref: '#/components/schemas/Question'
@@ -77,6 +108,40 @@ const router = express.Router();
  *         tags:
  *           type: array
  *           items: { type: string }
+ *         attempt_policy:
+ *           $ref: '#/components/schemas/AttemptPolicy'
+ *     UpdateQuestionRequest:
+ *       type: object
+ *       description: >
+ *         Fields to change. PUT requires text, options and correctOptionIndex; PATCH accepts any subset.
+ *         PATCH also accepts archived (boolean) to archive or restore a question.
+ *       properties:
+ *         text:
+ *           type: string
+ *         options:
+ *           type: array
+ *           minItems: 2
+ *           maxItems: 10
+ *           items:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *         correctOptionIndex:
+ *           type: integer
+ *         difficulty:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         tags:
+ *           type: array
+ *           items: { type: string }
+ *         attempt_policy:
+ *           $ref: '#/components/schemas/AttemptPolicy'
+ *         archived:
+ *           type: boolean
  *     NewAnswerRequest:
  *       type: object
  *       required: [question_id, selectedOptionIndex]
@@ -127,7 +192,7 @@ const router = express.Router();
  */
 router.post('/questions', requireAuth, requireAdmin, async (req, res, next) => {
   try {
-    const { text, options, correctOptionIndex, difficulty, tags } = req.body || {};
+    const { text, options, correctOptionIndex, difficulty, tags, attempt_policy } = req.body || {};
     if (!text || !Array.isArray(options) || typeof correctOptionIndex !== 'number') {
       return res.status(400).json({ error: 'text, options (array), and correctOptionIndex are required' });
     }
@@ -137,6 +202,14 @@ router.post('/questions', requireAuth, requireAdmin, async (req, res, next) => {
     if (correctOptionIndex < 0 || correctOptionIndex >= options.length) {
       return res.status(400).json({ error: 'correctOptionIndex is out of range' });
     }
+    let policyOverride;
+    if (attempt_policy !== undefined) {
+      try {
+        policyOverride = attemptPolicy.validateOverride(attempt_policy);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
 
     const doc = new Question({
       text,
@@ -144,6 +217,7 @@ router.post('/questions', requireAuth, requireAdmin, async (req, res, next) => {
       correctOptionIndex,
       difficulty: difficulty || 'easy',
       tags: Array.isArray(tags) ? tags : [],
+      attempt_policy: policyOverride,
       created_by: req.user?.id || undefined,
     });
 
@@ -162,41 +236,383 @@ router.post('/questions', requireAuth, requireAdmin, async (req, res, next) => {
  * /api/questions:
  *   get:
  *     summary: List MCQ questions (public)
- *     description: Returns list of MCQ questions without exposing the correct answer index.
+ *     description: >
+ *       Returns active (non-archived) MCQ questions without exposing the correct answer index, newest first.
+ *       Supports filtering by difficulty and tags, full-text search on the question text and cursor pagination.
+ *       Pass page.next_cursor back as `cursor` to fetch the next page; the sort (created_at desc, _id desc) is stable.
  *     tags: [MCQ]
+ *     parameters:
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *         description: One difficulty or a comma-separated list (easy, medium, hard)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags (or repeated param); questions must carry every listed tag
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search on question text
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous page's page.next_cursor
  *     responses:
  *       200:
- *         description: Array of questions without correct answer
+ *         description: Page of questions without correct answer
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id: { type: string }
- *                   text: { type: string }
- *                   options:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         text: { type: string }
- *                         key: { type: string }
- *                   difficulty: { type: string }
- *                   tags:
- *                     type: array
- *                     items: { type: string }
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       text: { type: string }
+ *                       options:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             text: { type: string }
+ *                             key: { type: string }
+ *                       difficulty: { type: string }
+ *                       tags:
+ *                         type: array
+ *                         items: { type: string }
+ *                 page:
+ *                   type: object
+ *                   properties:
+ *                     limit: { type: integer }
+ *                     has_more: { type: boolean }
+ *                     next_cursor: { type: string, nullable: true }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
 router.get('/questions', async (req, res, next) => {
   try {
-    const docs = await Question.find({})
-      .sort({ created_at: -1 })
+    const filter = buildQuestionFilter(req.query);
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    const docs = await Question.find({ ...filter, ...cursorFilter('created_at', cursor) })
+      .select('-correctOptionIndex -archived_at -archived_by')
+      .sort({ created_at: -1, _id: -1 })
+      .limit(limit + 1)
       .lean();
 
-    // Remove correctOptionIndex for public listing
-    const sanitized = docs.map(({ correctOptionIndex, ...rest }) => rest);
-    return res.status(200).json(sanitized);
+    return res.status(200).json(buildPage(docs, limit, 'created_at'));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * Split a comma-separated or repeated query param into trimmed, non-empty values.
+ */
+function listParam(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the Mongo filter for the public question listing from difficulty, tags and q query params.
+ * Throws Error(statusCode=400) for unknown difficulties.
+ */
+function buildQuestionFilter(query) {
+  const filter = { archived_at: null };
+
+  const difficulties = listParam(query.difficulty).map((d) => d.toLowerCase());
+  if (difficulties.length) {
+    const allowed = Question.schema.path('difficulty').enumValues;
+    const unknown = difficulties.find((d) => !allowed.includes(d));
+    if (unknown) {
+      throw badRequest(`difficulty must be one of ${allowed.join(', ')}`);
+    }
+    filter.difficulty = difficulties.length === 1 ? difficulties[0] : { $in: difficulties };
+  }
+
+  const tags = listParam(query.tags);
+  if (tags.length) {
+    filter.tags = { $all: tags };
+  }
+
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+  if (search) {
+    filter.$text = { $search: search };
+  }
+  return filter;
+}
+
+/**
+ * Validate an update body against the same rules as creation.
+ * For PUT (partial=false) text, options and correctOptionIndex are required.
+ * Returns { update } with the fields to apply or { error } describing the first problem.
+ */
+function validateQuestionUpdate(body, { partial }) {
+  const { text, options, correctOptionIndex, difficulty, tags, attempt_policy, archived } = body || {};
+  if (!partial && (!text || !Array.isArray(options) || typeof correctOptionIndex !== 'number')) {
+    return { error: 'text, options (array), and correctOptionIndex are required' };
+  }
+  const update = {};
+  if (text !== undefined) {
+    if (typeof text !== 'string' || !text.trim()) return { error: 'text must be a non-empty string' };
+    update.text = text;
+  }
+  if (options !== undefined) {
+    if (!Array.isArray(options)) return { error: 'options must be an array' };
+    if (options.length < 2) return { error: 'At least two options are required' };
+    update.options = options;
+  }
+  if (correctOptionIndex !== undefined) {
+    if (typeof correctOptionIndex !== 'number') return { error: 'correctOptionIndex must be a number' };
+    update.correctOptionIndex = correctOptionIndex;
+  }
+  if (difficulty !== undefined) update.difficulty = difficulty;
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) return { error: 'tags must be an array' };
+    update.tags = tags;
+  }
+  if (attempt_policy !== undefined) {
+    try {
+      update.attempt_policy = attemptPolicy.validateOverride(attempt_policy);
+    } catch (e) {
+      return { error: e.message };
+    }
+  } else if (!partial) {
+    // PUT replaces the question, so an omitted override falls back to the global policy
+    update.attempt_policy = { max_attempts: null, cooldown_seconds: null };
+  }
+  if (partial && archived !== undefined) {
+    if (typeof archived !== 'boolean') return { error: 'archived must be a boolean' };
+    update.archived = archived;
+  }
+  if (partial && Object.keys(update).length === 0) {
+    return { error: 'No updatable fields provided' };
+  }
+  return { update };
+}
+
+/**
+ * Load a question by id for admin routes; responds 404 for malformed or unknown ids.
+ */
+async function findQuestionOr404(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Question not found' });
+    return null;
+  }
+  const doc = await Question.findById(req.params.id);
+  if (!doc) {
+    res.status(404).json({ error: 'Question not found' });
+    return null;
+  }
+  return doc;
+}
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   get:
+ *     summary: Get a MCQ by id (admin)
+ *     description: Admin-only endpoint returning the full question, including the correct answer index and archive state.
+ *     tags: [MCQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Question'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Question not found
+ */
+router.get('/questions/:id', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const doc = await findQuestionOr404(req, res);
+    if (!doc) return undefined;
+    return res.status(200).json(doc);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Shared PUT/PATCH handler: applies validated fields and saves, so the pre-validate hook
+ * re-checks correctOptionIndex against the final options and refreshes updated_at.
+ */
+function updateQuestionHandler({ partial }) {
+  return async (req, res, next) => {
+    try {
+      const { update, error } = validateQuestionUpdate(req.body, { partial });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const doc = await findQuestionOr404(req, res);
+      if (!doc) return undefined;
+
+      const { archived, ...fields } = update;
+      doc.set(fields);
+      if (archived === true && !doc.archived_at) {
+        doc.archived_at = new Date();
+        doc.archived_by = req.user?.id || undefined;
+      } else if (archived === false) {
+        doc.archived_at = null;
+        doc.archived_by = undefined;
+      }
+
+      const saved = await doc.save();
+      // Question metrics show the text, difficulty and archived state
+      metricsCache.invalidate(['questions']);
+      return res.status(200).json(saved);
+    } catch (err) {
+      if (err && (err.name === 'ValidationError' || (err.message && /correctOptionIndex/.test(err.message)))) {
+        return res.status(400).json({ error: err.message });
+      }
+      return next(err);
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   put:
+ *     summary: Replace a MCQ (admin)
+ *     description: Admin-only endpoint replacing text, options, correctOptionIndex and optionally difficulty/tags. Refreshes updated_at.
+ *     tags: [MCQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateQuestionRequest'
+ *     responses:
+ *       200:
+ *         description: Updated question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Question'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Question not found
+ *   patch:
+ *     summary: Partially update a MCQ (admin)
+ *     description: >
+ *       Admin-only endpoint updating any subset of fields. correctOptionIndex is re-validated against the resulting options.
+ *       Send { archived: false } to restore an archived question. Refreshes updated_at.
+ *     tags: [MCQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateQuestionRequest'
+ *     responses:
+ *       200:
+ *         description: Updated question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Question'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Question not found
+ */
+router.put('/questions/:id', requireAuth, requireAdmin, updateQuestionHandler({ partial: false }));
+router.patch('/questions/:id', requireAuth, requireAdmin, updateQuestionHandler({ partial: true }));
+
+/**
+ * @swagger
+ * /api/questions/{id}:
+ *   delete:
+ *     summary: Archive a MCQ (admin)
+ *     description: >
+ *       Admin-only soft delete. Sets archived_at so the question disappears from the public listing and stops
+ *       accepting answers, while historical answers keep resolving. Idempotent.
+ *     tags: [MCQ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archived question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Question'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Question not found
+ */
+router.delete('/questions/:id', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const doc = await findQuestionOr404(req, res);
+    if (!doc) return undefined;
+    if (!doc.archived_at) {
+      doc.archived_at = new Date();
+      doc.archived_by = req.user?.id || undefined;
+      await doc.save();
+      metricsCache.invalidate(['questions']);
+    }
+    return res.status(200).json(doc);
   } catch (err) {
     return next(err);
   }
@@ -207,7 +623,10 @@ router.get('/questions', async (req, res, next) => {
  * /api/answers:
  *   post:
  *     summary: Submit an answer to a MCQ (auth required)
- *     description: Creates an answer record, emits 'new_answer' via Socket.io, and logs a user_event.
+ *     description: >
+ *       Creates an answer record, emits 'new_answer' via Socket.io (to admin sockets and the answering user's own socket),
+ *       and logs a user_event. Submissions are subject to the attempt policy (global, overridable per question):
+ *       409 when no attempts are left, 429 with Retry-After while the cooldown between attempts runs.
  *     tags: [MCQ]
  *     requestBody:
  *       required: true
@@ -229,11 +648,16 @@ router.get('/questions', async (req, res, next) => {
  *                 username: { type: string }
  *                 selectedOptionIndex: { type: integer }
  *                 isCorrect: { type: boolean }
+ *                 attempt_number: { type: integer, description: 1 for the first attempt, 2 for the first retry, ... }
  *                 created_at: { type: string, format: date-time }
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: Maximum attempts reached for this question
+ *       429:
+ *         description: Cooldown between attempts still running (see Retry-After header)
  */
 router.post('/answers', requireAuth, async (req, res, next) => {
   try {
@@ -246,11 +670,28 @@ router.post('/answers', requireAuth, async (req, res, next) => {
     if (!question) {
       return res.status(400).json({ error: 'Invalid question_id' });
     }
+    if (question.archived_at) {
+      return res.status(400).json({ error: 'Question is archived' });
+    }
 
     if (selectedOptionIndex < 0 || selectedOptionIndex >= question.options.length) {
       return res.status(400).json({ error: 'selectedOptionIndex out of range' });
     }
 
+    let attempt;
+    try {
+      attempt = await attemptPolicy.check(question, req.user.id);
+    } catch (e) {
+      if (e.statusCode === 429) {
+        res.set('Retry-After', String(e.retryAfter));
+        return res.status(429).json({ error: e.message, retry_after: e.retryAfter, policy: e.policy });
+      }
+      if (e.statusCode === 409) {
+        return res.status(409).json({ error: e.message, attempts: e.attempts, policy: e.policy });
+      }
+      throw e;
+    }
+
     const isCorrect = Number(selectedOptionIndex) === Number(question.correctOptionIndex);
 
     const answerDoc = new Answer({
@@ -259,54 +700,46 @@ router.post('/answers', requireAuth, async (req, res, next) => {
       username: req.user.username,
       selectedOptionIndex,
       isCorrect,
+      attempt_number: attempt.attempt_number,
       meta: {
         ua: req.get('user-agent') || '',
       },
     });
 
-    const saved = await answerDoc.save();
-
-    // Emit new_answer via Socket.io for real-time analytics
+    let saved;
     try {
-      const io = getIO();
-      io.emit('new_answer', {
-        _id: String(saved._id),
-        question_id: String(saved.question_id),
-        user_id: String(saved.user_id),
-        username: saved.username,
-        selectedOptionIndex: saved.selectedOptionIndex,
-        isCorrect: saved.isCorrect,
-        created_at: saved.created_at,
-      });
-    } catch (emitErr) {
-      // eslint-disable-next-line no-console
-      console.warn('[Socket.io] new_answer emit failed:', emitErr.message);
+      saved = await answerDoc.save();
+    } catch (e) {
+      // A concurrent submission took the same attempt number
+      if (e && e.code === 11000) {
+        return res.status(409).json({ error: 'Another answer to this question is being recorded; retry shortly' });
+      }
+      throw e;
     }
 
+    // Emit new_answer via Socket.io for real-time analytics (admin question rooms and the answering user's own room)
+    broadcaster.publish('new_answer', {
+      _id: String(saved._id),
+      question_id: String(saved.question_id),
+      user_id: String(saved.user_id),
+      username: saved.username,
+      selectedOptionIndex: saved.selectedOptionIndex,
+      isCorrect: saved.isCorrect,
+      attempt_number: saved.attempt_number,
+      created_at: saved.created_at,
+    }, { questionId: String(saved.question_id), userId: String(saved.user_id) }, { restricted: true });
+
     // Log user_event for analytics
-    try {
-      const ue = await new UserEvent({
-        user_id: req.user.id,
-        username: req.user.username,
-        event_type: 'answer',
-        meta: {
-          question_id: String(question._id),
-          isCorrect,
-        },
-      }).save();
-      // Emit metrics updates
-      try {
-        const io = getIO();
-        io.emit('user_event_created', ue.toObject());
-        io.emit('metrics_update', { type: 'answer' });
-      } catch (e) {
-        // eslint-disable-next-line no-console
-        console.warn('[Socket.io] emit metrics_update failed:', e.message);
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn('[UserEvent] answer log failed:', e.message);
-    }
+    await eventIngestion.log({
+      user_id: req.user.id,
+      username: req.user.username,
+      event_type: 'answer',
+      meta: {
+        question_id: String(question._id),
+        isCorrect,
+        attempt_number: saved.attempt_number,
+      },
+    });
 
     return res.status(201).json(saved.toObject());
   } catch (err) {
@@ -1,18 +1,102 @@
 'use strict';
 
 const express = require('express');
+const mongoose = require('mongoose');
+const { badRequest, handleHttpError } = require('../middleware');
 const User = require('../models/User');
 const UserEvent = require('../models/UserEvent');
 const Answer = require('../models/Answer');
-const Event = require('../models/Event');
+const AnswerArchive = require('../models/AnswerArchive');
+const Question = require('../models/Question');
+const Quiz = require('../models/Quiz');
+const {
+  parseTimeRange,
+  parseDuration,
+  buildRangeMatch,
+  bucketExpression,
+  truncateDate,
+  listBuckets,
+  zeroFill,
+  formatInstant,
+  formatBucketLabel,
+} = require('../services/timeRange');
+const funnels = require('../services/funnels');
+const sessions = require('../services/sessions');
+const rollups = require('../services/rollups');
+const metricsCache = require('../services/metricsCache');
+const dataExport = require('../services/dataExport');
+const eventTypes = require('../services/eventTypes');
 
 const router = express.Router();
 
+// CSV / NDJSON through ?format= or Accept on every metrics route (see services/dataExport.js); mounted first
+// so the cache below can skip those requests
+router.use('/metrics', dataExport.middleware());
+// Polled metrics are served from a short-lived cache that event writes invalidate (see services/metricsCache.js)
+router.use('/metrics', metricsCache.middleware());
+
 /**
  * @swagger
  * tags:
  *   name: Metrics
- *   description: Analytics and metrics API
+ *   description: >
+ *     Analytics and metrics API. Every metrics route also answers as CSV or NDJSON with ?format=csv|ndjson or
+ *     Accept: text/csv / application/x-ndjson (see the MetricsFormat and MetricsTable parameters).
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     MetricsFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Range start (ISO date or epoch milliseconds, inclusive)
+ *     MetricsTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Range end (ISO date or epoch milliseconds, inclusive). Defaults to now when from is given.
+ *     MetricsInterval:
+ *       in: query
+ *       name: interval
+ *       schema:
+ *         type: string
+ *         enum: [minute, hour, day, week, month]
+ *       description: Bucket granularity for time series. Weeks start on Monday. Missing buckets are zero-filled.
+ *     MetricsTz:
+ *       in: query
+ *       name: tz
+ *       schema:
+ *         type: string
+ *         example: Asia/Kolkata
+ *       description: >
+ *         IANA timezone used for day boundaries, bucket starts and labels (default UTC).
+ *         Non-UTC timestamps are rendered with their local offset.
+ *     MetricsFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, csv, ndjson]
+ *       description: >
+ *         Response format; defaults from the Accept header (application/json, text/csv, application/x-ndjson).
+ *         CSV and NDJSON are downloads with one line per row of a table; CSV flattens nested fields into dotted
+ *         columns (e.g. other.count, retained.0). Errors stay JSON.
+ *     MetricsTable:
+ *       in: query
+ *       name: table
+ *       schema:
+ *         type: string
+ *       description: >
+ *         With format csv or ndjson, which table of an object response to export: one of its array fields
+ *         (default the first, e.g. series, steps, cohorts, items) or summary for the remaining fields as one row.
+ *         Array responses are the table themselves.
  */
 
 /**
@@ -20,11 +104,18 @@ const router = express.Router();
  * /api/metrics/signups-per-day:
  *   get:
  *     summary: Signups per day
- *     description: Returns an array of { date, count } aggregated by day from users.created_at.
+ *     description: >
+ *       Returns an array of { date, count } aggregated from users.created_at, one entry per bucket with
+ *       missing buckets zero-filled. Defaults to daily buckets from the first signup until now.
  *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
  *     responses:
  *       200:
- *         description: Aggregated signup counts per day
+ *         description: Aggregated signup counts per bucket
  *         content:
  *           application/json:
  *             schema:
@@ -34,27 +125,44 @@ const router = express.Router();
  *                 properties:
  *                   date:
  *                     type: string
- *                     description: Day in YYYY-MM-DD
+ *                     description: Bucket start in YYYY-MM-DD (day/week/month) or ISO date-time (minute/hour)
  *                   count:
  *                     type: integer
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/signups-per-day', async (req, res, next) => {
   try {
-    const docs = await User.aggregate([
+    const range = parseTimeRange(req.query, { defaultInterval: 'day' });
+    if (!range.from) {
+      // All-time by default: start at the first signup
+      const first = await User.findOne({}).sort({ created_at: 1 }).select({ created_at: 1 }).lean();
+      if (!first) {
+        return res.status(200).json([]);
+      }
+      range.from = first.created_at;
+      range.to = range.to || new Date();
+    }
+    const buckets = listBuckets(range.from, range.to, range.interval, range.timezone);
+
+    const rows = await User.aggregate([
+      { $match: buildRangeMatch('created_at', range) },
       {
         $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$created_at' },
-          },
+          _id: bucketExpression('$created_at', range.interval, range.timezone),
           count: { $sum: 1 },
         },
       },
-      { $project: { _id: 0, date: '$_id', count: 1 } },
-      { $sort: { date: 1 } },
+      { $project: { _id: 0, time: '$_id', count: 1 } },
     ]);
+
+    const docs = zeroFill(rows, buckets).map((pt) => ({
+      date: formatBucketLabel(pt.time, range.interval, range.timezone),
+      count: pt.value,
+    }));
     return res.status(200).json(docs);
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -77,8 +185,10 @@ function parseWindowToMs(windowStr, defaultMs = 10 * 60 * 1000) {
  *   get:
  *     summary: Active users over a time window
  *     description: >
- *       Returns time series per minute for unique active users within the specified window.
- *       Query param window supports s/m/h/d (e.g., ?window=10m). Output items are { minute, count }.
+ *       Returns a zero-filled time series of unique active users per bucket.
+ *       Defaults to per-minute buckets over the last ?window= (s/m/h/d, e.g. 10m); from/to override the window.
+ *       Output items are { time, minute, count } where minute is the legacy YYYY-MM-DDTHH:mm:00Z label
+ *       (rendered with the local offset instead of Z when tz is given).
  *     tags: [Metrics]
  *     parameters:
  *       - in: query
@@ -86,10 +196,14 @@ function parseWindowToMs(windowStr, defaultMs = 10 * 60 * 1000) {
  *         schema:
  *           type: string
  *           example: 10m
- *         description: Time window like 10m, 1h, 1d. Default 10m.
+ *         description: Time window like 10m, 1h, 1d. Default 10m. Ignored when from is given.
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
  *     responses:
  *       200:
- *         description: Per-minute active users counts
+ *         description: Active users counts per bucket
  *         content:
  *           application/json:
  *             schema:
@@ -97,30 +211,37 @@ function parseWindowToMs(windowStr, defaultMs = 10 * 60 * 1000) {
  *               items:
  *                 type: object
  *                 properties:
+ *                   time:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Bucket start
  *                   minute:
  *                     type: string
- *                     description: Minute bucket in YYYY-MM-DDTHH:mm:00Z
+ *                     description: Bucket start in YYYY-MM-DDTHH:mm:00Z (or with local offset)
  *                   count:
  *                     type: integer
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/active-users', async (req, res, next) => {
   try {
     const windowParam = req.query.window || '10m';
     const windowMs = parseWindowToMs(windowParam);
-    const since = new Date(Date.now() - windowMs);
+    const now = new Date();
+    const range = parseTimeRange(req.query, {
+      defaultFrom: new Date(now.getTime() - windowMs),
+      defaultTo: now,
+      defaultInterval: 'minute',
+    });
+    const buckets = listBuckets(range.from, range.to, range.interval, range.timezone);
 
-    // Aggregate per minute distinct users active within window
-    const series = await UserEvent.aggregate([
-      { $match: { timestamp: { $gte: since } } },
+    // Aggregate distinct users active per bucket within the range
+    const rows = await UserEvent.aggregate([
+      { $match: buildRangeMatch('timestamp', range) },
       {
         $group: {
           _id: {
-            minute: {
-              $dateToString: {
-                format: '%Y-%m-%dT%H:%M:00Z',
-                date: '$timestamp',
-              },
-            },
+            bucket: bucketExpression('$timestamp', range.interval, range.timezone),
             user_id: '$user_id',
             username: '$username',
           },
@@ -128,23 +249,24 @@ router.get('/metrics/active-users', async (req, res, next) => {
       },
       {
         $group: {
-          _id: '$_id.minute',
+          _id: '$_id.bucket',
           count: { $sum: 1 },
         },
       },
-      {
-        $project: {
-          _id: 0,
-          minute: '$_id',
-          count: 1,
-        },
-      },
-      { $sort: { minute: 1 } },
+      { $project: { _id: 0, time: '$_id', count: 1 } },
     ]);
 
+    const series = zeroFill(rows, buckets).map((pt) => {
+      const time = formatInstant(pt.time, range.timezone);
+      return {
+        time,
+        minute: range.timezone === 'UTC' ? `${time.slice(0, 16)}:00Z` : `${time.slice(0, 16)}:00${time.slice(23)}`,
+        count: pt.value,
+      };
+    });
     return res.status(200).json(series);
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -153,8 +275,14 @@ router.get('/metrics/active-users', async (req, res, next) => {
  * /api/metrics/event-types:
  *   get:
  *     summary: Distribution of user event types
- *     description: Returns counts of user_events grouped by event_type for pie chart.
+ *     description: >
+ *       Returns counts of user_events grouped by event_type for pie chart, optionally limited to from/to.
+ *       Served from the minute/hour/day rollups once they have been backfilled.
  *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
  *     responses:
  *       200:
  *         description: Event type counts
@@ -169,10 +297,18 @@ router.get('/metrics/active-users', async (req, res, next) => {
  *                     type: string
  *                   count:
  *                     type: integer
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/event-types', async (req, res, next) => {
   try {
+    const range = parseTimeRange(req.query);
+    const rolledUp = await rollups.countByType(range);
+    if (rolledUp) {
+      return res.status(200).json(rolledUp);
+    }
     const data = await UserEvent.aggregate([
+      { $match: buildRangeMatch('timestamp', range) },
       {
         $group: {
           _id: '$event_type',
@@ -184,7 +320,489 @@ router.get('/metrics/event-types', async (req, res, next) => {
     ]);
     return res.status(200).json(data);
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
+  }
+});
+
+// Top-level fields /metrics/breakdown may group by besides event properties
+const BREAKDOWN_FIELDS = ['event_type', 'source'];
+
+/**
+ * Resolve a breakdown `by` param to a UserEvent field path: properties.<path> (or meta.<path>) maps to meta.<path>.
+ * Throws Error(statusCode=400) for anything else.
+ */
+function parseBreakdownField(value) {
+  const by = String(value || '').trim();
+  if (!by) {
+    throw badRequest('by is required (e.g. by=properties.page)');
+  }
+  if (BREAKDOWN_FIELDS.includes(by)) return by;
+  const match = /^(?:properties|meta)\.([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+){0,4})$/.exec(by);
+  if (!match) {
+    throw badRequest(`by must be properties.<path> (up to 5 segments of letters, digits, _ or -) or one of ${BREAKDOWN_FIELDS.join(', ')}`);
+  }
+  return `meta.${match[1]}`;
+}
+
+/**
+ * @swagger
+ * /api/metrics/breakdown:
+ *   get:
+ *     summary: Event counts grouped by a property
+ *     description: >
+ *       Counts events grouped by the value of an event property (by=properties.page, nested paths such as
+ *       properties.device.os work too) or by event_type / source. Returns the top `limit` values by count;
+ *       the remaining values are summed into `other` and events without the property into `missing`.
+ *       Array values are grouped as a whole. Optionally limited to event types (event=click,view) and from/to.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: query
+ *         name: by
+ *         required: true
+ *         schema: { type: string, example: properties.page }
+ *       - in: query
+ *         name: event
+ *         schema: { type: string, example: click }
+ *         description: Comma-separated event types (default all)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10, minimum: 1, maximum: 100 }
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: Breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 by: { type: string }
+ *                 event: { type: array, nullable: true, items: { type: string } }
+ *                 total: { type: integer }
+ *                 buckets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       value: { description: Property value (any JSON type) }
+ *                       count: { type: integer }
+ *                       share: { type: number, description: count / total }
+ *                 other:
+ *                   type: object
+ *                   properties:
+ *                     count: { type: integer }
+ *                     values: { type: integer, description: Number of distinct values folded into other }
+ *                     share: { type: number, nullable: true }
+ *                 missing:
+ *                   type: object
+ *                   properties:
+ *                     count: { type: integer }
+ *                     share: { type: number, nullable: true }
+ *                 from: { type: string, format: date-time, nullable: true }
+ *                 to: { type: string, format: date-time, nullable: true }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid by, limit or range parameters
+ */
+router.get('/metrics/breakdown', async (req, res, next) => {
+  try {
+    const field = parseBreakdownField(req.query.by);
+    const limit = parseCount(req.query.limit, 'limit', { defaultValue: 10, max: 100 });
+    if (limit < 1) {
+      return res.status(400).json({ error: 'limit must be at least 1' });
+    }
+    const events = req.query.event
+      ? String(req.query.event).split(',').map((e) => e.trim()).filter(Boolean)
+      : [];
+    const range = parseTimeRange(req.query);
+
+    const match = buildRangeMatch('timestamp', range);
+    if (events.length) match.event_type = events.length === 1 ? events[0] : { $in: events };
+
+    const [result] = await UserEvent.aggregate([
+      { $match: match },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      {
+        $facet: {
+          top: [{ $match: { _id: { $ne: null } } }, { $sort: { count: -1, _id: 1 } }, { $limit: limit }],
+          missing: [{ $match: { _id: null } }],
+          totals: [{ $group: { _id: null, total: { $sum: '$count' }, values: { $sum: 1 } } }],
+        },
+      },
+    ]);
+
+    const top = (result && result.top) || [];
+    const missingCount = result && result.missing[0] ? result.missing[0].count : 0;
+    const totals = (result && result.totals[0]) || { total: 0, values: 0 };
+    const topCount = top.reduce((sum, row) => sum + row.count, 0);
+    const otherCount = totals.total - missingCount - topCount;
+
+    return res.status(200).json({
+      by: String(req.query.by).trim(),
+      event: events.length ? events : null,
+      total: totals.total,
+      buckets: top.map((row) => ({ value: row._id, count: row.count, share: ratio(row.count, totals.total) })),
+      other: {
+        count: otherCount,
+        values: totals.values - (missingCount ? 1 : 0) - top.length,
+        share: ratio(otherCount, totals.total),
+      },
+      missing: { count: missingCount, share: ratio(missingCount, totals.total) },
+      from: range.from ? formatInstant(range.from, range.timezone) : null,
+      to: range.to ? formatInstant(range.to, range.timezone) : null,
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+// Longest funnel conversion window accepted
+const FUNNEL_MAX_WINDOW_MS = 90 * 86400000;
+
+/**
+ * @swagger
+ * /api/metrics/funnel:
+ *   get:
+ *     summary: Ordered funnel conversion
+ *     description: >
+ *       Counts users who did each step of an ordered list of event types, e.g. steps=signup,login,answer.
+ *       A user enters the funnel with a step 1 event inside from/to (default the last 30 days); each later step
+ *       must follow the previous one no later than `window` after the entry event. Steps may filter on event
+ *       properties by passing a JSON array, e.g. steps=[{"event":"signup"},{"event":"answer","properties":{"correct":true}}].
+ *       Only events with a user_id are counted. Per step the response gives the user count, the conversion rate
+ *       from step 1 and from the previous step, and the median time since the previous step.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: query
+ *         name: steps
+ *         required: true
+ *         schema: { type: string, example: 'signup,login,answer' }
+ *         description: 2 to 10 event types, comma-separated or as a JSON array of types / { event, properties }
+ *       - in: query
+ *         name: window
+ *         schema: { type: string, default: 7d, example: 24h }
+ *         description: Conversion window like 30m, 24h, 7d (at most 90d)
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: Funnel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       step: { type: integer, description: 1-based position }
+ *                       event: { type: string }
+ *                       properties: { type: object, nullable: true, description: Property filters of the step }
+ *                       users: { type: integer }
+ *                       conversion_rate: { type: number, nullable: true, description: users / users of step 1 }
+ *                       step_conversion_rate: { type: number, nullable: true, description: users / users of the previous step }
+ *                       drop_off: { type: integer, description: Users of the previous step who did not reach this one }
+ *                       median_seconds_from_previous: { type: number, nullable: true }
+ *                 users_entered: { type: integer }
+ *                 users_converted: { type: integer }
+ *                 conversion_rate: { type: number, nullable: true }
+ *                 window: { type: string }
+ *                 window_seconds: { type: integer }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid steps, window or range parameters
+ */
+router.get('/metrics/funnel', async (req, res, next) => {
+  try {
+    const windowParam = req.query.window ? String(req.query.window).trim() : '7d';
+    const windowMs = parseDuration(windowParam, 'window', { maxMs: FUNNEL_MAX_WINDOW_MS });
+    const steps = await funnels.parseSteps(req.query.steps);
+    const now = new Date();
+    const range = parseTimeRange(req.query, { defaultFrom: new Date(now.getTime() - 30 * 86400000), defaultTo: now });
+
+    const counts = await funnels.compute(steps, { from: range.from, to: range.to, windowMs });
+    const entered = counts[0].users;
+    const converted = counts[counts.length - 1].users;
+
+    return res.status(200).json({
+      steps: steps.map((step, i) => ({
+        step: i + 1,
+        event: step.event,
+        properties: step.filters.length
+          ? step.filters.reduce((acc, f) => ({ ...acc, [f.path]: f.value }), {})
+          : null,
+        users: counts[i].users,
+        conversion_rate: ratio(counts[i].users, entered),
+        step_conversion_rate: i ? ratio(counts[i].users, counts[i - 1].users) : null,
+        drop_off: i ? counts[i - 1].users - counts[i].users : 0,
+        median_seconds_from_previous: counts[i].median_ms === null ? null : Math.round(counts[i].median_ms / 1000),
+      })),
+      users_entered: entered,
+      users_converted: converted,
+      conversion_rate: ratio(converted, entered),
+      window: windowParam,
+      window_seconds: Math.round(windowMs / 1000),
+      from: formatInstant(range.from, range.timezone),
+      to: formatInstant(range.to, range.timezone),
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+// Cohort granularities supported by /metrics/retention, with rough lengths used to pick the default range
+const RETENTION_INTERVAL_MS = { day: 86400000, week: 7 * 86400000, month: 31 * 86400000 };
+
+/**
+ * @swagger
+ * /api/metrics/retention:
+ *   get:
+ *     summary: Cohort retention
+ *     description: >
+ *       Groups users into cohorts by users.created_at (interval=day, week or month; default week) and reports, for
+ *       each cohort, how many of its users produced a user event (or an event of type `event`) in the signup period
+ *       (period 0) and in each following period, up to `periods`. Rows only contain periods that have started, so
+ *       the result is the usual retention triangle. `average` is the retention per period weighted over the cohorts
+ *       that reached it. Defaults to the last periods + 1 cohorts; from/to select the signup range instead.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema: { type: string, enum: [day, week, month], default: week }
+ *       - in: query
+ *         name: periods
+ *         schema: { type: integer, default: 8, minimum: 1, maximum: 100 }
+ *         description: Number of periods after the signup period to report
+ *       - in: query
+ *         name: event
+ *         schema: { type: string, example: answer }
+ *         description: Only count this event type as activity (default any event)
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: Retention triangle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval: { type: string }
+ *                 periods: { type: integer }
+ *                 event: { type: string, nullable: true }
+ *                 cohorts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       cohort: { type: string, description: Cohort start as YYYY-MM-DD }
+ *                       start: { type: string, format: date-time }
+ *                       size: { type: integer, description: Users who signed up in the cohort period }
+ *                       retained: { type: array, items: { type: integer }, description: Active users per period (index = periods since signup) }
+ *                       retention: { type: array, items: { type: number, nullable: true }, description: retained / size }
+ *                 average: { type: array, items: { type: number, nullable: true } }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid interval, periods, event or range parameters
+ */
+router.get('/metrics/retention', async (req, res, next) => {
+  try {
+    const interval = req.query.interval ? String(req.query.interval).toLowerCase() : 'week';
+    if (!RETENTION_INTERVAL_MS[interval]) {
+      return res.status(400).json({ error: `interval must be one of ${Object.keys(RETENTION_INTERVAL_MS).join(', ')}` });
+    }
+    const periods = parseCount(req.query.periods, 'periods', { defaultValue: 8, max: 100 });
+    if (periods < 1) {
+      return res.status(400).json({ error: 'periods must be at least 1' });
+    }
+    const event = req.query.event ? String(req.query.event).trim() : null;
+    if (event) {
+      await eventTypes.refreshIfUnknown([event]);
+      if (!eventTypes.has(event)) {
+        return res.status(400).json({ error: `Unknown event_type "${event}"` });
+      }
+    }
+    const now = new Date();
+    const range = parseTimeRange({ ...req.query, interval }, { defaultTo: now });
+
+    let cohortStarts;
+    if (range.from) {
+      cohortStarts = listBuckets(range.from, range.to, interval, range.timezone);
+    } else {
+      const approxFrom = new Date(range.to.getTime() - (periods + 1) * RETENTION_INTERVAL_MS[interval]);
+      cohortStarts = listBuckets(approxFrom, range.to, interval, range.timezone).slice(-(periods + 1));
+      [range.from] = cohortStarts;
+    }
+    // Activity buckets start with the first cohort, so a cohort's index doubles as its offset into this list
+    const activityBuckets = listBuckets(cohortStarts[0], now, interval, range.timezone);
+    const bucketIndex = new Map(activityBuckets.map((b, i) => [b.getTime(), i]));
+
+    const activityMatch = { user_id: { $ne: null }, timestamp: { $gte: cohortStarts[0], $lte: now } };
+    if (event) activityMatch.event_type = event;
+
+    const [sizes, active] = await Promise.all([
+      User.aggregate([
+        { $match: buildRangeMatch('created_at', range) },
+        { $group: { _id: bucketExpression('$created_at', interval, range.timezone), users: { $sum: 1 } } },
+      ]),
+      UserEvent.aggregate([
+        { $match: activityMatch },
+        { $group: { _id: { user: '$user_id', period: bucketExpression('$timestamp', interval, range.timezone) } } },
+        { $lookup: { from: User.collection.name, localField: '_id.user', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: buildRangeMatch('user.created_at', range) },
+        {
+          $group: {
+            _id: { cohort: bucketExpression('$user.created_at', interval, range.timezone), period: '$_id.period' },
+            users: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const sizeByCohort = new Map(sizes.map((row) => [new Date(row._id).getTime(), row.users]));
+    const cohorts = cohortStarts.map((start, c) => {
+      // Triangle: only periods that have started by now
+      const columns = Math.max(0, Math.min(periods + 1, activityBuckets.length - c));
+      return { start, size: sizeByCohort.get(start.getTime()) || 0, retained: new Array(columns).fill(0) };
+    });
+    const cohortByMs = new Map(cohorts.map((cohort) => [cohort.start.getTime(), cohort]));
+    active.forEach((row) => {
+      const cohort = cohortByMs.get(new Date(row._id.cohort).getTime());
+      const offset = bucketIndex.get(new Date(row._id.period).getTime()) - bucketIndex.get(new Date(row._id.cohort).getTime());
+      if (cohort && offset >= 0 && offset < cohort.retained.length) cohort.retained[offset] = row.users;
+    });
+
+    const average = [];
+    for (let k = 0; k <= periods; k += 1) {
+      const reached = cohorts.filter((cohort) => cohort.retained.length > k);
+      if (!reached.length) break;
+      average.push(ratio(
+        reached.reduce((sum, cohort) => sum + cohort.retained[k], 0),
+        reached.reduce((sum, cohort) => sum + cohort.size, 0)
+      ));
+    }
+
+    return res.status(200).json({
+      interval,
+      periods,
+      event,
+      cohorts: cohorts.map((cohort) => ({
+        cohort: formatBucketLabel(cohort.start, interval, range.timezone),
+        start: formatInstant(cohort.start, range.timezone),
+        size: cohort.size,
+        retained: cohort.retained,
+        retention: cohort.retained.map((n) => ratio(n, cohort.size)),
+      })),
+      average,
+      from: formatInstant(range.from, range.timezone),
+      to: formatInstant(range.to, range.timezone),
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+// Longest inactivity gap accepted for session detection
+const SESSION_MAX_GAP_MS = 86400000;
+
+/**
+ * Average session length in whole seconds and events per session (2 decimals); null without sessions.
+ */
+function sessionAverages({ sessions, duration_ms: durationMs, events }) {
+  return {
+    avg_duration_seconds: sessions ? Math.round(durationMs / sessions / 1000) : null,
+    avg_events_per_session: sessions ? Math.round((events / sessions) * 100) / 100 : null,
+  };
+}
+
+/**
+ * @swagger
+ * /api/metrics/sessions:
+ *   get:
+ *     summary: Sessions over time
+ *     description: >
+ *       Splits each user's event timeline into sessions: consecutive events belong to the same session until the
+ *       inactivity gap (default 30m, SESSION_GAP_MINUTES) is exceeded. Sessions are counted in the bucket of
+ *       their first event. Duration is the time between the first and last event of a session (0 for a single
+ *       event). Only events with a user_id inside from/to (default the last 7 days) are used, so sessions crossing
+ *       the range edges are cut there.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: query
+ *         name: gap
+ *         schema: { type: string, example: 30m }
+ *         description: Inactivity gap like 15m or 1h (at most 1d)
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
+ *     responses:
+ *       200:
+ *         description: Session metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 gap_seconds: { type: integer }
+ *                 sessions: { type: integer }
+ *                 users: { type: integer }
+ *                 avg_duration_seconds: { type: integer, nullable: true }
+ *                 avg_events_per_session: { type: number, nullable: true }
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time: { type: string, format: date-time }
+ *                       sessions: { type: integer }
+ *                       avg_duration_seconds: { type: integer, nullable: true }
+ *                       avg_events_per_session: { type: number, nullable: true }
+ *                 interval: { type: string }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid gap or range parameters
+ */
+router.get('/metrics/sessions', async (req, res, next) => {
+  try {
+    const gapMs = parseDuration(req.query.gap, 'gap', { defaultMs: sessions.defaultGapMs, maxMs: SESSION_MAX_GAP_MS });
+    const now = new Date();
+    const range = parseTimeRange(req.query, { defaultFrom: new Date(now.getTime() - 7 * 86400000), defaultTo: now });
+
+    const { totals, series } = await sessions.metrics({ ...range, gapMs });
+    return res.status(200).json({
+      gap_seconds: Math.round(gapMs / 1000),
+      sessions: totals.sessions,
+      users: totals.users,
+      ...sessionAverages(totals),
+      series: series.map((point) => ({
+        time: formatInstant(point.time, range.timezone),
+        sessions: point.sessions,
+        ...sessionAverages(point),
+      })),
+      interval: range.interval,
+      from: formatInstant(range.from, range.timezone),
+      to: formatInstant(range.to, range.timezone),
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -193,8 +811,17 @@ router.get('/metrics/event-types', async (req, res, next) => {
  * /api/metrics/total-events:
  *   get:
  *     summary: Total user events count
- *     description: Returns a single number representing total count of user_events.
+ *     description: >
+ *       Returns the total count of user_events, optionally limited to from/to.
+ *       When interval is given, a zero-filled per-bucket series is included as well.
+ *       Once the rollups have been backfilled, counts come from the coarsest minute/hour/day rollups that line up
+ *       with the range and buckets; only unaligned edges are counted from raw events.
  *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
  *     responses:
  *       200:
  *         description: Total count
@@ -205,13 +832,44 @@ router.get('/metrics/event-types', async (req, res, next) => {
  *               properties:
  *                 total:
  *                   type: integer
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time: { type: string, format: date-time }
+ *                       value: { type: integer }
+ *                 timezone:
+ *                   type: string
+ *                   description: Timezone used for buckets (only with interval)
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/total-events', async (req, res, next) => {
   try {
-    const total = await UserEvent.countDocuments({});
-    return res.status(200).json({ total });
+    const range = parseTimeRange(req.query);
+    const match = buildRangeMatch('timestamp', range);
+    const rolledUpTotal = await rollups.total(range);
+    const total = rolledUpTotal !== null ? rolledUpTotal : await UserEvent.countDocuments(match);
+    if (!req.query.interval) {
+      return res.status(200).json({ total });
+    }
+
+    if (!range.from) {
+      const first = await UserEvent.findOne(match).sort({ timestamp: 1 }).select({ timestamp: 1 }).lean();
+      range.from = first ? first.timestamp : new Date();
+      range.to = range.to || new Date();
+    }
+    const buckets = listBuckets(range.from, range.to, range.interval, range.timezone);
+    const rows = (await rollups.series(range, buckets)) || await UserEvent.aggregate([
+      { $match: buildRangeMatch('timestamp', range) },
+      { $group: { _id: bucketExpression('$timestamp', range.interval, range.timezone), count: { $sum: 1 } } },
+      { $project: { _id: 0, time: '$_id', count: 1 } },
+    ]);
+    const series = zeroFill(rows, buckets).map((pt) => ({ time: formatInstant(pt.time, range.timezone), value: pt.value }));
+    return res.status(200).json({ total, series, timezone: range.timezone });
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -220,8 +878,12 @@ router.get('/metrics/total-events', async (req, res, next) => {
  * /api/metrics/recent-activity:
  *   get:
  *     summary: Recent user activity
- *     description: Returns last 10 user_events ordered by timestamp descending.
+ *     description: Returns last 10 user_events ordered by timestamp descending, optionally limited to from/to.
  *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
  *     responses:
  *       200:
  *         description: Recent user events
@@ -238,16 +900,19 @@ router.get('/metrics/total-events', async (req, res, next) => {
  *                   event_type: { type: string }
  *                   timestamp: { type: string, format: date-time }
  *                   meta: { type: object }
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/recent-activity', async (req, res, next) => {
   try {
-    const items = await UserEvent.find({})
+    const range = parseTimeRange(req.query);
+    const items = await UserEvent.find(buildRangeMatch('timestamp', range))
       .sort({ timestamp: -1 })
       .limit(10)
       .lean();
     return res.status(200).json(items);
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -255,14 +920,21 @@ router.get('/metrics/recent-activity', async (req, res, next) => {
  * @swagger
  * /api/metrics/users-answered-today:
  *   get:
- *     summary: Unique users who answered today (UTC)
+ *     summary: Unique users who answered today
  *     description: >
- *       Returns the total count of distinct users who submitted answers today (from 00:00 UTC to now),
- *       and a time series aggregated per minute showing distinct user counts for each minute bucket.
+ *       Returns the total count of distinct users who submitted answers today (from local midnight in tz,
+ *       UTC by default, to now),
+ *       and a zero-filled time series showing distinct user counts for each bucket (per minute by default).
+ *       from/to/interval override the default "today" range.
  *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
  *     responses:
  *       200:
- *         description: Aggregated unique answerers for today
+ *         description: Aggregated unique answerers for the range
  *         content:
  *           application/json:
  *             schema:
@@ -277,23 +949,32 @@ router.get('/metrics/recent-activity', async (req, res, next) => {
  *                     properties:
  *                       time:
  *                         type: string
- *                         description: ISO string for the minute bucket (UTC, e.g., 2025-01-01T12:34:00.000Z)
+ *                         description: >
+ *                           ISO string for the bucket start (e.g., 2025-01-01T12:34:00.000Z, or
+ *                           2025-01-01T18:04:00.000+05:30 when tz is given)
  *                       value:
  *                         type: integer
  *                 timezone:
  *                   type: string
- *                   description: Aggregation uses UTC ('UTC')
+ *                   description: Timezone used for aggregation (echoes tz, default 'UTC')
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/users-answered-today', async (req, res, next) => {
   try {
-    // Compute UTC start of "today" and now (UTC)
+    // Compute start of "today" in the requested timezone (UTC by default) and now
     const now = new Date();
-    const startOfTodayUtc = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0, 0));
+    const range = parseTimeRange(req.query, { defaultTo: now, defaultInterval: 'minute' });
+    if (!range.from) {
+      range.from = truncateDate(now, 'day', range.timezone);
+    }
+    const buckets = listBuckets(range.from, range.to, range.interval, range.timezone);
+    const match = buildRangeMatch('created_at', range);
 
-    // Aggregate distinct users who answered today using Answer.created_at
+    // Aggregate distinct users who answered in range using Answer.created_at
     // total: distinct user_id
     const totalAgg = await Answer.aggregate([
-      { $match: { created_at: { $gte: startOfTodayUtc, $lte: now } } },
+      ...AnswerArchive.withArchived(match),
       { $group: { _id: '$user_id' } },
       { $group: { _id: null, total: { $sum: 1 } } },
       { $project: { _id: 0, total: 1 } },
@@ -301,87 +982,39 @@ router.get('/metrics/users-answered-today', async (req, res, next) => {
 
     const total = Array.isArray(totalAgg) && totalAgg.length ? totalAgg[0].total : 0;
 
-    // series: per minute bucket distinct user_id
-    // Use $dateTrunc where available (MongoDB 5.0+); fallback to $dateToString-based grouping for portability
-    let series = [];
-    try {
-      series = await Answer.aggregate([
-        { $match: { created_at: { $gte: startOfTodayUtc, $lte: now } } },
-        {
-          $group: {
-            _id: {
-              minute: {
-                $dateTrunc: { date: '$created_at', unit: 'minute', timezone: 'UTC' },
-              },
-              user_id: '$user_id',
-            },
-          },
-        },
-        {
-          $group: {
-            _id: '$_id.minute',
-            value: { $sum: 1 },
-          },
-        },
-        {
-          $project: {
-            _id: 0,
-            time: '$_id',
-            value: 1,
-          },
-        },
-        { $sort: { time: 1 } },
-      ]);
-    } catch (_) {
-      // Fallback approach using date string truncation
-      series = await Answer.aggregate([
-        { $match: { created_at: { $gte: startOfTodayUtc, $lte: now } } },
-        {
-          $group: {
-            _id: {
-              minute: {
-                $dateToString: { format: '%Y-%m-%dT%H:%M:00Z', date: '$created_at' },
-              },
-              user_id: '$user_id',
-            },
-          },
-        },
-        {
-          $group: {
-            _id: '$_id.minute',
-            value: { $sum: 1 },
+    // series: per bucket distinct user_id
+    const rows = await Answer.aggregate([
+      ...AnswerArchive.withArchived(match),
+      {
+        $group: {
+          _id: {
+            bucket: bucketExpression('$created_at', range.interval, range.timezone),
+            user_id: '$user_id',
           },
         },
-        {
-          $project: {
-            _id: 0,
-            time: '$_id',
-            value: 1,
-          },
+      },
+      {
+        $group: {
+          _id: '$_id.bucket',
+          value: { $sum: 1 },
         },
-        { $sort: { time: 1 } },
-      ]);
-
-      // Normalize string time to Date to ensure consistent ISO output
-      series = series.map((pt) => ({
-        time: new Date(pt.time),
-        value: pt.value,
-      }));
-    }
+      },
+      { $project: { _id: 0, time: '$_id', value: 1 } },
+    ]);
 
     // Ensure output times are ISO strings
-    const normalizedSeries = series.map((pt) => ({
-      time: (pt.time instanceof Date ? pt.time : new Date(pt.time)).toISOString(),
-      value: Number(pt.value) || 0,
+    const normalizedSeries = zeroFill(rows, buckets, { valueKey: 'value' }).map((pt) => ({
+      time: formatInstant(pt.time, range.timezone),
+      value: pt.value,
     }));
 
     return res.status(200).json({
       total: Number(total) || 0,
       series: normalizedSeries,
-      timezone: 'UTC',
+      timezone: range.timezone,
     });
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
@@ -389,10 +1022,11 @@ router.get('/metrics/users-answered-today', async (req, res, next) => {
  * @swagger
  * /api/metrics/event-heatmap:
  *   get:
- *     summary: Event heatmap by hour and day-of-week (UTC)
+ *     summary: Event heatmap by hour and day-of-week
  *     description: >
- *       Aggregates events grouped by hour-of-day (0-23) and day-of-week (0-6, Sunday=0) in UTC.
- *       Query param range supports 24h or 7d (default 7d). Falls back to Event model if UserEvent not available.
+ *       Aggregates events grouped by local hour-of-day (0-23) and day-of-week (0-6, Sunday=0) in tz (default UTC).
+ *       Query param range supports 24h or 7d (default 7d); from/to override it. The full 7x24 grid is returned
+ *       with empty cells zero-filled. Buckets are fixed to hour x day-of-week, so interval does not apply.
  *     tags: [Metrics]
  *     parameters:
  *       - in: query
@@ -400,7 +1034,10 @@ router.get('/metrics/users-answered-today', async (req, res, next) => {
  *         schema:
  *           type: string
  *           enum: [24h, 7d]
- *         description: Time range for aggregation (default 7d)
+ *         description: Time range for aggregation (default 7d). Ignored when from is given.
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
  *     responses:
  *       200:
  *         description: Heatmap buckets
@@ -428,71 +1065,600 @@ router.get('/metrics/users-answered-today', async (req, res, next) => {
  *                 last24h:
  *                   type: boolean
  *                   description: true if range=24h
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid range parameters
  */
 router.get('/metrics/event-heatmap', async (req, res, next) => {
   try {
-    const range = (req.query.range || '7d').toLowerCase();
-    const last24h = range === '24h';
-    const since = last24h ? new Date(Date.now() - 24 * 3600 * 1000) : new Date(Date.now() - 7 * 24 * 3600 * 1000);
-
-    // Prefer UserEvent if available; fallback to Event
-    let Model = UserEvent;
-    if (!Model || !Model.aggregate) {
-      Model = Event;
+    const rangeParam = (req.query.range || '7d').toLowerCase();
+    const last24h = !req.query.from && rangeParam === '24h';
+    const now = new Date();
+    const since = last24h ? new Date(now.getTime() - 24 * 3600 * 1000) : new Date(now.getTime() - 7 * 24 * 3600 * 1000);
+    const range = parseTimeRange(req.query, { defaultFrom: since, defaultTo: now, defaultInterval: 'hour' });
+
+    // Hour and day of week in the requested timezone; $dayOfWeek is 1 (Sunday) .. 7 (Saturday), dow is 0-6
+    const local = { date: '$timestamp', timezone: range.timezone };
+    const pipeline = [
+      { $match: buildRangeMatch('timestamp', range) },
+      {
+        $group: {
+          _id: {
+            hour: { $hour: local },
+            dow: { $subtract: [{ $dayOfWeek: local }, 1] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $project: { _id: 0, hour: '$_id.hour', dow: '$_id.dow', count: 1 } },
+    ];
+
+    const rows = await UserEvent.aggregate(pipeline);
+    const counts = new Map();
+    (rows || []).forEach((b) => {
+      counts.set(`${Number(b.dow) || 0}:${Number(b.hour) || 0}`, Number(b.count) || 0);
+    });
+
+    // Zero-fill the full day-of-week x hour grid, sorted by dow then hour
+    const buckets = [];
+    for (let dow = 0; dow < 7; dow += 1) {
+      for (let hour = 0; hour < 24; hour += 1) {
+        buckets.push({ hour, dow, count: counts.get(`${dow}:${hour}`) || 0 });
+      }
     }
 
-    // Ensure an index on timestamp exists in the selected model (noop if already there)
-    try {
-      await Model.collection.createIndex({ timestamp: -1 });
-    } catch (_) {
-      // ignore index creation errors in runtime
+    return res.status(200).json({
+      timezone: range.timezone,
+      buckets,
+      last24h,
+      from: formatInstant(range.from, range.timezone),
+      to: formatInstant(range.to, range.timezone),
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+// Per-question scans use the { question_id, created_at } compound index
+const ANSWER_QUESTION_INDEX = { question_id: 1, created_at: -1 };
+
+/**
+ * Parse a positive integer query param with a default and an upper bound.
+ */
+function parseCount(value, name, { defaultValue, max }) {
+  if (value === undefined || value === '') return defaultValue;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw badRequest(`${name} must be a non-negative integer`);
+  }
+  return max ? Math.min(n, max) : n;
+}
+
+/**
+ * Share of part in total rounded to 4 decimals; null when total is 0.
+ */
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 10000) / 10000 : null;
+}
+
+/**
+ * @swagger
+ * /api/metrics/questions/leaderboard:
+ *   get:
+ *     summary: Question difficulty leaderboard
+ *     description: >
+ *       Ranks questions by difficulty index (share of correct attempts, 0 = nobody answers correctly, 1 = everybody does).
+ *       Defaults to hardest first. basis=first computes the index from each user's first attempt only, so retries
+ *       do not inflate it; both rates are always returned. Questions with fewer than min_attempts attempts in the range are left out;
+ *       archived questions are excluded unless include_archived=true.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [hardest, easiest]
+ *           default: hardest
+ *       - in: query
+ *         name: basis
+ *         schema:
+ *           type: string
+ *           enum: [all, first]
+ *           default: all
+ *       - in: query
+ *         name: min_attempts
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Ranked questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order: { type: string }
+ *                 basis: { type: string }
+ *                 min_attempts: { type: integer }
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank: { type: integer }
+ *                       question_id: { type: string }
+ *                       text: { type: string }
+ *                       difficulty: { type: string, description: Author-assigned difficulty label }
+ *                       archived: { type: boolean }
+ *                       attempts: { type: integer }
+ *                       correct: { type: integer }
+ *                       first_attempts: { type: integer, description: Users whose first attempt (outside quiz sessions) falls in the range }
+ *                       first_attempt_correct: { type: integer }
+ *                       correct_rate: { type: number }
+ *                       first_attempt_correct_rate: { type: number, nullable: true }
+ *                       difficulty_index: { type: number, description: correct_rate or first_attempt_correct_rate depending on basis }
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/metrics/questions/leaderboard', async (req, res, next) => {
+  try {
+    const range = parseTimeRange(req.query);
+    const order = String(req.query.order || 'hardest').toLowerCase();
+    if (!['hardest', 'easiest'].includes(order)) {
+      throw badRequest('order must be one of hardest, easiest');
     }
+    const minAttempts = parseCount(req.query.min_attempts, 'min_attempts', { defaultValue: 5 });
+    const limit = Math.max(1, parseCount(req.query.limit, 'limit', { defaultValue: 10, max: 100 }));
+    const includeArchived = String(req.query.include_archived || '').toLowerCase() === 'true';
+    const basis = String(req.query.basis || 'all').toLowerCase();
+    if (!['all', 'first'].includes(basis)) {
+      throw badRequest('basis must be one of all, first');
+    }
+    const direction = order === 'hardest' ? 1 : -1;
+    const attemptsKey = basis === 'first' ? 'first_attempts' : 'attempts';
+    const correctKey = basis === 'first' ? 'first_attempt_correct' : 'correct';
 
-    // Use $dateToParts with timezone 'UTC' to extract hour and dayOfWeek (1=Sun ... 7=Sat in Mongo)
-    // Convert to 0-6 with (dayOfWeek % 7)
-    const pipeline = [
-      { $match: { timestamp: { $gte: since } } },
+    const rows = await Answer.aggregate([
+      ...AnswerArchive.withArchived(buildRangeMatch('created_at', range)),
       {
-        $addFields: {
-          parts: { $dateToParts: { date: '$timestamp', timezone: 'UTC' } },
+        $group: {
+          _id: { question_id: '$question_id', user_id: '$user_id' },
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ['$isCorrect', 1, 0] } },
+          // Earliest answer outside quiz sessions ($min skips the quiz rows, which have no attempt_number)
+          first: {
+            $min: {
+              $cond: [
+                { $gt: ['$quiz_session_id', null] },
+                '$$REMOVE',
+                { created_at: '$created_at', isCorrect: '$isCorrect', attempt_number: '$attempt_number' },
+              ],
+            },
+          },
         },
       },
+      // Legacy answers without attempt_number count their earliest answer as the first attempt
       {
-        $group: {
-          _id: {
-            hour: '$parts.hour',
-            dow1based: '$parts.dayOfWeek',
+        $addFields: {
+          first_in_range: {
+            $and: [{ $gt: ['$first', null] }, { $eq: [{ $ifNull: ['$first.attempt_number', 1] }, 1] }],
           },
-          count: { $sum: 1 },
         },
       },
       {
-        $project: {
-          _id: 0,
-          hour: '$_id.hour',
-          dow: { $mod: ['$_id.dow1based', 7] }, // 1..7 -> 1..6,0 mapping where 1=>1 .. 7=>0 (Sun=0)
-          count: 1,
+        $group: {
+          _id: '$_id.question_id',
+          attempts: { $sum: '$attempts' },
+          correct: { $sum: '$correct' },
+          first_attempts: { $sum: { $cond: ['$first_in_range', 1, 0] } },
+          first_attempt_correct: { $sum: { $cond: [{ $and: ['$first_in_range', '$first.isCorrect'] }, 1, 0] } },
         },
       },
-      { $sort: { dow: 1, hour: 1 } },
-    ];
+      { $match: { [attemptsKey]: { $gte: Math.max(minAttempts, 1) } } },
+      { $addFields: { difficulty_index: { $divide: [`$${correctKey}`, `$${attemptsKey}`] } } },
+      { $sort: { difficulty_index: direction, attempts: -1, _id: 1 } },
+      { $lookup: { from: Question.collection.name, localField: '_id', foreignField: '_id', as: 'question' } },
+      { $unwind: '$question' },
+      ...(includeArchived ? [] : [{ $match: { 'question.archived_at': null } }]),
+      { $limit: limit },
+    ]);
+
+    const items = rows.map((row, i) => ({
+      rank: i + 1,
+      question_id: String(row._id),
+      text: row.question.text,
+      difficulty: row.question.difficulty,
+      archived: Boolean(row.question.archived_at),
+      attempts: row.attempts,
+      correct: row.correct,
+      first_attempts: row.first_attempts,
+      first_attempt_correct: row.first_attempt_correct,
+      correct_rate: ratio(row.correct, row.attempts),
+      first_attempt_correct_rate: ratio(row.first_attempt_correct, row.first_attempts),
+      difficulty_index: basis === 'first'
+        ? ratio(row.first_attempt_correct, row.first_attempts)
+        : ratio(row.correct, row.attempts),
+    }));
+    return res.status(200).json({ order, basis, min_attempts: minAttempts, items });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/metrics/questions/{id}:
+ *   get:
+ *     summary: Per-question analytics
+ *     description: >
+ *       Returns total attempts, unique answerers, correct rate, the distribution of selected options and a
+ *       zero-filled time series of attempts for one question. The series defaults to daily buckets from the
+ *       question's creation until now. first_attempt / retry split the attempts: a user's first attempt is the
+ *       answer with attempt_number 1 (for answers recorded before attempts were tracked, their earliest answer).
+ *       Answers given in quiz sessions are not counted as first attempts.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *       - $ref: '#/components/parameters/MetricsInterval'
+ *     responses:
+ *       200:
+ *         description: Question analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 question_id: { type: string }
+ *                 text: { type: string }
+ *                 difficulty: { type: string }
+ *                 archived: { type: boolean }
+ *                 total_attempts: { type: integer }
+ *                 unique_answerers: { type: integer }
+ *                 correct_attempts: { type: integer }
+ *                 correct_rate: { type: number, nullable: true }
+ *                 first_attempt:
+ *                   type: object
+ *                   properties:
+ *                     attempts: { type: integer }
+ *                     correct: { type: integer }
+ *                     correct_rate: { type: number, nullable: true }
+ *                 retry:
+ *                   type: object
+ *                   properties:
+ *                     attempts: { type: integer }
+ *                     correct: { type: integer }
+ *                     correct_rate: { type: number, nullable: true }
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index: { type: integer }
+ *                       text: { type: string }
+ *                       key: { type: string }
+ *                       count: { type: integer }
+ *                       share: { type: number, nullable: true }
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time: { type: string, format: date-time }
+ *                       value: { type: integer }
+ *                 interval: { type: string }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid range parameters
+ *       404:
+ *         description: Question not found
+ */
+router.get('/metrics/questions/:id', async (req, res, next) => {
+  try {
+    const range = parseTimeRange(req.query, { defaultInterval: 'day' });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    const question = await Question.findById(req.params.id).lean();
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    if (!range.from) {
+      range.from = question.created_at;
+      range.to = range.to || new Date();
+    }
+    const buckets = listBuckets(range.from, range.to, range.interval, range.timezone);
 
-    let buckets = await Model.aggregate(pipeline);
+    const [facets] = await Answer.aggregate([
+      ...AnswerArchive.withArchived({ question_id: question._id, ...buildRangeMatch('created_at', range) }),
+      { $sort: { created_at: 1 } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                attempts: { $sum: 1 },
+                correct: { $sum: { $cond: ['$isCorrect', 1, 0] } },
+              },
+            },
+          ],
+          users: [{ $group: { _id: '$user_id' } }, { $count: 'count' }],
+          firstAttempts: [
+            // Quiz session answers have no attempt_number and are not attempts of the attempt policy
+            { $match: { quiz_session_id: { $exists: false } } },
+            { $group: { _id: '$user_id', first: { $first: { isCorrect: '$isCorrect', attempt_number: '$attempt_number' } } } },
+            { $match: { 'first.attempt_number': { $in: [1, null] } } },
+            { $group: { _id: null, attempts: { $sum: 1 }, correct: { $sum: { $cond: ['$first.isCorrect', 1, 0] } } } },
+          ],
+          options: [{ $group: { _id: '$selectedOptionIndex', count: { $sum: 1 } } }],
+          series: [
+            { $group: { _id: bucketExpression('$created_at', range.interval, range.timezone), count: { $sum: 1 } } },
+            { $project: { _id: 0, time: '$_id', count: 1 } },
+          ],
+        },
+      },
+    ]).hint(ANSWER_QUESTION_INDEX);
 
-    // Normalize numbers
-    buckets = (buckets || []).map((b) => ({
-      hour: Number(b.hour) || 0,
-      dow: Number(b.dow) || 0,
-      count: Number(b.count) || 0,
+    const totals = facets.totals[0] || { attempts: 0, correct: 0 };
+    const first = facets.firstAttempts[0] || { attempts: 0, correct: 0 };
+    const optionCounts = new Map(facets.options.map((row) => [row._id, row.count]));
+    const options = (question.options || []).map((opt, index) => ({
+      index,
+      text: opt.text,
+      key: opt.key,
+      count: optionCounts.get(index) || 0,
+      share: ratio(optionCounts.get(index) || 0, totals.attempts),
     }));
 
     return res.status(200).json({
-      timezone: 'UTC',
-      buckets,
-      last24h,
+      question_id: String(question._id),
+      text: question.text,
+      difficulty: question.difficulty,
+      archived: Boolean(question.archived_at),
+      total_attempts: totals.attempts,
+      unique_answerers: facets.users.length ? facets.users[0].count : 0,
+      correct_attempts: totals.correct,
+      correct_rate: ratio(totals.correct, totals.attempts),
+      first_attempt: {
+        attempts: first.attempts,
+        correct: first.correct,
+        correct_rate: ratio(first.correct, first.attempts),
+      },
+      retry: {
+        attempts: totals.attempts - first.attempts,
+        correct: totals.correct - first.correct,
+        correct_rate: ratio(totals.correct - first.correct, totals.attempts - first.attempts),
+      },
+      options,
+      series: zeroFill(facets.series, buckets).map((pt) => ({ time: formatInstant(pt.time, range.timezone), value: pt.value })),
+      interval: range.interval,
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * Aggregate quiz_start / quiz_finish user_events per quiz. Rates use events inside the range, so a session
+ * started before `from` but finished inside it counts as a finish without a start.
+ */
+function aggregateQuizEvents(match) {
+  const isFinish = { $eq: ['$event_type', 'quiz_finish'] };
+  const isCompleted = { $and: [isFinish, { $eq: ['$meta.status', 'completed'] }] };
+  return UserEvent.aggregate([
+    { $match: { event_type: { $in: ['quiz_start', 'quiz_finish'] }, ...match } },
+    {
+      $group: {
+        _id: '$meta.quiz_id',
+        started: { $sum: { $cond: [{ $eq: ['$event_type', 'quiz_start'] }, 1, 0] } },
+        finished: { $sum: { $cond: [isFinish, 1, 0] } },
+        completed: { $sum: { $cond: [isCompleted, 1, 0] } },
+        average_score: { $avg: { $cond: [isFinish, '$meta.score', null] } },
+        average_ms: { $avg: { $cond: [isCompleted, '$meta.duration_ms', null] } },
+        min_ms: { $min: { $cond: [isCompleted, '$meta.duration_ms', null] } },
+        max_ms: { $max: { $cond: [isCompleted, '$meta.duration_ms', null] } },
+      },
+    },
+  ]);
+}
+
+/**
+ * Shape one aggregateQuizEvents row for the response.
+ */
+function quizSummary(row) {
+  const r = row || {};
+  const started = r.started || 0;
+  const completed = r.completed || 0;
+  return {
+    sessions_started: started,
+    sessions_completed: completed,
+    sessions_expired: (r.finished || 0) - completed,
+    completion_rate: ratio(completed, started),
+    average_score: typeof r.average_score === 'number' ? Math.round(r.average_score * 10000) / 10000 : null,
+    time_to_complete_ms: {
+      average: typeof r.average_ms === 'number' ? Math.round(r.average_ms) : null,
+      min: typeof r.min_ms === 'number' ? r.min_ms : null,
+      max: typeof r.max_ms === 'number' ? r.max_ms : null,
+    },
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizSummary:
+ *       type: object
+ *       properties:
+ *         sessions_started: { type: integer }
+ *         sessions_completed: { type: integer, description: Finished before the deadline }
+ *         sessions_expired: { type: integer, description: Finished at or after the deadline }
+ *         completion_rate: { type: number, nullable: true, description: sessions_completed / sessions_started }
+ *         average_score: { type: number, nullable: true, description: Mean score (share correct) of finished sessions }
+ *         time_to_complete_ms:
+ *           type: object
+ *           properties:
+ *             average: { type: integer, nullable: true }
+ *             min: { type: integer, nullable: true }
+ *             max: { type: integer, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/metrics/quizzes:
+ *   get:
+ *     summary: Quiz completion overview
+ *     description: >
+ *       Completion rate, average score and time-to-complete per quiz, from quiz_start / quiz_finish user_events
+ *       inside the range. Quizzes without sessions in the range are listed with zero counts.
+ *     tags: [Metrics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *     responses:
+ *       200:
+ *         description: Per-quiz summaries, newest quiz first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/QuizSummary'
+ *                 properties:
+ *                   quiz_id: { type: string }
+ *                   title: { type: string }
+ *       400:
+ *         description: Invalid range parameters
+ */
+router.get('/metrics/quizzes', async (req, res, next) => {
+  try {
+    const range = parseTimeRange(req.query);
+    const [quizzes, rows] = await Promise.all([
+      Quiz.find({}).sort({ created_at: -1 }).select({ title: 1 }).lean(),
+      aggregateQuizEvents(buildRangeMatch('timestamp', range)),
+    ]);
+    const byQuiz = new Map(rows.map((row) => [String(row._id), row]));
+    return res.status(200).json(quizzes.map((quiz) => ({
+      quiz_id: String(quiz._id),
+      title: quiz.title,
+      ...quizSummary(byQuiz.get(String(quiz._id))),
+    })));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/metrics/quizzes/{id}:
+ *   get:
+ *     summary: Quiz analytics
+ *     description: >
+ *       Completion rate, average score and time-to-complete for one quiz (from user_events), plus per-question
+ *       attempts and correct rate in quiz order (from answers given inside the quiz's sessions).
+ *     tags: [Metrics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *     responses:
+ *       200:
+ *         description: Quiz analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/QuizSummary'
+ *               properties:
+ *                 quiz_id: { type: string }
+ *                 title: { type: string }
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       position: { type: integer }
+ *                       question_id: { type: string }
+ *                       attempts: { type: integer }
+ *                       correct_rate: { type: number, nullable: true }
+ *       400:
+ *         description: Invalid range parameters
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/metrics/quizzes/:id', async (req, res, next) => {
+  try {
+    const range = parseTimeRange(req.query);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    const quiz = await Quiz.findById(req.params.id).lean();
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    const [rows, answerRows] = await Promise.all([
+      aggregateQuizEvents({ 'meta.quiz_id': String(quiz._id), ...buildRangeMatch('timestamp', range) }),
+      Answer.aggregate([
+        ...AnswerArchive.withArchived({ quiz_id: quiz._id, ...buildRangeMatch('created_at', range) }),
+        {
+          $group: {
+            _id: '$question_id',
+            attempts: { $sum: 1 },
+            correct: { $sum: { $cond: ['$isCorrect', 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+    const byQuestion = new Map(answerRows.map((row) => [String(row._id), row]));
+    const questions = quiz.question_ids.map((id, position) => {
+      const row = byQuestion.get(String(id)) || { attempts: 0, correct: 0 };
+      return {
+        position,
+        question_id: String(id),
+        attempts: row.attempts,
+        correct_rate: ratio(row.correct, row.attempts),
+      };
+    });
+    return res.status(200).json({
+      quiz_id: String(quiz._id),
+      title: quiz.title,
+      ...quizSummary(rows[0]),
+      questions,
     });
   } catch (err) {
-    return next(err);
+    return handleHttpError(err, res, next);
   }
 });
 
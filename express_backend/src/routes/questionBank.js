@@ -0,0 +1,246 @@
+'use strict';
+
+const express = require('express');
+const { requireAuth, requireAdmin, handleHttpError } = require('../middleware');
+const Question = require('../models/Question');
+const questionBank = require('../services/questionBank');
+const metricsCache = require('../services/metricsCache');
+
+const router = express.Router();
+
+// Upper bound on questions accepted by a single import request
+const IMPORT_MAX_ROWS = Number(process.env.QUESTIONS_IMPORT_MAX_ROWS) || 5000;
+
+/**
+ * @swagger
+ * /api/questions/import:
+ *   post:
+ *     summary: Import a question bank (admin only)
+ *     description: >
+ *       Imports questions from JSON (an array or { questions: [...] } of { text, options, correctOptionIndex,
+ *       difficulty, tags }), CSV (header text, option_1 .. option_10, correctOptionIndex, difficulty, tags with
+ *       tags separated by ';') or Moodle GIFT (multiple-choice and true/false questions; '// [tag:x]' and
+ *       '// [difficulty:x]' comments before a question set its tags and difficulty).
+ *       Every row is validated with the question rules; valid rows are written with a single bulk insert and
+ *       the response reports the outcome per row (index, plus the source line for CSV and GIFT).
+ *       With dry_run=true nothing is written. JSON banks larger than the 100kb JSON body limit can be sent as
+ *       text/plain with format=json.
+ *     tags: [MCQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, gift] }
+ *         description: Defaults from Content-Type (application/json, text/csv); required for GIFT and text/plain bodies
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/NewQuestionRequest'
+ *         text/csv:
+ *           schema: { type: string }
+ *         text/plain:
+ *           schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Dry run report (nothing written)
+ *       201:
+ *         description: All rows were inserted
+ *       207:
+ *         description: Some rows were inserted, others failed (see results)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format: { type: string }
+ *                 dry_run: { type: boolean }
+ *                 inserted: { type: integer }
+ *                 failed: { type: integer }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index: { type: integer }
+ *                       line: { type: integer }
+ *                       ok: { type: boolean }
+ *                       _id: { type: string }
+ *                       error: { type: string }
+ *       400:
+ *         description: Unreadable body, unknown format, or no valid rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       413:
+ *         description: Too many rows in a single import
+ */
+router.post(
+  '/questions/import',
+  requireAuth,
+  requireAdmin,
+  express.text({ type: ['text/*', 'application/x-gift', 'application/octet-stream'], limit: '10mb' }),
+  async (req, res, next) => {
+    try {
+      const dryRun = String(req.query.dry_run || '').toLowerCase() === 'true';
+      const format = questionBank.detectFormat(req.query.format, req.get('Content-Type'));
+      const items = questionBank.parseBank(format, req.body);
+
+      if (!items.length) {
+        return res.status(400).json({ error: 'The question bank contains no questions' });
+      }
+      if (items.length > IMPORT_MAX_ROWS) {
+        return res.status(413).json({ error: `An import may contain at most ${IMPORT_MAX_ROWS} questions` });
+      }
+
+      const results = new Array(items.length);
+      const docs = [];
+      const docIndexes = [];
+      items.forEach((item, index) => {
+        const line = item && item.line ? { line: item.line } : {};
+        const { doc, error } = questionBank.validateItem(item);
+        if (error) {
+          results[index] = { index, ...line, ok: false, error };
+          return;
+        }
+        doc.created_by = req.user?.id || undefined;
+        results[index] = { index, ...line, ok: true };
+        docIndexes.push(index);
+        docs.push(doc);
+      });
+
+      if (dryRun || docs.length === 0) {
+        const valid = results.filter((r) => r.ok).length;
+        return res.status(docs.length === 0 ? 400 : 200).json({
+          format,
+          dry_run: dryRun,
+          inserted: 0,
+          valid,
+          failed: results.length - valid,
+          results,
+        });
+      }
+
+      // Single unordered bulk insert; write errors are reported per row instead of failing the import
+      const writeFailures = new Map();
+      try {
+        await Question.insertMany(docs, { ordered: false });
+      } catch (bulkErr) {
+        const writeErrors = bulkErr && bulkErr.writeErrors;
+        if (!Array.isArray(writeErrors)) {
+          throw bulkErr;
+        }
+        writeErrors.forEach((we) => {
+          writeFailures.set(we.index, we.errmsg || 'write failed');
+        });
+      }
+
+      docs.forEach((doc, i) => {
+        const index = docIndexes[i];
+        if (writeFailures.has(i)) {
+          results[index] = { ...results[index], ok: false, error: writeFailures.get(i) };
+        } else {
+          results[index] = { ...results[index], _id: String(doc._id) };
+        }
+      });
+
+      const inserted = results.filter((r) => r.ok).length;
+      const failed = results.length - inserted;
+      if (inserted) metricsCache.invalidate(['questions']);
+      const status = failed === 0 ? 201 : 207;
+      return res.status(status).json({ format, dry_run: false, inserted, failed, results });
+    } catch (err) {
+      return handleHttpError(err, res, next);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/questions/export:
+ *   get:
+ *     summary: Export the question bank (admin only)
+ *     description: >
+ *       Downloads all questions (including correct answers) as JSON, CSV or GIFT, in the same layout the
+ *       import endpoint accepts. Archived questions are left out unless include_archived=true.
+ *       Optional difficulty and tags filters work as on GET /api/questions.
+ *     tags: [MCQ]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, gift], default: json }
+ *       - in: query
+ *         name: include_archived
+ *         schema: { type: boolean, default: false }
+ *       - in: query
+ *         name: difficulty
+ *         schema: { type: string }
+ *       - in: query
+ *         name: tags
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Question bank file (Content-Disposition attachment)
+ *       400:
+ *         description: Invalid format or filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/questions/export', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!questionBank.FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${questionBank.FORMATS.join(', ')}` });
+    }
+    const filter = {};
+    if (String(req.query.include_archived || '').toLowerCase() !== 'true') {
+      filter.archived_at = null;
+    }
+    const difficulties = listParam(req.query.difficulty);
+    if (difficulties.length) {
+      const allowed = Question.schema.path('difficulty').enumValues;
+      const invalid = difficulties.filter((d) => !allowed.includes(d));
+      if (invalid.length) {
+        return res.status(400).json({ error: `difficulty must be one of ${allowed.join(', ')}` });
+      }
+      filter.difficulty = { $in: difficulties };
+    }
+    const tags = listParam(req.query.tags);
+    if (tags.length) filter.tags = { $all: tags };
+
+    const questions = await Question.find(filter).sort({ created_at: 1, _id: 1 }).lean();
+    const { contentType, extension, body } = questionBank.serializeBank(format, questions);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="questions-${stamp}.${extension}"`);
+    return res.status(200).send(body);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * Split a comma-separated or repeated query param into trimmed, non-empty values.
+ */
+function listParam(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+module.exports = router;
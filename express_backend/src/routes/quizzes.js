@@ -0,0 +1,524 @@
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  requireAuth, requireAdmin, isAdminPrincipal, httpError, badRequest, handleHttpError,
+} = require('../middleware');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const Question = require('../models/Question');
+const quizSessions = require('../services/quizSessions');
+const { parseLimit, decodeCursor, cursorFilter, buildPage } = require('../services/pagination');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quizzes
+ *   description: Timed quizzes built from MCQ questions, and per-user quiz sessions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Quiz:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         title: { type: string }
+ *         description: { type: string }
+ *         question_ids:
+ *           type: array
+ *           items: { type: string }
+ *           description: Questions in presentation order
+ *         time_limit_seconds: { type: integer, nullable: true }
+ *         opens_at: { type: string, format: date-time, nullable: true }
+ *         closes_at: { type: string, format: date-time, nullable: true }
+ *         is_open: { type: boolean }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *     QuizRequest:
+ *       type: object
+ *       required: [title, question_ids]
+ *       properties:
+ *         title: { type: string }
+ *         description: { type: string }
+ *         question_ids:
+ *           type: array
+ *           minItems: 1
+ *           items: { type: string }
+ *         time_limit_seconds: { type: integer, nullable: true, minimum: 1 }
+ *         opens_at: { type: string, format: date-time, nullable: true }
+ *         closes_at: { type: string, format: date-time, nullable: true }
+ *     QuizSession:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         quiz_id: { type: string }
+ *         user_id: { type: string }
+ *         status: { type: string, enum: [in_progress, completed, expired] }
+ *         total_questions: { type: integer }
+ *         responses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               question_id: { type: string }
+ *               answer_id: { type: string }
+ *               selectedOptionIndex: { type: integer }
+ *               isCorrect: { type: boolean }
+ *               answered_at: { type: string, format: date-time }
+ *         correct_count: { type: integer }
+ *         score: { type: number, nullable: true, description: Share of questions answered correctly (set when finished) }
+ *         started_at: { type: string, format: date-time }
+ *         expires_at: { type: string, format: date-time, nullable: true }
+ *         finished_at: { type: string, format: date-time, nullable: true }
+ *         seconds_remaining: { type: integer, nullable: true }
+ */
+
+/**
+ * Parse an optional date body field; null clears it.
+ */
+function parseOptionalDate(value, name) {
+  if (value === null) return null;
+  const date = new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date or null`);
+  }
+  return date;
+}
+
+/**
+ * Validate a quiz create/update body. For create (partial=false) title and question_ids are required.
+ * Question ids must exist and not be archived. Returns the fields to apply.
+ */
+async function validateQuizBody(body, { partial }) {
+  const { title, description, question_ids, time_limit_seconds, opens_at, closes_at } = body || {};
+  if (!partial && (!title || !Array.isArray(question_ids))) {
+    throw badRequest('title and question_ids (array) are required');
+  }
+  const update = {};
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) throw badRequest('title must be a non-empty string');
+    update.title = title;
+  }
+  if (description !== undefined) update.description = description;
+  if (question_ids !== undefined) {
+    if (!Array.isArray(question_ids) || !question_ids.length) throw badRequest('question_ids must be a non-empty array');
+    if (!question_ids.every((id) => mongoose.isValidObjectId(id))) throw badRequest('question_ids must contain valid ids');
+    if (new Set(question_ids.map(String)).size !== question_ids.length) throw badRequest('question_ids must not repeat');
+    const found = await Question.find({ _id: { $in: question_ids }, archived_at: null }).select({ _id: 1 }).lean();
+    if (found.length !== question_ids.length) {
+      const known = new Set(found.map((q) => String(q._id)));
+      throw badRequest(`Unknown or archived questions: ${question_ids.filter((id) => !known.has(String(id))).join(', ')}`);
+    }
+    update.question_ids = question_ids;
+  }
+  if (time_limit_seconds !== undefined) {
+    if (time_limit_seconds !== null && (!Number.isInteger(time_limit_seconds) || time_limit_seconds < 1)) {
+      throw badRequest('time_limit_seconds must be a positive integer or null');
+    }
+    update.time_limit_seconds = time_limit_seconds;
+  }
+  if (opens_at !== undefined) update.opens_at = parseOptionalDate(opens_at, 'opens_at');
+  if (closes_at !== undefined) update.closes_at = parseOptionalDate(closes_at, 'closes_at');
+  if (partial && !Object.keys(update).length) {
+    throw badRequest('No updatable fields provided');
+  }
+  return update;
+}
+
+function toPublicQuiz(quiz) {
+  const q = typeof quiz.toObject === 'function' ? quiz.toObject() : quiz;
+  return { ...q, is_open: quizSessions.isOpen(q) };
+}
+
+/**
+ * Load a session for the current user; admins may load any session.
+ */
+async function loadOwnSession(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) throw httpError(404, 'Session not found');
+  const session = await QuizSession.findById(req.params.id);
+  if (!session) throw httpError(404, 'Session not found');
+  if (String(session.user_id) !== String(req.user.id) && !isAdminPrincipal(req.user)) {
+    throw httpError(403, 'Not your session');
+  }
+  return session;
+}
+
+/**
+ * @swagger
+ * /api/quizzes:
+ *   post:
+ *     summary: Create a quiz (admin)
+ *     tags: [Quizzes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizRequest'
+ *     responses:
+ *       201:
+ *         description: Created quiz
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/quizzes', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const fields = await validateQuizBody(req.body, { partial: false });
+    const saved = await new Quiz({ ...fields, created_by: req.user?.id || undefined }).save();
+    return res.status(201).json(toPublicQuiz(saved));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quizzes:
+ *   get:
+ *     summary: List quizzes
+ *     description: Newest first with cursor pagination (see GET /api/questions). open=true lists only quizzes accepting sessions now.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of quizzes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Quiz'
+ *                 page:
+ *                   type: object
+ *                   properties:
+ *                     limit: { type: integer }
+ *                     has_more: { type: boolean }
+ *                     next_cursor: { type: string, nullable: true }
+ *       400:
+ *         description: Invalid parameters
+ */
+router.get('/quizzes', async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const filter = cursorFilter('created_at', decodeCursor(req.query.cursor));
+    if (String(req.query.open || '').toLowerCase() === 'true') {
+      const now = new Date();
+      filter.$and = [
+        { $or: [{ opens_at: null }, { opens_at: { $lte: now } }] },
+        { $or: [{ closes_at: null }, { closes_at: { $gt: now } }] },
+      ];
+    }
+    const docs = await Quiz.find(filter).sort({ created_at: -1, _id: -1 }).limit(limit + 1).lean();
+    const page = buildPage(docs, limit, 'created_at');
+    return res.status(200).json({ ...page, items: page.items.map(toPublicQuiz) });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   get:
+ *     summary: Get a quiz with its questions
+ *     description: Returns the quiz and its questions in order, without correct answer indexes.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz with questions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Quiz'
+ *               properties:
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PublicQuestion'
+ *       404:
+ *         description: Quiz not found
+ */
+router.get('/quizzes/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) throw httpError(404, 'Quiz not found');
+    const quiz = await quizSessions.loadQuiz(req.params.id);
+    const docs = await Question.find({ _id: { $in: quiz.question_ids } })
+      .select('-correctOptionIndex -archived_at -archived_by')
+      .lean();
+    const byId = new Map(docs.map((d) => [String(d._id), d]));
+    const questions = quiz.question_ids.map((id) => byId.get(String(id))).filter(Boolean);
+    return res.status(200).json({ ...toPublicQuiz(quiz), questions });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quizzes/{id}:
+ *   patch:
+ *     summary: Update a quiz (admin)
+ *     description: Partial update. Running sessions keep the deadline and question count they started with.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizRequest'
+ *     responses:
+ *       200:
+ *         description: Updated quiz
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Quiz'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Quiz not found
+ */
+router.patch('/quizzes/:id', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const fields = await validateQuizBody(req.body, { partial: true });
+    if (!mongoose.isValidObjectId(req.params.id)) throw httpError(404, 'Quiz not found');
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) throw httpError(404, 'Quiz not found');
+    quiz.set(fields);
+    const saved = await quiz.save();
+    return res.status(200).json(toPublicQuiz(saved));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quizzes/{id}/sessions:
+ *   post:
+ *     summary: Start (or resume) a quiz session
+ *     description: >
+ *       Starts a session for the authenticated user and logs a quiz_start user_event. If the user already has a
+ *       running session for this quiz it is returned with 200 instead.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizSession'
+ *       200:
+ *         description: Running session resumed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Quiz not found
+ *       409:
+ *         description: Quiz is not open
+ */
+router.post('/quizzes/:id/sessions', requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) throw httpError(404, 'Quiz not found');
+    const quiz = await quizSessions.loadQuiz(req.params.id);
+    const { session, resumed } = await quizSessions.start(quiz, req.user);
+    return res.status(resumed ? 200 : 201).json(quizSessions.toPublicSession(session));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quiz-sessions/{id}:
+ *   get:
+ *     summary: Get a quiz session
+ *     description: Owner or admin only. Sessions past their deadline are reported as expired.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizSession'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.get('/quiz-sessions/:id', requireAuth, async (req, res, next) => {
+  try {
+    const session = await quizSessions.expireIfDue(await loadOwnSession(req));
+    return res.status(200).json(quizSessions.toPublicSession(session));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quiz-sessions/{id}/answers:
+ *   post:
+ *     summary: Answer a question inside a quiz session
+ *     description: >
+ *       Records the answer (an Answer document tagged with quiz_id / quiz_session_id) and logs a quiz_answer
+ *       user_event. Each quiz question can be answered once per session.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewAnswerRequest'
+ *     responses:
+ *       201:
+ *         description: Answer recorded; returns the updated session and the answer's correctness
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session finished or expired, or question already answered
+ */
+router.post('/quiz-sessions/:id/answers', requireAuth, async (req, res, next) => {
+  try {
+    const { question_id, selectedOptionIndex } = req.body || {};
+    if (!question_id || typeof selectedOptionIndex !== 'number') {
+      return res.status(400).json({ error: 'question_id and selectedOptionIndex are required' });
+    }
+    const session = await loadOwnSession(req);
+    if (String(session.user_id) !== String(req.user.id)) {
+      throw httpError(403, 'Only the session owner can answer');
+    }
+    const quiz = await quizSessions.loadQuiz(session.quiz_id);
+    const result = await quizSessions.answer(session, quiz, { question_id, selectedOptionIndex }, {
+      ua: req.get('user-agent') || '',
+    });
+    return res.status(201).json({
+      answer: {
+        _id: String(result.answer._id),
+        question_id: String(result.answer.question_id),
+        selectedOptionIndex: result.answer.selectedOptionIndex,
+        isCorrect: result.answer.isCorrect,
+        created_at: result.answer.created_at,
+      },
+      session: quizSessions.toPublicSession(result.session),
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/quiz-sessions/{id}/finish:
+ *   post:
+ *     summary: Finish a quiz session
+ *     description: >
+ *       Scores the session and logs a quiz_finish user_event (score and duration in meta). Sessions past their
+ *       deadline finish as expired. Finishing twice returns the finished session.
+ *     tags: [Quizzes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Finished session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuizSession'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your session
+ *       404:
+ *         description: Session not found
+ */
+router.post('/quiz-sessions/:id/finish', requireAuth, async (req, res, next) => {
+  try {
+    const session = await loadOwnSession(req);
+    const finished = await quizSessions.finish(session);
+    return res.status(200).json(quizSessions.toPublicSession(finished));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+module.exports = router;
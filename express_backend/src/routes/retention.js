@@ -0,0 +1,126 @@
+'use strict';
+
+const express = require('express');
+const { requireAuth, requireAdmin, handleHttpError } = require('../middleware');
+const retention = require('../services/retention');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Retention
+ *   description: Retention of raw event data (purge, archival and TTL policies)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RetentionRun:
+ *       type: object
+ *       properties:
+ *         target: { type: string, enum: [user_events, events, answers] }
+ *         mode: { type: string, enum: [delete, archive] }
+ *         days: { type: integer }
+ *         cutoff: { type: string, format: date-time, description: Rows older than this were purged }
+ *         trigger: { type: string, enum: [schedule, manual] }
+ *         compacted_days: { type: integer, description: Days whose rollups were rebuilt before the purge }
+ *         deleted: { type: integer }
+ *         archived: { type: integer }
+ *         error: { type: string, nullable: true }
+ *         started_at: { type: string, format: date-time }
+ *         finished_at: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/admin/retention:
+ *   get:
+ *     summary: Current retention settings and last purge runs (admin only)
+ *     description: >
+ *       Settings come from RETENTION_<USER_EVENTS|EVENTS|ANSWERS>_DAYS, _MODE (delete, archive or ttl) and _COMPACT.
+ *       days 0 keeps data forever. TTL mode is enforced by MongoDB and has no purge runs. Answers can only be
+ *       archived, since archived answers still count toward the attempt policy.
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retention status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purge_interval_ms: { type: integer }
+ *                 running: { type: boolean }
+ *                 next_run_at: { type: string, format: date-time, nullable: true }
+ *                 collections:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name: { type: string }
+ *                       collection: { type: string }
+ *                       field: { type: string, description: Date field rows expire by }
+ *                       days: { type: integer }
+ *                       enabled: { type: boolean }
+ *                       mode: { type: string, enum: [delete, archive, ttl] }
+ *                       compact: { type: boolean, description: Rollups are rebuilt before purging }
+ *                       archive_collection: { type: string, nullable: true }
+ *                       last_run:
+ *                         nullable: true
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/RetentionRun'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ */
+router.get('/admin/retention', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    return res.status(200).json(await retention.status());
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/retention/run:
+ *   post:
+ *     summary: Run the retention purge now (admin only)
+ *     description: Purges every collection in delete or archive mode, as the scheduled job does.
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One run record per purged collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 runs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RetentionRun'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       409:
+ *         description: A run is already in progress
+ */
+router.post('/admin/retention/run', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const runs = await retention.run({ trigger: 'manual' });
+    return res.status(200).json({ runs });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+module.exports = router;
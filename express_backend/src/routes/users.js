@@ -0,0 +1,342 @@
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { requireAuth, requireAdmin, handleHttpError } = require('../middleware');
+const User = require('../models/User');
+const userStats = require('../services/userStats');
+const sessions = require('../services/sessions');
+const { resolveTimezone, parseTimeRange, parseDuration, formatInstant } = require('../services/timeRange');
+const { parseLimit, decodeCursor } = require('../services/pagination');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: Per-user progress and score history
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccuracyBreakdown:
+ *       type: object
+ *       properties:
+ *         attempts: { type: integer }
+ *         correct: { type: integer }
+ *         accuracy: { type: number, nullable: true, description: correct / attempts (null without attempts) }
+ *     UserStats:
+ *       type: object
+ *       properties:
+ *         user_id: { type: string }
+ *         timezone: { type: string }
+ *         totals:
+ *           type: object
+ *           properties:
+ *             attempts: { type: integer }
+ *             correct: { type: integer }
+ *             accuracy: { type: number, nullable: true }
+ *             questions_attempted: { type: integer }
+ *             first_answer_at: { type: string, format: date-time, nullable: true }
+ *             last_answer_at: { type: string, format: date-time, nullable: true }
+ *         by_difficulty:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AccuracyBreakdown'
+ *             properties:
+ *               difficulty: { type: string }
+ *         by_tag:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AccuracyBreakdown'
+ *             properties:
+ *               tag: { type: string }
+ *         first_attempt:
+ *           $ref: '#/components/schemas/AccuracyBreakdown'
+ *         retry:
+ *           $ref: '#/components/schemas/AccuracyBreakdown'
+ *         streaks:
+ *           type: object
+ *           properties:
+ *             current_correct: { type: integer, description: Consecutive correct answers ending with the latest answer }
+ *             longest_correct: { type: integer }
+ *             current_days: { type: integer, description: Consecutive active days ending today or yesterday }
+ *             longest_days: { type: integer }
+ *             last_active_day: { type: string, nullable: true }
+ *     UserAnswerPage:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id: { type: string }
+ *               question_id: { type: string }
+ *               selectedOptionIndex: { type: integer }
+ *               isCorrect: { type: boolean }
+ *               created_at: { type: string, format: date-time }
+ *               question:
+ *                 type: object
+ *                 properties:
+ *                   text: { type: string }
+ *                   difficulty: { type: string }
+ *                   tags:
+ *                     type: array
+ *                     items: { type: string }
+ *         page:
+ *           type: object
+ *           properties:
+ *             limit: { type: integer }
+ *             has_more: { type: boolean }
+ *             next_cursor: { type: string, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/me/answers:
+ *   get:
+ *     summary: My answer history
+ *     description: Returns the authenticated user's answers, newest first, with cursor pagination.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: question_id
+ *         schema:
+ *           type: string
+ *         description: Only answers to this question
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of answers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserAnswerPage'
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/answers', requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.user.id)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const questionId = req.query.question_id;
+    if (questionId !== undefined && !mongoose.isValidObjectId(questionId)) {
+      return res.status(400).json({ error: 'question_id must be a valid id' });
+    }
+    const page = await userStats.history(req.user.id, {
+      limit: parseLimit(req.query.limit),
+      cursor: decodeCursor(req.query.cursor),
+      questionId,
+    });
+    return res.status(200).json(page);
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/stats:
+ *   get:
+ *     summary: My performance stats
+ *     description: >
+ *       Accuracy overall, by difficulty and by tag, first-attempt vs. retry accuracy and streaks for the
+ *       authenticated user. Active-day streaks use the optional IANA tz (default UTC).
+ *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: User stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStats'
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/stats', requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.user.id)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const timezone = resolveTimezone(req.query.tz);
+    return res.status(200).json(await userStats.stats(req.user.id, { timezone }));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/stats:
+ *   get:
+ *     summary: A user's performance stats (admin)
+ *     description: Admin-only equivalent of /api/me/stats for any user.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: User stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserStats'
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/stats', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const timezone = resolveTimezone(req.query.tz);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const exists = await User.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    return res.status(200).json(await userStats.stats(req.params.id, { timezone }));
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/timeline:
+ *   get:
+ *     summary: A user's journey (admin)
+ *     description: >
+ *       The user's events over from/to (default the last 30 days) grouped into sessions with the same inactivity
+ *       gap as /api/metrics/sessions. Sessions are newest first, events inside a session oldest first. At most
+ *       `limit` of the newest events are returned; truncated tells whether older events in the range were left out.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: gap
+ *         schema: { type: string, example: 30m }
+ *         description: Inactivity gap like 15m or 1h (at most 1d)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 500, maximum: 1000 }
+ *         description: Maximum number of events
+ *       - $ref: '#/components/parameters/MetricsFrom'
+ *       - $ref: '#/components/parameters/MetricsTo'
+ *       - $ref: '#/components/parameters/MetricsTz'
+ *     responses:
+ *       200:
+ *         description: Sessions of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user_id: { type: string }
+ *                 username: { type: string }
+ *                 gap_seconds: { type: integer }
+ *                 truncated: { type: boolean }
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       start: { type: string, format: date-time }
+ *                       end: { type: string, format: date-time }
+ *                       duration_seconds: { type: integer }
+ *                       event_count: { type: integer }
+ *                       events:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id: { type: string }
+ *                             event_type: { type: string }
+ *                             timestamp: { type: string, format: date-time }
+ *                             source: { type: string }
+ *                             meta: { type: object }
+ *                 from: { type: string, format: date-time }
+ *                 to: { type: string, format: date-time }
+ *                 timezone: { type: string }
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/timeline', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const gapMs = parseDuration(req.query.gap, 'gap', { defaultMs: sessions.defaultGapMs, maxMs: 86400000 });
+    const limit = parseLimit(req.query.limit, { defaultLimit: 500, maxLimit: 1000 });
+    const now = new Date();
+    const range = parseTimeRange(req.query, { defaultFrom: new Date(now.getTime() - 30 * 86400000), defaultTo: now });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = await User.findById(req.params.id).select({ username: 1 }).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await sessions.timeline(req.params.id, { from: range.from, to: range.to, gapMs, limit });
+    return res.status(200).json({
+      user_id: String(user._id),
+      username: user.username,
+      gap_seconds: Math.round(gapMs / 1000),
+      truncated: result.truncated,
+      sessions: result.sessions.map((session) => ({
+        start: formatInstant(session.start, range.timezone),
+        end: formatInstant(session.end, range.timezone),
+        duration_seconds: Math.round((session.end.getTime() - session.start.getTime()) / 1000),
+        event_count: session.events.length,
+        events: session.events.map((ev) => ({ ...ev, timestamp: formatInstant(new Date(ev.timestamp), range.timezone) })),
+      })),
+      from: formatInstant(range.from, range.timezone),
+      to: formatInstant(range.to, range.timezone),
+      timezone: range.timezone,
+    });
+  } catch (err) {
+    return handleHttpError(err, res, next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Rebuild the minute/hour/day event rollups from raw user events.
+ *
+ *   npm run rollups:backfill                          all events; marks rollups complete so metrics read them
+ *   npm run rollups:backfill -- --from=2024-06-01     only days from this date on (e.g. to repair recent days)
+ *
+ * Only closed UTC days are rebuilt (today keeps its live counts and is read from raw events). Also run it to
+ * resume rollup reads after they were marked stale. Uses MONGODB_URI. Safe to re-run: counts are overwritten,
+ * not added to.
+ */
+
+require('dotenv').config();
+const { connectMongo, disconnectMongo } = require('../db');
+const rollups = require('../services/rollups');
+
+function parseFrom(argv) {
+  const arg = argv.find((a) => a.startsWith('--from='));
+  if (!arg) return null;
+  const from = new Date(arg.slice('--from='.length));
+  if (Number.isNaN(from.getTime())) {
+    throw new Error(`--from is not a valid date: ${arg}`);
+  }
+  return from;
+}
+
+async function main() {
+  const from = parseFrom(process.argv);
+  await connectMongo();
+  try {
+    const summary = await rollups.backfill({
+      from,
+      onDay: (day, documents) => {
+        // eslint-disable-next-line no-console
+        console.log(`[Rollups] ${day.toISOString().slice(0, 10)}: ${documents} rollup documents`);
+      },
+    });
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(summary, null, 2));
+  } finally {
+    await disconnectMongo();
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error('[Rollups] backfill failed:', e && e.message ? e.message : e);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * One-off migration: copy the former `events` collection into the canonical UserEvent store.
+ *
+ *   npm run migrate:events              copy rows (safe to re-run; copied rows are skipped)
+ *   npm run migrate:events -- --dry-run report what would be copied
+ *
+ * Uses MONGODB_URI. The `events` collection is left untouched; drop it once the copy has been checked.
+ */
+
+require('dotenv').config();
+const { connectMongo, disconnectMongo } = require('../db');
+const eventIngestion = require('../services/eventIngestion');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectMongo();
+  try {
+    const summary = await eventIngestion.migrateLegacyEvents({ dryRun });
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(summary, null, 2));
+  } finally {
+    await disconnectMongo();
+  }
+}
+
+main().catch((e) => {
+  // eslint-disable-next-line no-console
+  console.error('[Migration] legacy events migration failed:', e && e.message ? e.message : e);
+  process.exit(1);
+});
@@ -6,6 +6,11 @@ const app = require('./app');
 const { connectMongoWithRetry, disconnectMongo } = require('./db');
 const { initIO } = require('./socket');
 const { subscribeAdminBootstrapOnConnect } = require('./bootstrap/admin');
+const liveMetrics = require('./services/liveMetrics');
+const liveRooms = require('./services/liveRooms');
+const eventTypes = require('./services/eventTypes');
+const rollups = require('./services/rollups');
+const retention = require('./services/retention');
 
 const PORT = process.env.PORT || process.env.VITE_PORT || 3001;
 const HOST = process.env.HOST || process.env.VITE_HOST || '0.0.0.0';
@@ -15,6 +20,21 @@ const server = http.createServer(app);
 // Initialize Socket.io (does not block startup)
 const io = initIO(server);
 
+// Live counters for metrics_update deltas and periodic snapshots (hydrates when Mongo connects)
+liveMetrics.start();
+
+// Event type registry (seeds built-in types and loads the registry when Mongo connects)
+eventTypes.start();
+
+// Event rollups (metrics read them once a backfill is on record)
+rollups.start();
+
+// Retention of raw event data (TTL indexes on connect, periodic purge/archival)
+retention.start();
+
+// Host-driven live quiz rooms (live:* socket protocol)
+liveRooms.start();
+
 // Start HTTP server immediately; do not block on DB availability
 server.listen(PORT, HOST, () => {
   // eslint-disable-next-line no-console
@@ -53,6 +73,11 @@ async function shutdown(signal) {
     // eslint-disable-next-line no-console
     console.log('HTTP server closed');
     try {
+      liveMetrics.stop();
+      liveRooms.stop();
+      eventTypes.stop();
+      rollups.stop();
+      retention.stop();
       // stop retry loop and disconnect if connected
       if (retryController && typeof retryController.stop === 'function') {
         retryController.stop();
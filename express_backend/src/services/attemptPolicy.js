@@ -0,0 +1,88 @@
+'use strict';
+
+const Answer = require('../models/Answer');
+const AnswerArchive = require('../models/AnswerArchive');
+const { httpError } = require('../middleware/errors');
+
+// Global defaults; 0 means unlimited attempts / no cooldown
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.ANSWER_MAX_ATTEMPTS) || 0;
+const DEFAULT_COOLDOWN_SECONDS = Number(process.env.ANSWER_COOLDOWN_SECONDS) || 0;
+
+/**
+ * Answer attempt policy.
+ * The global policy comes from ANSWER_MAX_ATTEMPTS / ANSWER_COOLDOWN_SECONDS; a question's attempt_policy
+ * overrides either value (null keeps the global one). max_attempts=1 is single-attempt.
+ * Answers moved to the archive by the retention job still count as attempts.
+ *
+ * Violations are thrown as Error with statusCode 409 (no attempts left) or 429 (cooldown running,
+ * with retryAfter in seconds) so the route can map them to responses.
+ */
+class AttemptPolicyService {
+  // PUBLIC_INTERFACE
+  resolve(question) {
+    /** Effective policy for a question: { max_attempts, cooldown_seconds } (0 = unlimited / none). */
+    const override = (question && question.attempt_policy) || {};
+    const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+    return {
+      max_attempts: pick(override.max_attempts, DEFAULT_MAX_ATTEMPTS),
+      cooldown_seconds: pick(override.cooldown_seconds, DEFAULT_COOLDOWN_SECONDS),
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  validateOverride(value) {
+    /**
+     * Validate an attempt_policy body field. Returns the normalized override ({ max_attempts, cooldown_seconds },
+     * null entries inherit the global policy) or throws Error(statusCode=400).
+     */
+    if (value === null) return { max_attempts: null, cooldown_seconds: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw httpError(400, 'attempt_policy must be an object like { max_attempts, cooldown_seconds }');
+    }
+    const out = {};
+    ['max_attempts', 'cooldown_seconds'].forEach((key) => {
+      const v = value[key];
+      if (v === undefined || v === null) {
+        out[key] = null;
+      } else if (!Number.isInteger(v) || v < 0) {
+        throw httpError(400, `attempt_policy.${key} must be a non-negative integer or null`);
+      } else {
+        out[key] = v;
+      }
+    });
+    return out;
+  }
+
+  // PUBLIC_INTERFACE
+  async check(question, userId, now = new Date()) {
+    /**
+     * Enforce the policy for a new answer by userId. Returns { attempt_number, policy } for the answer about
+     * to be written. Throws 409 when max attempts are used up and 429 while the cooldown runs.
+     */
+    const policy = this.resolve(question);
+    // Quiz answers are governed by their session (one per question), not by this policy
+    const filter = { question_id: question._id, user_id: userId, quiz_session_id: { $exists: false } };
+    const [live, archived, last] = await Promise.all([
+      Answer.countDocuments(filter),
+      AnswerArchive.countDocuments(filter),
+      Answer.findOne(filter).sort({ created_at: -1 }).select({ created_at: 1 }).lean(),
+    ]);
+    const previous = live + archived;
+
+    if (policy.max_attempts > 0 && previous >= policy.max_attempts) {
+      throw httpError(409, policy.max_attempts === 1
+        ? 'Question already answered; only one attempt is allowed'
+        : `Maximum of ${policy.max_attempts} attempts reached for this question`, { policy, attempts: previous });
+    }
+    if (policy.cooldown_seconds > 0 && last) {
+      const waitMs = new Date(last.created_at).getTime() + policy.cooldown_seconds * 1000 - now.getTime();
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        throw httpError(429, `Please wait ${retryAfter}s before answering this question again`, { policy, attempts: previous, retryAfter });
+      }
+    }
+    return { attempt_number: previous + 1, policy };
+  }
+}
+
+module.exports = new AttemptPolicyService();
@@ -0,0 +1,213 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { getIO, roomsFor } = require('../socket');
+
+// Window over which emissions with the same event name are coalesced (0 = send immediately)
+const COALESCE_WINDOW_MS = process.env.SOCKET_COALESCE_WINDOW_MS !== undefined && process.env.SOCKET_COALESCE_WINDOW_MS !== ''
+  ? Number(process.env.SOCKET_COALESCE_WINDOW_MS)
+  : 250;
+
+// Per-socket send budget (token bucket, messages per second)
+const MAX_MESSAGES_PER_SEC = Number(process.env.SOCKET_MAX_MESSAGES_PER_SEC) || 50;
+
+/**
+ * Emissions of these events are batched: several items in one window become one message
+ * under the batch event name, with the items collected under `key`. A single item is sent unchanged.
+ * metrics_update messages are merged instead; any other event keeps only its latest payload.
+ */
+const BATCHED_EVENTS = {
+  new_event: { batchName: 'new_events', key: 'events' },
+  new_events: { batchName: 'new_events', key: 'events' },
+  new_answer: { batchName: 'new_answers', key: 'answers' },
+  user_event_created: { batchName: 'user_events_created', key: 'events' },
+};
+
+/**
+ * Merge two metrics_update bodies: later counter values win, per-type counts are combined.
+ */
+function mergeMetricsUpdate(prev, next) {
+  const types = new Set([...(prev.types || [prev.type]), next.type].filter(Boolean));
+  const delta = { ...(prev.delta || {}), ...(next.delta || {}) };
+  if ((prev.delta && prev.delta.event_types) || (next.delta && next.delta.event_types)) {
+    delta.event_types = { ...((prev.delta && prev.delta.event_types) || {}), ...((next.delta && next.delta.event_types) || {}) };
+  }
+  const merged = { ...prev, ...next, types: Array.from(types), coalesced: (prev.coalesced || 1) + 1 };
+  if (Object.keys(delta).length) merged.delta = delta;
+  if (prev.count || next.count) merged.count = (prev.count || 1) + (next.count || 1);
+  return merged;
+}
+
+/**
+ * Central Socket.io broadcaster.
+ * - coalesces emissions per event name over SOCKET_COALESCE_WINDOW_MS; each socket receives at most one
+ *   message per event name per window, built from the payloads whose target rooms it belongs to
+ * - merges intermediate metrics_update messages (and keeps only the latest metrics_snapshot)
+ * - batches raw event emissions (new_answer -> new_answers, ...) when several land in one window
+ * - caps per-socket sends at SOCKET_MAX_MESSAGES_PER_SEC; messages over budget are dropped for that socket
+ *   (clients resync from the periodic metrics_snapshot)
+ * Counters are exposed via stats() and the health endpoint.
+ *
+ * Every publish() is also emitted locally as a 'publish' event (eventName, payload, targets) so in-process
+ * features can react to emissions such as new_answer without another hook in the write paths.
+ */
+class Broadcaster extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.resetStats();
+  }
+
+  // PUBLIC_INTERFACE
+  resetStats() {
+    /** Reset counters (used in tests). */
+    this.counters = {
+      published: 0,
+      coalesced: 0,
+      emitted: 0,
+      delivered: 0,
+      rateLimited: 0,
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  stats() {
+    /** Counters: published (calls), coalesced (merged into an earlier one), emitted (flushed event groups), delivered, rateLimited. */
+    return {
+      ...this.counters,
+      pending: this.pending.size,
+      windowMs: COALESCE_WINDOW_MS,
+      maxMessagesPerSec: MAX_MESSAGES_PER_SEC,
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  publish(eventName, payload, targets, options = {}) {
+    /**
+     * Queue an emission for the rooms resolved from targets (see socket.roomsFor).
+     * Options:
+     * - restricted: true for raw/per-user payloads
+     * - rooms: explicit room names instead of resolving targets (no firehose)
+     * - key: coalesce separately from other emissions with the same event name (e.g. one stream per live room)
+     * Never throws; failures are logged.
+     */
+    this.counters.published += 1;
+    const rooms = options.rooms || roomsFor(targets, options);
+    const pendingKey = options.key ? `${eventName}#${options.key}` : eventName;
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(pendingKey, { eventName, items: [] });
+    } else {
+      this.counters.coalesced += 1;
+    }
+    this.pending.get(pendingKey).items.push({ payload, rooms });
+
+    try {
+      this.emit('publish', eventName, payload, targets);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[Broadcaster] publish listener failed:', e.message);
+    }
+
+    if (COALESCE_WINDOW_MS <= 0) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), COALESCE_WINDOW_MS);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  flush() {
+    /** Send everything queued so far: at most one message per event name per socket. */
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    const queued = Array.from(this.pending.values());
+    this.pending.clear();
+
+    let io;
+    try {
+      io = getIO();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[Broadcaster] emit skipped:', e.message);
+      return;
+    }
+
+    const now = Date.now();
+    queued.forEach(({ eventName, items }) => {
+      this.counters.emitted += 1;
+      this.itemsBySocket(io, items).forEach((socketItems, socket) => {
+        if (!this.takeToken(socket, now)) {
+          this.counters.rateLimited += 1;
+          return;
+        }
+        const [name, body] = this.buildMessage(eventName, socketItems);
+        socket.emit(name, body);
+        this.counters.delivered += 1;
+      });
+    });
+  }
+
+  /**
+   * Resolve which queued payloads each local socket may receive (member of any of the item's rooms),
+   * preserving publish order.
+   */
+  itemsBySocket(io, items) {
+    const adapterRooms = io.sockets.adapter.rooms;
+    const bySocket = new Map();
+    items.forEach(({ payload, rooms }) => {
+      const socketIds = new Set();
+      rooms.forEach((room) => {
+        const members = adapterRooms.get(room);
+        if (members) members.forEach((id) => socketIds.add(id));
+      });
+      socketIds.forEach((id) => {
+        const socket = io.sockets.sockets.get(id);
+        if (!socket) return;
+        if (!bySocket.has(socket)) bySocket.set(socket, []);
+        bySocket.get(socket).push(payload);
+      });
+    });
+    return bySocket;
+  }
+
+  /**
+   * Build the outgoing [eventName, payload] for the payloads one socket receives in a flush.
+   */
+  buildMessage(eventName, items) {
+    if (items.length === 1) {
+      return [eventName, items[0]];
+    }
+    if (eventName === 'metrics_update') {
+      return [eventName, items.reduce((merged, item) => mergeMetricsUpdate(merged, item))];
+    }
+    const batch = BATCHED_EVENTS[eventName];
+    if (!batch) {
+      // Merged or unknown events: only the latest state survives
+      return [eventName, items[items.length - 1]];
+    }
+    // new_events payloads already carry arrays; flatten them into one batch
+    const collected = eventName === 'new_events'
+      ? items.reduce((all, item) => all.concat(item.events || []), [])
+      : items;
+    return [batch.batchName, { count: collected.length, [batch.key]: collected }];
+  }
+
+  /**
+   * Token bucket per socket: refills at MAX_MESSAGES_PER_SEC, bursts up to the same amount.
+   */
+  takeToken(socket, now) {
+    const bucket = socket.data.sendBudget || { tokens: MAX_MESSAGES_PER_SEC, last: now };
+    bucket.tokens = Math.min(MAX_MESSAGES_PER_SEC, bucket.tokens + ((now - bucket.last) / 1000) * MAX_MESSAGES_PER_SEC);
+    bucket.last = now;
+    socket.data.sendBudget = bucket;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+module.exports = new Broadcaster();
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * CSV (RFC 4180) writing shared by the metrics/raw exports and the question bank export.
+ *
+ * Text cells that spreadsheet apps would evaluate as formulas (starting with =, +, -, @, tab or CR) are prefixed
+ * with a single quote. Text that already starts with quotes before such a character gets one more, so
+ * stripFormulaGuard() restores every exported value exactly when the file is imported again.
+ */
+
+const FORMULA_GUARD = /^'*[=+\-@\t\r]/;
+
+// PUBLIC_INTERFACE
+function csvCell(value) {
+  /** One CSV field: empty for null/undefined, quoted when it contains commas, quotes or line breaks. */
+  if (value === undefined || value === null) return '';
+  let s = String(value);
+  if (typeof value === 'string' && FORMULA_GUARD.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// PUBLIC_INTERFACE
+function csvLine(values) {
+  /** One CRLF-terminated CSV record. */
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// PUBLIC_INTERFACE
+function stripFormulaGuard(field) {
+  /** Undo the formula guard of csvCell() on a parsed field. */
+  return typeof field === 'string' && /^'+[=+\-@\t\r]/.test(field) ? field.slice(1) : field;
+}
+
+module.exports = {
+  csvCell,
+  csvLine,
+  stripFormulaGuard,
+};
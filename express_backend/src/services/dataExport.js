@@ -0,0 +1,202 @@
+'use strict';
+
+const { csvLine } = require('./csv');
+const { httpError } = require('../middleware/errors');
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+// Byte order mark so spreadsheet apps open the UTF-8 CSV with the right encoding
+const CSV_BOM = '\uFEFF';
+// Name of the one-row table holding a response's scalar fields
+const SUMMARY_TABLE = 'summary';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten nested objects and arrays into dotted column names, e.g. { other: { count: 2 } } -> { 'other.count': 2 }
+ * and { retained: [5, 3] } -> { 'retained.0': 5, 'retained.1': 3 }.
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (!entries.length && prefix) out[prefix] = null;
+    entries.forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : String(key), out));
+    return out;
+  }
+  out[prefix || 'value'] = value;
+  return out;
+}
+
+/**
+ * Text of a raw document value: dates as ISO strings, ObjectIds as hex, other objects as JSON.
+ */
+function plain(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Resolve once the response can take more data or is closed.
+ */
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Tabular exports (CSV, NDJSON) of metrics responses and raw collections.
+ *
+ * The format comes from ?format=json|csv|ndjson or else the Accept header (text/csv, application/x-ndjson).
+ * Metrics responses are turned into rows by middleware(): an array response is the table itself; an object
+ * response exposes each of its arrays of objects as a table (?table=<field>, default the first one) plus a
+ * one-row "summary" table of its remaining fields. CSV rows are flattened into dotted columns, start with a BOM,
+ * use CRLF line ends and neutralize formula-like text, so spreadsheets open them as plain data.
+ * Raw exports are streamed from a Mongo cursor by stream(). Errors carry statusCode (400 for bad params).
+ */
+class DataExport {
+  // PUBLIC_INTERFACE
+  format(req, formats = FORMATS) {
+    /**
+     * Negotiate the response format among `formats` (first is the default when nothing else matches).
+     * Throws Error(statusCode=400) for an unsupported ?format=.
+     */
+    const explicit = req.query ? req.query.format : undefined;
+    if (explicit !== undefined && explicit !== '') {
+      const format = String(explicit).trim().toLowerCase();
+      if (!formats.includes(format)) throw httpError(400, `format must be one of ${formats.join(', ')}`);
+      return format;
+    }
+    const accepted = req.accepts(formats.map((f) => CONTENT_TYPES[f]));
+    return formats.find((f) => CONTENT_TYPES[f] === accepted) || formats[0];
+  }
+
+  // PUBLIC_INTERFACE
+  middleware() {
+    /**
+     * Express middleware rendering 200 JSON responses as CSV or NDJSON when requested. Errors stay JSON.
+     * Sets res.locals.exportFormat for non-JSON requests (the metrics cache skips those).
+     */
+    return (req, res, next) => {
+      if (req.method !== 'GET') return next();
+      res.vary('Accept');
+      let format;
+      try {
+        format = this.format(req);
+      } catch (err) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      if (format === 'json') return next();
+      res.locals.exportFormat = format;
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode !== 200) return json(body);
+        let rows;
+        try {
+          // Same values as the JSON response (dates as ISO strings, ObjectIds as hex)
+          rows = this.table(JSON.parse(JSON.stringify(body)), req.query.table);
+        } catch (err) {
+          if (err.statusCode !== 400) throw err;
+          return res.status(400).json({ error: err.message });
+        }
+        const name = (req.baseUrl + req.path).replace(/^.*\/metrics\//, '').replace(/[^\w.-]+/g, '-');
+        this.attach(res, format, `${name}-${new Date().toISOString().slice(0, 10)}`);
+        return res.send(format === 'csv' ? this.csv(rows) : this.ndjson(rows));
+      };
+      return next();
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  table(body, name) {
+    /**
+     * Rows of a JSON response body: the array itself, or the named (default first) table of an object.
+     * Throws Error(statusCode=400) for an unknown table name.
+     */
+    if (Array.isArray(body)) return body;
+    if (!isPlainObject(body)) return [{ value: body }];
+    const tables = Object.keys(body).filter((key) => Array.isArray(body[key]) && body[key].every(isPlainObject));
+    const wanted = name === undefined || name === '' ? tables[0] || SUMMARY_TABLE : String(name).trim();
+    if (wanted === SUMMARY_TABLE) {
+      const summary = {};
+      Object.keys(body).filter((key) => !tables.includes(key)).forEach((key) => { summary[key] = body[key]; });
+      return [summary];
+    }
+    if (!tables.includes(wanted)) {
+      throw httpError(400, `table must be one of ${tables.concat(SUMMARY_TABLE).join(', ')}`);
+    }
+    return body[wanted];
+  }
+
+  // PUBLIC_INTERFACE
+  csv(rows, columns = null) {
+    /** CSV text of rows flattened into dotted columns; columns default to every column in first-seen order. */
+    const flat = rows.map((row) => flatten(row));
+    const cols = columns || Array.from(new Set(flat.flatMap((row) => Object.keys(row))));
+    return CSV_BOM + csvLine(cols) + flat.map((row) => csvLine(cols.map((col) => row[col]))).join('');
+  }
+
+  // PUBLIC_INTERFACE
+  ndjson(rows) {
+    /** Newline-delimited JSON text, one row per line. */
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+  }
+
+  // PUBLIC_INTERFACE
+  async stream(res, cursor, { format, columns, filename }) {
+    /**
+     * Stream the documents of a Mongo cursor (lean) as CSV (the given columns) or NDJSON, honouring
+     * backpressure and stopping when the client goes away. Errors before the first document are thrown
+     * (nothing has been sent yet); later errors abort the response. Returns the number of rows written.
+     */
+    let rows = 0;
+    try {
+      let doc = await cursor.next();
+      this.attach(res, format, filename);
+      res.status(200);
+      if (format === 'csv') res.write(CSV_BOM + csvLine(columns));
+      while (doc && !res.destroyed) {
+        const line = format === 'csv'
+          ? csvLine(columns.map((col) => plain(doc[col])))
+          : `${JSON.stringify(doc)}\n`;
+        rows += 1;
+        if (!res.write(line)) await drained(res);
+        doc = await cursor.next();
+      }
+      res.end();
+    } catch (err) {
+      if (!res.headersSent) throw err;
+      // eslint-disable-next-line no-console
+      console.warn('[Export] stream aborted:', err.message);
+      res.destroy(err);
+    } finally {
+      if (typeof cursor.close === 'function') await Promise.resolve(cursor.close()).catch(() => {});
+    }
+    return rows;
+  }
+
+  /**
+   * Set the content type and download name of an export.
+   */
+  attach(res, format, filename) {
+    res.type(`${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  }
+}
+
+module.exports = new DataExport();
@@ -0,0 +1,275 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { metricsAffectedBy } = require('../socket');
+const broadcaster = require('./broadcaster');
+const liveMetrics = require('./liveMetrics');
+const eventTypes = require('./eventTypes');
+const rollups = require('./rollups');
+const metricsCache = require('./metricsCache');
+const { badRequest } = require('../middleware/errors');
+
+const MIGRATION_BATCH_SIZE = 1000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Single ingestion pipeline for analytics events. Every producer goes through it:
+ * - the server's own write paths (auth, answers, quiz sessions) via log()
+ * - client events from POST /api/events and /api/events/batch via ingest() / ingestMany()
+ * - the one-off copy of the former `events` collection via migrateLegacyEvents()
+ *
+ * Each event is checked against the event type registry, stored as a UserEvent (the canonical store all metrics
+ * read from), applied to the live counters and the EventRollup counts, and announced on the socket layer
+ * ('user_event_created' to admins, an aggregate 'metrics_update' to everyone watching the type). Client events
+ * additionally keep the older 'new_event' emission for existing dashboards.
+ *
+ * Validation problems are thrown as Error with statusCode=400 so routes can map them to responses.
+ */
+class EventIngestionService {
+  // PUBLIC_INTERFACE
+  normalize(input, { source = 'server', principal = null } = {}) {
+    /**
+     * Validate one event and build the UserEvent fields. An authenticated principal sets user_id / username;
+     * otherwise username is taken from the input. Returns { doc } or { error } (registry must be loaded).
+     */
+    if (!isPlainObject(input)) {
+      return { error: 'item must be an object' };
+    }
+    if (input.__parseError) {
+      return { error: input.__parseError };
+    }
+    const eventType = typeof input.event_type === 'string' ? input.event_type.trim() : '';
+    // Client events are attributed to the authenticated principal only; a posted user_id is not trusted
+    const userId = principal && principal.id ? principal.id : (source === 'server' ? input.user_id : undefined);
+    const username = principal && principal.username ? principal.username : input.username;
+    if (!eventType || (!userId && (typeof username !== 'string' || !username.trim()))) {
+      return { error: 'username and event_type are required' };
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return { error: 'user_id must be a valid id' };
+    }
+    // Clients may send custom properties (page, button id, campaign, device, ...) as `properties` or `meta`
+    if (input.properties !== undefined && input.meta !== undefined) {
+      return { error: 'send either properties or meta, not both' };
+    }
+    const properties = input.properties !== undefined ? input.properties : input.meta;
+    if (properties !== undefined && properties !== null && !isPlainObject(properties)) {
+      return { error: 'properties must be an object' };
+    }
+    let timestamp;
+    if (input.timestamp !== undefined && input.timestamp !== null && input.timestamp !== '') {
+      timestamp = new Date(input.timestamp);
+      if (Number.isNaN(timestamp.getTime())) {
+        return { error: 'timestamp is not a valid date' };
+      }
+    }
+    const meta = properties || {};
+    const typeError = eventTypes.validate(eventType, meta);
+    if (typeError) {
+      return { error: typeError };
+    }
+    return {
+      doc: {
+        user_id: userId || undefined,
+        username: typeof username === 'string' && username.trim() ? username.trim() : undefined,
+        event_type: eventType,
+        timestamp,
+        meta,
+        source,
+      },
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  async ingest(input, options = {}) {
+    /** Validate, store and announce one event. Returns the saved UserEvent; throws Error(statusCode=400). */
+    await eventTypes.refreshIfUnknown([typeof input?.event_type === 'string' ? input.event_type.trim() : '']);
+    const { doc, error } = this.normalize(input, options);
+    if (error) throw badRequest(error);
+    const saved = await new UserEvent(doc).save();
+    this.announce([saved.toObject()]);
+    return saved;
+  }
+
+  // PUBLIC_INTERFACE
+  async log(input) {
+    /**
+     * Record a server-side event (source=server). Logging failures are reported on the console and never
+     * fail the caller's request; returns the saved UserEvent or null.
+     */
+    try {
+      return await this.ingest(input, { source: 'server' });
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`[UserEvent] ${input && input.event_type} log failed:`, e.message);
+      return null;
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async ingestMany(items, options = {}) {
+    /**
+     * Validate each item independently and store the valid ones with one unordered bulk insert.
+     * Returns { inserted, failed, results: [{ index, ok, _id?, error? }] } in input order.
+     */
+    await eventTypes.refreshIfUnknown(items
+      .filter((item) => item && typeof item.event_type === 'string')
+      .map((item) => item.event_type.trim()));
+
+    const results = new Array(items.length);
+    const docs = [];
+    const docIndexes = [];
+    items.forEach((item, index) => {
+      const { doc, error } = this.normalize(item, options);
+      if (error) {
+        results[index] = { index, ok: false, error };
+        return;
+      }
+      const eventDoc = new UserEvent(doc);
+      const validationErr = eventDoc.validateSync();
+      if (validationErr) {
+        results[index] = { index, ok: false, error: validationErr.message };
+        return;
+      }
+      docIndexes.push(index);
+      docs.push(eventDoc);
+    });
+
+    if (docs.length === 0) {
+      return { inserted: 0, failed: results.length, results };
+    }
+
+    // Single unordered bulk insert; write errors are reported per item instead of failing the batch
+    const writeFailures = new Map();
+    try {
+      await UserEvent.insertMany(docs, { ordered: false });
+    } catch (bulkErr) {
+      const writeErrors = bulkErr && bulkErr.writeErrors;
+      if (!Array.isArray(writeErrors)) {
+        throw bulkErr;
+      }
+      writeErrors.forEach((we) => {
+        writeFailures.set(we.index, we.errmsg || 'write failed');
+      });
+    }
+
+    const insertedDocs = [];
+    docs.forEach((eventDoc, i) => {
+      const index = docIndexes[i];
+      if (writeFailures.has(i)) {
+        results[index] = { index, ok: false, error: writeFailures.get(i) };
+      } else {
+        results[index] = { index, ok: true, _id: String(eventDoc._id) };
+        insertedDocs.push(eventDoc.toObject());
+      }
+    });
+    this.announce(insertedDocs);
+
+    const inserted = insertedDocs.length;
+    return { inserted, failed: results.length - inserted, results };
+  }
+
+  /**
+   * Apply stored events to the live counters and rollups, emit them and invalidate cached metrics. Raw events go to
+   * admin sockets only; the metrics ping is aggregate (one merged metrics_update per type and coalescing window).
+   */
+  announce(events) {
+    rollups.record(events);
+    const affected = new Set();
+    events.forEach((ev) => {
+      const eventType = ev.event_type;
+      const userId = ev.user_id ? String(ev.user_id) : undefined;
+      const metrics = metricsAffectedBy(eventType);
+      const update = liveMetrics.recordUserEvent(ev);
+      broadcaster.publish('user_event_created', ev, { eventType, userId }, { restricted: true });
+      if (ev.source === 'api') {
+        broadcaster.publish('new_event', ev, { eventType }, { restricted: true });
+      }
+      broadcaster.publish('metrics_update', { type: eventType, ...update }, { eventType, metrics });
+      metrics.forEach((name) => affected.add(name));
+    });
+    // Cached responses of the announced metrics are stale now
+    metricsCache.invalidate(affected);
+  }
+
+  // PUBLIC_INTERFACE
+  async migrateLegacyEvents({ batchSize = MIGRATION_BATCH_SIZE, dryRun = false } = {}) {
+    /**
+     * Copy rows of the former `events` collection into UserEvent (source=legacy), resolving user_id by username.
+     * Types missing from the registry are registered first; rows whose type cannot be registered are skipped.
+     * Safe to re-run: rows already copied (by legacy_event_id) are left alone.
+     * Returns { scanned, migrated, already_migrated, skipped, registered_types, dry_run }.
+     */
+    await eventTypes.refresh();
+    const legacyTypes = await Event.distinct('event_type');
+    const registered = [];
+    const unusable = new Set();
+    for (const name of legacyTypes) {
+      if (eventTypes.has(name)) continue;
+      if (dryRun) {
+        registered.push(name);
+        continue;
+      }
+      try {
+        await eventTypes.create({ name, description: 'Imported from the legacy events collection' });
+        registered.push(name);
+      } catch (e) {
+        // Names the registry cannot hold (e.g. mixed case or spaces) stay in the legacy collection
+        if (eventTypes.has(name)) continue;
+        unusable.add(name);
+      }
+    }
+
+    const summary = { scanned: 0, migrated: 0, already_migrated: 0, skipped: 0, registered_types: registered, dry_run: dryRun };
+    let lastId = null;
+    for (;;) {
+      const rows = await Event.find(lastId ? { _id: { $gt: lastId } } : {}).sort({ _id: 1 }).limit(batchSize).lean();
+      if (!rows.length) break;
+      lastId = rows[rows.length - 1]._id;
+      summary.scanned += rows.length;
+
+      const usernames = Array.from(new Set(rows.map((r) => r.username).filter(Boolean)));
+      const users = await User.find({ username: { $in: usernames } }).select({ _id: 1, username: 1 }).lean();
+      const idByUsername = new Map(users.map((u) => [u.username, u._id]));
+
+      const ops = [];
+      rows.forEach((row) => {
+        if (unusable.has(row.event_type)) {
+          summary.skipped += 1;
+          return;
+        }
+        const doc = {
+          legacy_event_id: row._id,
+          username: row.username,
+          event_type: row.event_type,
+          timestamp: row.timestamp || row._id.getTimestamp(),
+          meta: {},
+          source: 'legacy',
+        };
+        if (idByUsername.has(row.username)) doc.user_id = idByUsername.get(row.username);
+        ops.push({ updateOne: { filter: { legacy_event_id: row._id }, update: { $setOnInsert: doc }, upsert: true } });
+      });
+      if (!ops.length) continue;
+      if (dryRun) {
+        const copied = await UserEvent.countDocuments({ legacy_event_id: { $in: ops.map((op) => op.updateOne.filter.legacy_event_id) } });
+        summary.already_migrated += copied;
+        summary.migrated += ops.length - copied;
+        continue;
+      }
+      const result = await UserEvent.bulkWrite(ops, { ordered: false });
+      // Only rows inserted by this run are new to the rollups
+      await rollups.record(Object.keys(result.upsertedIds || {}).map((i) => ops[i].updateOne.update.$setOnInsert));
+      summary.migrated += result.upsertedCount || 0;
+      summary.already_migrated += ops.length - (result.upsertedCount || 0);
+    }
+    return summary;
+  }
+}
+
+module.exports = new EventIngestionService();
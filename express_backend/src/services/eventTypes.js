@@ -0,0 +1,229 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const EventType = require('../models/EventType');
+const jsonSchema = require('./jsonSchema');
+const { httpError } = require('../middleware/errors');
+
+// How often each process reloads the registry so changes made through other instances show up
+const REFRESH_MS = Number(process.env.EVENT_TYPES_REFRESH_MS) || 60000;
+// An unknown type triggers at most one reload per this interval before it is rejected
+const MISS_REFRESH_MS = 5000;
+
+// Types written by the server itself (auth, answers, quiz sessions) plus the legacy 'click' / 'logout'
+const BUILT_INS = [
+  { name: 'signup', description: 'A user account was created' },
+  { name: 'login', description: 'A user logged in' },
+  { name: 'logout', description: 'A user logged out' },
+  { name: 'answer', description: 'A question was answered' },
+  { name: 'click', description: 'Generic UI click' },
+  { name: 'quiz_start', description: 'A quiz session was started' },
+  { name: 'quiz_answer', description: 'A question was answered inside a quiz session' },
+  { name: 'quiz_finish', description: 'A quiz session was completed or expired' },
+];
+
+function toEntry(doc) {
+  return {
+    name: doc.name,
+    description: doc.description || '',
+    meta_schema: doc.meta_schema || null,
+    built_in: Boolean(doc.built_in),
+    created_at: doc.created_at || null,
+    updated_at: doc.updated_at || null,
+  };
+}
+
+/**
+ * Registry of allowed event types (stored in the EventType collection).
+ * Writes of UserEvent and Event are checked against it: the type must be registered and, for UserEvent,
+ * meta must match the type's meta_schema when one is set.
+ *
+ * Each process keeps the registry in memory so model validators can check it synchronously. Built-in types
+ * are always known, are inserted into the collection when Mongo connects, and cannot be deleted.
+ * Failures are thrown as Error with statusCode (400/404/409) so routes can map them to responses.
+ */
+class EventTypeRegistry {
+  constructor() {
+    this.types = new Map(BUILT_INS.map((t) => [t.name, toEntry({ ...t, built_in: true })]));
+    this.loadedAt = 0;
+    this.refreshTimer = null;
+    this.started = false;
+  }
+
+  // PUBLIC_INTERFACE
+  start() {
+    /** Seed built-ins and load the registry whenever Mongo (re)connects, then reload every EVENT_TYPES_REFRESH_MS. */
+    if (this.started) return;
+    this.started = true;
+    const runSync = () => {
+      this.sync().catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[EventTypes] registry load failed:', e.message);
+      });
+    };
+    mongoose.connection.on('connected', runSync);
+    if (mongoose.connection.readyState === 1) runSync();
+
+    this.refreshTimer = setInterval(() => {
+      if (mongoose.connection.readyState === 1) runSync();
+    }, REFRESH_MS);
+    // Do not keep process alive solely for timers
+    if (this.refreshTimer.unref) this.refreshTimer.unref();
+  }
+
+  // PUBLIC_INTERFACE
+  stop() {
+    /** Stop periodic reloads. */
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Insert missing built-in types, then reload the registry.
+   */
+  async sync() {
+    await EventType.bulkWrite(BUILT_INS.map((t) => ({
+      updateOne: {
+        filter: { name: t.name },
+        update: { $setOnInsert: { name: t.name, description: t.description, meta_schema: null, built_in: true, created_at: new Date(), updated_at: new Date() } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    await this.refresh();
+  }
+
+  /**
+   * Replace the in-memory registry with the stored one (built-ins are kept even if missing from the collection).
+   */
+  async refresh() {
+    const docs = await EventType.find({}).lean();
+    const next = new Map(BUILT_INS.map((t) => [t.name, toEntry({ ...t, built_in: true })]));
+    docs.forEach((doc) => next.set(doc.name, toEntry(doc)));
+    this.types = next;
+    this.loadedAt = Date.now();
+  }
+
+  // PUBLIC_INTERFACE
+  has(name) {
+    /** True when name is a registered event type. */
+    return typeof name === 'string' && this.types.has(name);
+  }
+
+  // PUBLIC_INTERFACE
+  get(name) {
+    /** Registry entry { name, description, meta_schema, built_in, created_at, updated_at } or null. */
+    return this.types.get(name) || null;
+  }
+
+  // PUBLIC_INTERFACE
+  list() {
+    /** All registered types sorted by name. */
+    return Array.from(this.types.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // PUBLIC_INTERFACE
+  validate(name, meta) {
+    /** Check an event against the in-memory registry. Returns an error message or null. */
+    const entry = this.get(name);
+    if (!entry) return `Unknown event_type "${name}"; register it under /api/event-types first`;
+    if (meta !== undefined && entry.meta_schema) {
+      return jsonSchema.validate(entry.meta_schema, meta === null ? {} : meta);
+    }
+    return null;
+  }
+
+  // PUBLIC_INTERFACE
+  async check(name, meta) {
+    /**
+     * Validate an event before writing it, reloading the registry once when the type is unknown
+     * (it may have been registered through another instance). Throws Error(statusCode=400).
+     */
+    await this.refreshIfUnknown([name]);
+    const error = this.validate(name, meta);
+    if (error) throw httpError(400, error);
+  }
+
+  // PUBLIC_INTERFACE
+  async refreshIfUnknown(names) {
+    /** Reload the registry when any of names is unknown, at most once per few seconds. */
+    const unknown = names.some((name) => !this.has(name));
+    if (unknown && Date.now() - this.loadedAt > MISS_REFRESH_MS && mongoose.connection.readyState === 1) {
+      await this.refresh();
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async create({ name, description, meta_schema: metaSchema } = {}, user = null) {
+    /** Register a new event type. Throws 400 for invalid input and 409 when the name is taken. */
+    if (typeof name !== 'string' || !name.trim()) throw httpError(400, 'name is required');
+    this.assertSchema(metaSchema);
+    if (description !== undefined && typeof description !== 'string') throw httpError(400, 'description must be a string');
+
+    const doc = new EventType({
+      name,
+      description: description || '',
+      meta_schema: metaSchema || null,
+      created_by: user && user.id && mongoose.isValidObjectId(user.id) ? user.id : undefined,
+    });
+    const validationErr = doc.validateSync();
+    if (validationErr) throw httpError(400, validationErr.message);
+    if (this.has(doc.name)) throw httpError(409, `Event type "${doc.name}" already exists`);
+    try {
+      await doc.save();
+    } catch (e) {
+      if (e && e.code === 11000) throw httpError(409, `Event type "${doc.name}" already exists`);
+      throw e;
+    }
+    const entry = toEntry(doc.toObject());
+    this.types.set(entry.name, entry);
+    return entry;
+  }
+
+  // PUBLIC_INTERFACE
+  async update(name, body = {}) {
+    /** Update description and/or meta_schema (null removes the schema). Throws 400 or 404. */
+    const $set = { updated_at: new Date() };
+    if (body.name !== undefined && body.name !== name) throw httpError(400, 'Event types cannot be renamed');
+    if (body.description !== undefined) {
+      if (typeof body.description !== 'string' || body.description.length > 1024) {
+        throw httpError(400, 'description must be a string of at most 1024 characters');
+      }
+      $set.description = body.description.trim();
+    }
+    if (body.meta_schema !== undefined) {
+      this.assertSchema(body.meta_schema);
+      $set.meta_schema = body.meta_schema;
+    }
+    const doc = await EventType.findOneAndUpdate({ name }, { $set }, { new: true }).lean();
+    if (!doc) throw httpError(404, 'Event type not found');
+    const entry = toEntry(doc);
+    this.types.set(entry.name, entry);
+    return entry;
+  }
+
+  // PUBLIC_INTERFACE
+  async remove(name) {
+    /**
+     * Unregister an event type. Stored events keep their type; new writes with it are rejected.
+     * Throws 409 for built-in types and 404 when unknown.
+     */
+    if (BUILT_INS.some((t) => t.name === name)) throw httpError(409, 'Built-in event types cannot be deleted');
+    const doc = await EventType.findOneAndDelete({ name }).lean();
+    if (!doc) throw httpError(404, 'Event type not found');
+    this.types.delete(name);
+    return toEntry(doc);
+  }
+
+  /**
+   * Reject meta_schema values the validator cannot honour.
+   */
+  assertSchema(schema) {
+    if (schema === undefined || schema === null) return;
+    const error = jsonSchema.checkSchema(schema);
+    if (error) throw httpError(400, error);
+  }
+}
+
+module.exports = new EventTypeRegistry();
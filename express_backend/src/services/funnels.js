@@ -0,0 +1,170 @@
+'use strict';
+
+const UserEvent = require('../models/UserEvent');
+const eventTypes = require('./eventTypes');
+const { badRequest } = require('../middleware/errors');
+
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+// Per-user scans walk the { user_id, timestamp } compound index
+const USER_TIMELINE_INDEX = { user_id: 1, timestamp: -1 };
+// Property filter keys: dotted meta paths, same shape /metrics/breakdown accepts
+const PROPERTY_PATH = /^[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+){0,4}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), obj);
+}
+
+/**
+ * Median of a list of numbers; null for an empty list.
+ */
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function parseStep(item, index) {
+  if (typeof item === 'string') {
+    return { event: item.trim(), filters: [] };
+  }
+  if (!isPlainObject(item) || typeof item.event !== 'string') {
+    throw badRequest(`steps[${index}] must be an event type or { event, properties }`);
+  }
+  if (item.properties !== undefined && item.meta !== undefined) {
+    throw badRequest(`steps[${index}]: send either properties or meta, not both`);
+  }
+  const props = item.properties !== undefined ? item.properties : item.meta;
+  if (props !== undefined && !isPlainObject(props)) {
+    throw badRequest(`steps[${index}].properties must be an object`);
+  }
+  const filters = Object.keys(props || {}).map((key) => {
+    const value = props[key];
+    if (!PROPERTY_PATH.test(key)) {
+      throw badRequest(`steps[${index}].properties.${key}: paths are up to 5 segments of letters, digits, _ or -`);
+    }
+    if (value !== null && typeof value === 'object') {
+      throw badRequest(`steps[${index}].properties.${key} must be a string, number, boolean or null`);
+    }
+    return { path: key, value };
+  });
+  return { event: item.event.trim(), filters };
+}
+
+/**
+ * Ordered funnels over UserEvent: how many users who did step 1 went on to do step 2, then step 3, ...
+ * within a conversion window measured from their step 1 event. Events without a user_id are not counted.
+ */
+class FunnelService {
+  // PUBLIC_INTERFACE
+  async parseSteps(value) {
+    /**
+     * Parse the `steps` query param: a comma-separated list of event types (signup,login,answer) or a JSON array
+     * whose items are event types or { event, properties: { <path>: <value> } } equality filters on meta.
+     * Returns [{ event, filters: [{ path, value }] }]; throws Error(statusCode=400).
+     */
+    const raw = String(value || '').trim();
+    if (!raw) throw badRequest('steps is required (e.g. steps=signup,login,answer)');
+
+    let items;
+    if (raw.startsWith('[')) {
+      try {
+        items = JSON.parse(raw);
+      } catch (e) {
+        throw badRequest(`steps is not valid JSON: ${e.message}`);
+      }
+      if (!Array.isArray(items)) throw badRequest('steps must be a JSON array');
+    } else {
+      items = raw.split(',');
+    }
+    const steps = items.map(parseStep);
+    if (steps.length < MIN_STEPS || steps.length > MAX_STEPS) {
+      throw badRequest(`steps must list between ${MIN_STEPS} and ${MAX_STEPS} events`);
+    }
+
+    const names = steps.map((s) => s.event);
+    await eventTypes.refreshIfUnknown(names);
+    const unknown = names.find((name) => !eventTypes.has(name));
+    if (unknown !== undefined) throw badRequest(`Unknown event_type "${unknown}"`);
+    return steps;
+  }
+
+  // PUBLIC_INTERFACE
+  async compute(steps, { from, to, windowMs }) {
+    /**
+     * Count users per step. A user enters at a step 1 event inside [from, to]; later steps must follow in order
+     * (each at or after the previous one) no later than entry + windowMs. When a user has several entries the one
+     * reaching furthest (earliest on ties) is used. Events are read user by user from the { user_id, timestamp }
+     * index, newest first, so only one user's events are held in memory at a time.
+     * Returns [{ users, median_ms }] per step; median_ms is the median time since the previous step (null for step 1).
+     */
+    const result = steps.map(() => ({ users: 0, durations: [] }));
+    const end = new Date(to.getTime() + windowMs);
+    const eventNames = Array.from(new Set(steps.map((s) => s.event)));
+    const match = {
+      user_id: { $ne: null },
+      event_type: eventNames.length === 1 ? eventNames[0] : { $in: eventNames },
+      timestamp: { $gte: from, $lte: end },
+    };
+
+    const tally = (timeline) => {
+      const path = this.bestPath(steps, timeline.reverse(), { from, to, windowMs });
+      path.forEach((time, i) => {
+        result[i].users += 1;
+        if (i > 0) result[i].durations.push(time - path[i - 1]);
+      });
+    };
+
+    let currentUser = null;
+    let timeline = [];
+    const cursor = UserEvent.find(match)
+      .select({ user_id: 1, event_type: 1, timestamp: 1, meta: 1 })
+      .sort({ user_id: 1, timestamp: -1 })
+      .hint(USER_TIMELINE_INDEX)
+      .lean()
+      .cursor();
+    for await (const ev of cursor) {
+      const userId = String(ev.user_id);
+      if (userId !== currentUser) {
+        if (timeline.length) tally(timeline);
+        currentUser = userId;
+        timeline = [];
+      }
+      timeline.push(ev);
+    }
+    if (timeline.length) tally(timeline);
+    return result.map(({ users, durations }) => ({ users, median_ms: median(durations) }));
+  }
+
+  /**
+   * Step timestamps (ms) of the furthest path through the funnel for one user's events in ascending order.
+   */
+  bestPath(steps, events, { from, to, windowMs }) {
+    const matches = (step, ev) => ev.event_type === step.event
+      && step.filters.every((f) => getPath(ev.meta, f.path) === f.value);
+
+    let best = [];
+    for (let start = 0; start < events.length && best.length < steps.length; start += 1) {
+      const entry = events[start];
+      const entryTime = new Date(entry.timestamp).getTime();
+      if (entryTime < from.getTime() || entryTime > to.getTime() || !matches(steps[0], entry)) continue;
+
+      const path = [entryTime];
+      const deadline = entryTime + windowMs;
+      for (let i = start + 1; i < events.length && path.length < steps.length; i += 1) {
+        const time = new Date(events[i].timestamp).getTime();
+        if (time > deadline) break;
+        if (matches(steps[path.length], events[i])) path.push(time);
+      }
+      if (path.length > best.length) best = path;
+    }
+    return best;
+  }
+}
+
+module.exports = new FunnelService();
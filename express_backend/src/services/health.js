@@ -1,7 +1,9 @@
 'use strict';
 
 const { isMongoConnected, getLastMongoError } = require('../db');
+const metricsCache = require('./metricsCache');
 let socketReady = false;
+let broadcasterStats = null;
 
 /**
  * Internal setter used by server to update socket readiness if needed.
@@ -14,6 +16,7 @@ function inferSocketReady() {
     if (socket && typeof socket.getIO === 'function') {
       socket.getIO();
       socketReady = true;
+      broadcasterStats = require('./broadcaster').stats();
     } else {
       socketReady = false;
     }
@@ -25,7 +28,7 @@ function inferSocketReady() {
 class HealthService {
   // PUBLIC_INTERFACE
   getStatus() {
-    /** Returns JSON health status including environment, mongo, and process info. */
+    /** Returns JSON health status including environment, mongo, socket, metrics cache and process info. */
     inferSocketReady();
     const mongoOk = isMongoConnected();
     const lastErr = getLastMongoError();
@@ -40,7 +43,9 @@ class HealthService {
       },
       socket: {
         ready: socketReady,
+        broadcaster: broadcasterStats,
       },
+      metrics_cache: metricsCache.stats(),
       process: {
         uptimeSec: Math.round(process.uptime()),
         pid: process.pid,
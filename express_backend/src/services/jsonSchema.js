@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Minimal JSON Schema validator for event `meta` payloads.
+ * Supports the subset that is useful for flat analytics properties:
+ *   type (string or array of: object, array, string, number, integer, boolean, null), enum, const,
+ *   properties, required, additionalProperties (boolean or schema), items, minItems, maxItems,
+ *   minLength, maxLength, pattern, minimum, maximum, description, title.
+ * Schemas using other keywords are rejected up front so a registered schema never silently validates less
+ * than it appears to.
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const KEYWORDS = new Set([
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'description', 'title', '$schema',
+]);
+const MAX_DEPTH = 8;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// PUBLIC_INTERFACE
+function checkSchema(schema, path = 'meta_schema', depth = 0) {
+  /** Return an error message when schema uses unsupported keywords or malformed values, else null. */
+  if (!isPlainObject(schema)) return `${path} must be an object`;
+  if (depth > MAX_DEPTH) return `${path} is nested too deeply`;
+  const unknown = Object.keys(schema).find((k) => !KEYWORDS.has(k));
+  if (unknown) return `${path}.${unknown} is not a supported JSON schema keyword`;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.length || !types.every((t) => TYPES.includes(t))) {
+      return `${path}.type must be one of ${TYPES.join(', ')}`;
+    }
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length)) {
+    return `${path}.enum must be a non-empty array`;
+  }
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || !schema.required.every((k) => typeof k === 'string'))) {
+    return `${path}.required must be an array of property names`;
+  }
+  const numeric = ['minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum'];
+  const badNumber = numeric.find((k) => schema[k] !== undefined && typeof schema[k] !== 'number');
+  if (badNumber) return `${path}.${badNumber} must be a number`;
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (e) {
+      return `${path}.pattern is not a valid regular expression`;
+    }
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) return `${path}.properties must be an object`;
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      const err = checkSchema(sub, `${path}.properties.${key}`, depth + 1);
+      if (err) return err;
+    }
+  }
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    const err = checkSchema(schema.additionalProperties, `${path}.additionalProperties`, depth + 1);
+    if (err) return err;
+  }
+  if (schema.items !== undefined) {
+    const err = checkSchema(schema.items, `${path}.items`, depth + 1);
+    if (err) return err;
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+function validate(schema, value, path = 'meta') {
+  /** Validate value against a schema accepted by checkSchema. Returns the first error message, or null. */
+  if (!schema) return null;
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return `${path} must be of type ${types.join(' or ')}`;
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    return `${path} must equal ${JSON.stringify(schema.const)}`;
+  }
+  if (schema.enum && !schema.enum.some((v) => JSON.stringify(v) === JSON.stringify(value))) {
+    return `${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} must be at least ${schema.minLength} characters`;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} must be at most ${schema.maxLength} characters`;
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) return `${path} must match ${schema.pattern}`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return `${path} must be >= ${schema.minimum}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `${path} must be <= ${schema.maximum}`;
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} must have at least ${schema.minItems} items`;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} must have at most ${schema.maxItems} items`;
+    if (schema.items) {
+      for (let i = 0; i < value.length; i += 1) {
+        const err = validate(schema.items, value[i], `${path}[${i}]`);
+        if (err) return err;
+      }
+    }
+  }
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).find((k) => !hasOwn(value, k) || value[k] === undefined);
+    if (missing) return `${path}.${missing} is required`;
+    for (const [key, sub] of Object.entries(value)) {
+      // Own keys only: meta keys like constructor or __proto__ must not resolve to Object.prototype members
+      if (hasOwn(properties, key)) {
+        const err = validate(properties[key], sub, `${path}.${key}`);
+        if (err) return err;
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`;
+      } else if (isPlainObject(schema.additionalProperties)) {
+        const err = validate(schema.additionalProperties, sub, `${path}.${key}`);
+        if (err) return err;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  checkSchema,
+  validate,
+};
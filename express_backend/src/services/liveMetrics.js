@@ -0,0 +1,208 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+const Answer = require('../models/Answer');
+const { getIO, METRIC_NAMES } = require('../socket');
+const broadcaster = require('./broadcaster');
+
+// Interval for pushing full 'metrics_snapshot' messages so clients can resync
+const SNAPSHOT_INTERVAL_MS = Number(process.env.METRICS_SNAPSHOT_INTERVAL_MS) || 30000;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 3600 * 1000;
+
+function floorTo(ms, unitMs) {
+  return Math.floor(ms / unitMs) * unitMs;
+}
+
+/**
+ * Identity used for distinct-user counters; mirrors the (user_id, username) grouping of the metrics routes.
+ */
+function userKey(ev) {
+  if (ev.user_id) return String(ev.user_id);
+  return ev.username ? `name:${ev.username}` : null;
+}
+
+/**
+ * In-process rolling counters behind the realtime metrics stream.
+ * - total user events and per-type counts
+ * - distinct active users in the current minute (UTC)
+ * - distinct users who answered today (UTC)
+ *
+ * Counters are hydrated from Mongo when the connection opens and then updated from the write paths,
+ * so each 'metrics_update' can carry the new numbers instead of forcing clients to re-fetch /api/metrics/*.
+ * Each process keeps its own counters; periodic snapshots let clients resync after missed updates.
+ */
+class LiveMetricsService {
+  constructor() {
+    this.reset();
+    this.snapshotTimer = null;
+    this.started = false;
+  }
+
+  // PUBLIC_INTERFACE
+  reset() {
+    /** Clear all counters (used on startup and in tests). */
+    this.seq = 0;
+    this.hydrated = false;
+    this.totalEvents = 0;
+    this.eventTypes = new Map();
+    this.minuteStart = floorTo(Date.now(), MINUTE_MS);
+    this.minuteUsers = new Set();
+    this.dayStart = floorTo(Date.now(), DAY_MS);
+    this.dayAnswerers = new Set();
+  }
+
+  /**
+   * Roll the current-minute and today windows forward; returns which windows were reset.
+   */
+  rollWindows(nowMs = Date.now()) {
+    const rolled = { minute: false, day: false };
+    const minute = floorTo(nowMs, MINUTE_MS);
+    if (minute > this.minuteStart) {
+      this.minuteStart = minute;
+      this.minuteUsers = new Set();
+      rolled.minute = true;
+    }
+    const day = floorTo(nowMs, DAY_MS);
+    if (day > this.dayStart) {
+      this.dayStart = day;
+      this.dayAnswerers = new Set();
+      rolled.day = true;
+    }
+    return rolled;
+  }
+
+  // PUBLIC_INTERFACE
+  recordUserEvent(ev) {
+    /**
+     * Apply a newly written UserEvent to the counters.
+     * Returns the metrics_update body: { seq, at, delta } where delta holds the new values of changed counters.
+     */
+    const ts = ev.timestamp ? new Date(ev.timestamp).getTime() : Date.now();
+    const rolled = this.rollWindows(Math.max(ts, Date.now()));
+    const delta = {};
+
+    this.totalEvents += 1;
+    delta.total_events = this.totalEvents;
+
+    const type = ev.event_type;
+    this.eventTypes.set(type, (this.eventTypes.get(type) || 0) + 1);
+    delta.event_types = { [type]: this.eventTypes.get(type) };
+
+    const key = userKey(ev);
+    if (key && ts >= this.minuteStart && !this.minuteUsers.has(key)) {
+      this.minuteUsers.add(key);
+      rolled.minute = true;
+    }
+    if (rolled.minute) {
+      delta.active_users_current_minute = this.minuteUsers.size;
+    }
+
+    if ((type === 'answer' || type === 'quiz_answer') && key && ts >= this.dayStart && !this.dayAnswerers.has(key)) {
+      this.dayAnswerers.add(key);
+      rolled.day = true;
+    }
+    if (rolled.day) {
+      delta.users_answered_today = this.dayAnswerers.size;
+    }
+
+    this.seq += 1;
+    return { seq: this.seq, at: new Date().toISOString(), delta };
+  }
+
+  // PUBLIC_INTERFACE
+  snapshot() {
+    /** Full counter state for resync: { seq, at, total_events, event_types, active_users_current_minute, ... }. */
+    this.rollWindows();
+    return {
+      seq: this.seq,
+      at: new Date().toISOString(),
+      hydrated: this.hydrated,
+      timezone: 'UTC',
+      total_events: this.totalEvents,
+      event_types: Object.fromEntries(this.eventTypes),
+      active_users_current_minute: this.minuteUsers.size,
+      minute: new Date(this.minuteStart).toISOString(),
+      users_answered_today: this.dayAnswerers.size,
+      day: new Date(this.dayStart).toISOString().slice(0, 10),
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  async hydrate() {
+    /** Load counters from Mongo. Safe to call repeatedly; replaces in-memory values. */
+    const now = Date.now();
+    const minuteStart = floorTo(now, MINUTE_MS);
+    const dayStart = floorTo(now, DAY_MS);
+
+    const [byType, minuteDocs, answerers] = await Promise.all([
+      UserEvent.aggregate([{ $group: { _id: '$event_type', count: { $sum: 1 } } }]),
+      UserEvent.aggregate([
+        { $match: { timestamp: { $gte: new Date(minuteStart) } } },
+        { $group: { _id: { user_id: '$user_id', username: '$username' } } },
+      ]),
+      Answer.distinct('user_id', { created_at: { $gte: new Date(dayStart) } }),
+    ]);
+
+    this.eventTypes = new Map(byType.map((row) => [row._id, row.count]));
+    this.totalEvents = byType.reduce((sum, row) => sum + row.count, 0);
+    this.minuteStart = minuteStart;
+    this.minuteUsers = new Set(minuteDocs.map((row) => userKey(row._id)).filter(Boolean));
+    this.dayStart = dayStart;
+    this.dayAnswerers = new Set(answerers.map(String));
+    this.hydrated = true;
+    this.seq += 1;
+  }
+
+  /**
+   * Emit the current snapshot to every aggregate listener.
+   */
+  broadcastSnapshot() {
+    broadcaster.publish('metrics_snapshot', this.snapshot(), { metrics: METRIC_NAMES });
+  }
+
+  // PUBLIC_INTERFACE
+  start() {
+    /**
+     * Wire the service into the running server:
+     * - hydrate counters whenever Mongo (re)connects
+     * - send a snapshot to each new socket and answer 'metrics_snapshot' requests (ack callback)
+     * - broadcast a full snapshot every METRICS_SNAPSHOT_INTERVAL_MS
+     */
+    if (this.started) return;
+    this.started = true;
+
+    const runHydrate = () => {
+      this.hydrate().catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[LiveMetrics] hydrate failed:', e && e.message ? e.message : e);
+      });
+    };
+    mongoose.connection.on('connected', runHydrate);
+    if (mongoose.connection.readyState === 1) runHydrate();
+
+    getIO().on('connection', (socket) => {
+      socket.emit('metrics_snapshot', this.snapshot());
+      socket.on('metrics_snapshot', (ack) => {
+        if (typeof ack === 'function') ack(this.snapshot());
+      });
+    });
+
+    this.snapshotTimer = setInterval(() => this.broadcastSnapshot(), SNAPSHOT_INTERVAL_MS);
+    // Do not keep process alive solely for timers
+    if (this.snapshotTimer.unref) this.snapshotTimer.unref();
+  }
+
+  // PUBLIC_INTERFACE
+  stop() {
+    /** Stop periodic snapshots. */
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+}
+
+module.exports = new LiveMetricsService();
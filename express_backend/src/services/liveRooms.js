@@ -0,0 +1,399 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { getIO, liveRoomName } = require('../socket');
+const broadcaster = require('./broadcaster');
+
+// Rooms untouched for this long are dropped when new rooms are created
+const IDLE_MS = Number(process.env.LIVE_ROOM_IDLE_MS) || 6 * 3600 * 1000;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+function roomError(message) {
+  return new Error(message);
+}
+
+function newCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Host-driven live quiz rooms (classroom poll mode).
+ * - an admin creates a room and pushes one question at a time to its participants
+ * - participants answer through POST /api/answers; the resulting new_answer emission is tallied for the
+ *   room's open question and streamed to hosts as 'live_tally' (coalesced like other broadcasts)
+ * - the host closes the question and reveals the correct option
+ *
+ * Socket protocol (client -> server, each with an optional ack receiving { ok, room } or { ok: false, error }):
+ *   live:create { title }            admin; creates a room and joins its host room
+ *   live:host { code }               admin; (re)joins a room as host
+ *   live:join { code }               joins as participant (authenticated users' answers are tallied)
+ *   live:leave { code }              leaves the room; the user's answers stop counting
+ *   live:push { code, question_id }  admin; opens a question, emits 'live_question'
+ *   live:close { code, reveal }      admin; stops tallying, emits 'live_question_closed'
+ *   live:reveal { code }             admin; emits 'live_question_revealed' with the correct option and final tally
+ *   live:end { code }                admin; emits 'live_ended' and drops the room
+ *
+ * A disconnecting socket leaves its rooms as with live:leave. Users joined from several sockets stay participants
+ * until the last one leaves.
+ *
+ * Rooms live in process memory: they do not survive restarts and are not shared between instances.
+ */
+class LiveRoomService {
+  constructor() {
+    this.rooms = new Map();
+    this.started = false;
+    this.onPublish = this.onPublish.bind(this);
+  }
+
+  // PUBLIC_INTERFACE
+  start() {
+    /** Register the live:* socket handlers and start tallying new_answer emissions. */
+    if (this.started) return;
+    this.started = true;
+    broadcaster.on('publish', this.onPublish);
+    getIO().on('connection', (socket) => this.registerHandlers(socket));
+  }
+
+  // PUBLIC_INTERFACE
+  stop() {
+    /** Stop tallying and forget all rooms. */
+    broadcaster.off('publish', this.onPublish);
+    this.rooms.clear();
+    this.started = false;
+  }
+
+  // PUBLIC_INTERFACE
+  createRoom(host, { title } = {}) {
+    /** Create a room hosted by the given principal. Returns the room. */
+    this.pruneIdle();
+    let code = newCode();
+    while (this.rooms.has(code)) code = newCode();
+    const now = new Date();
+    const room = {
+      code,
+      title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 256) : null,
+      host_id: host && host.id ? String(host.id) : null,
+      created_at: now,
+      updated_at: now,
+      // user id -> ids of the sockets joined as that user; a user stays a participant until their last one leaves
+      participants: new Map(),
+      current: null,
+      history: [],
+    };
+    this.rooms.set(code, room);
+    return room;
+  }
+
+  // PUBLIC_INTERFACE
+  getRoom(code) {
+    /** Look up a room by code (case-insensitive); throws when unknown. */
+    const room = this.rooms.get(String(code || '').trim().toUpperCase());
+    if (!room) throw roomError('Unknown live room');
+    return room;
+  }
+
+  // PUBLIC_INTERFACE
+  async pushQuestion(code, questionId) {
+    /** Open a question in the room, closing the previous one. Returns the room. */
+    const room = this.getRoom(code);
+    if (!mongoose.isValidObjectId(questionId)) throw roomError('question_id must be a valid id');
+    const question = await Question.findById(questionId).lean();
+    if (!question || question.archived_at) throw roomError('Question not found');
+
+    if (room.current && room.current.status === 'open') this.closeQuestion(code);
+    room.current = {
+      question,
+      status: 'open',
+      revealed: false,
+      opened_at: new Date(),
+      closed_at: null,
+      choices: new Map(),
+    };
+    room.updated_at = new Date();
+    this.emitToRoom(room, 'live_question', this.participantState(room), { hosts: false });
+    this.emitToRoom(room, 'live_question', this.hostState(room), { participants: false });
+    this.publishTally(room);
+    return room;
+  }
+
+  // PUBLIC_INTERFACE
+  closeQuestion(code, { reveal = false } = {}) {
+    /** Stop tallying the open question; optionally reveal it right away. Returns the room. */
+    const room = this.getRoom(code);
+    const current = room.current;
+    if (!current) throw roomError('No question has been pushed');
+    if (current.status === 'open') {
+      current.status = 'closed';
+      current.closed_at = new Date();
+      room.history.push({ question_id: String(current.question._id), closed_at: current.closed_at, ...this.counts(current) });
+      room.updated_at = new Date();
+      const body = { code: room.code, question_id: String(current.question._id), closed_at: current.closed_at };
+      this.emitToRoom(room, 'live_question_closed', body, { hosts: false });
+      this.emitToRoom(room, 'live_question_closed', { ...body, tally: this.tally(room) }, { participants: false });
+    }
+    if (reveal) this.reveal(code);
+    return room;
+  }
+
+  // PUBLIC_INTERFACE
+  reveal(code) {
+    /** Reveal the correct option and final tally of the current question (closing it first). Returns the room. */
+    const room = this.getRoom(code);
+    const current = room.current;
+    if (!current) throw roomError('No question has been pushed');
+    if (current.status === 'open') return this.closeQuestion(code, { reveal: true });
+    current.revealed = true;
+    room.updated_at = new Date();
+    this.emitToRoom(room, 'live_question_revealed', {
+      code: room.code,
+      question_id: String(current.question._id),
+      correctOptionIndex: current.question.correctOptionIndex,
+      tally: this.tally(room),
+    });
+    return room;
+  }
+
+  // PUBLIC_INTERFACE
+  endRoom(code) {
+    /** Close the room for everyone. */
+    const room = this.getRoom(code);
+    if (room.current && room.current.status === 'open') this.closeQuestion(code);
+    this.emitToRoom(room, 'live_ended', { code: room.code, history: room.history });
+    this.rooms.delete(room.code);
+    try {
+      const io = getIO();
+      io.socketsLeave([liveRoomName(room.code), liveRoomName(room.code, { host: true })]);
+    } catch (_) {
+      // Socket.io not initialized (tests)
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  recordAnswer(answer) {
+    /**
+     * Apply a new_answer payload to every room with that question open. Only room participants' answers
+     * given after the question opened count; a participant's latest choice replaces earlier ones.
+     */
+    if (!answer || answer.quiz_session_id) return;
+    const at = answer.created_at ? new Date(answer.created_at) : new Date();
+    this.rooms.forEach((room) => {
+      const current = room.current;
+      if (!current || current.status !== 'open') return;
+      if (String(current.question._id) !== String(answer.question_id)) return;
+      if (!room.participants.has(String(answer.user_id)) || at < current.opened_at) return;
+      current.choices.set(String(answer.user_id), {
+        index: Number(answer.selectedOptionIndex),
+        isCorrect: Boolean(answer.isCorrect),
+      });
+      room.updated_at = new Date();
+      this.publishTally(room);
+    });
+  }
+
+  /**
+   * broadcaster 'publish' listener feeding new_answer emissions into the rooms.
+   */
+  onPublish(eventName, payload) {
+    if (eventName === 'new_answer') this.recordAnswer(payload);
+  }
+
+  /**
+   * Option counts for a question state: { counts, total, correct }.
+   */
+  counts(current) {
+    const counts = current.question.options.map(() => 0);
+    let correct = 0;
+    current.choices.forEach(({ index, isCorrect }) => {
+      if (index >= 0 && index < counts.length) counts[index] += 1;
+      if (isCorrect) correct += 1;
+    });
+    return { counts, total: current.choices.size, correct };
+  }
+
+  // PUBLIC_INTERFACE
+  tally(room) {
+    /** Live distribution of the room's current question (host view). */
+    const current = room.current;
+    if (!current) return null;
+    return {
+      code: room.code,
+      question_id: String(current.question._id),
+      status: current.status,
+      participants: room.participants.size,
+      ...this.counts(current),
+    };
+  }
+
+  /**
+   * Stream the tally to hosts through the broadcaster, coalesced per room.
+   */
+  publishTally(room) {
+    if (!room.current) return;
+    broadcaster.publish('live_tally', this.tally(room), null, {
+      rooms: [liveRoomName(room.code, { host: true })],
+      key: room.code,
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  participantState(room) {
+    /** Room state for participants: the current question without its answer until revealed. */
+    const current = room.current;
+    let question = null;
+    if (current) {
+      const { correctOptionIndex, archived_at, archived_by, attempt_policy, ...rest } = current.question;
+      question = {
+        ...rest,
+        status: current.status,
+        opened_at: current.opened_at,
+        closed_at: current.closed_at,
+        ...(current.revealed ? { correctOptionIndex } : {}),
+      };
+    }
+    return { code: room.code, title: room.title, question };
+  }
+
+  // PUBLIC_INTERFACE
+  hostState(room) {
+    /** Room state for hosts: full question, live tally and closed-question history. */
+    const current = room.current;
+    return {
+      code: room.code,
+      title: room.title,
+      host_id: room.host_id,
+      created_at: room.created_at,
+      question: current ? { ...current.question, status: current.status, revealed: current.revealed } : null,
+      tally: this.tally(room),
+      history: room.history,
+    };
+  }
+
+  /**
+   * Emit a control message directly (not rate-limited or coalesced) to a room's participants and/or hosts.
+   */
+  emitToRoom(room, eventName, body, { participants = true, hosts = true } = {}) {
+    let io;
+    try {
+      io = getIO();
+    } catch (_) {
+      return;
+    }
+    const targets = [];
+    if (participants) targets.push(liveRoomName(room.code));
+    if (hosts) targets.push(liveRoomName(room.code, { host: true }));
+    io.to(targets).emit(eventName, body);
+  }
+
+  /**
+   * Drop rooms idle for longer than LIVE_ROOM_IDLE_MS.
+   */
+  pruneIdle(now = Date.now()) {
+    this.rooms.forEach((room, code) => {
+      if (now - room.updated_at.getTime() > IDLE_MS) this.rooms.delete(code);
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  addParticipant(room, userId, socketId) {
+    /** Record a socket joined as a participant. Returns true when the user was not a participant yet. */
+    const key = String(userId);
+    const sockets = room.participants.get(key);
+    if (sockets) {
+      sockets.add(socketId);
+      return false;
+    }
+    room.participants.set(key, new Set([socketId]));
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  removeParticipant(room, userId, socketId) {
+    /** Forget a participant socket. Returns true when it was the user's last socket in the room. */
+    const key = String(userId);
+    const sockets = room.participants.get(key);
+    if (!sockets || !sockets.delete(socketId) || sockets.size) return false;
+    room.participants.delete(key);
+    return true;
+  }
+
+  /**
+   * Attach the live:* protocol to a connected socket.
+   */
+  registerHandlers(socket) {
+    const handle = (event, { admin = false } = {}, fn) => {
+      socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          if (admin && !socket.data.isAdmin) throw roomError('Admin role required');
+          reply({ ok: true, ...(await fn(payload || {})) });
+        } catch (err) {
+          reply({ ok: false, error: err.message });
+        }
+      });
+    };
+    // Codes of the rooms this socket joined as a participant
+    const joined = new Set();
+    const leave = (room) => {
+      joined.delete(room.code);
+      // Later answers no longer count toward the tally, and hosts see the new participant count
+      if (socket.data.user && this.removeParticipant(room, socket.data.user.id, socket.id)) {
+        this.publishTally(room);
+      }
+    };
+
+    handle('live:create', { admin: true }, ({ title }) => {
+      const room = this.createRoom(socket.data.user, { title });
+      socket.join(liveRoomName(room.code, { host: true }));
+      return { room: this.hostState(room) };
+    });
+    handle('live:host', { admin: true }, ({ code }) => {
+      const room = this.getRoom(code);
+      socket.join(liveRoomName(room.code, { host: true }));
+      return { room: this.hostState(room) };
+    });
+    handle('live:join', {}, ({ code }) => {
+      const room = this.getRoom(code);
+      socket.join(liveRoomName(room.code));
+      if (socket.data.user && socket.data.user.id) {
+        joined.add(room.code);
+        if (this.addParticipant(room, socket.data.user.id, socket.id)) this.publishTally(room);
+      }
+      return { room: this.participantState(room) };
+    });
+    handle('live:leave', {}, ({ code }) => {
+      const room = this.getRoom(code);
+      socket.leave(liveRoomName(room.code));
+      socket.leave(liveRoomName(room.code, { host: true }));
+      leave(room);
+      return {};
+    });
+    handle('live:push', { admin: true }, async ({ code, question_id: questionId }) => (
+      { room: this.hostState(await this.pushQuestion(code, questionId)) }
+    ));
+    handle('live:close', { admin: true }, ({ code, reveal }) => (
+      { room: this.hostState(this.closeQuestion(code, { reveal: reveal === true })) }
+    ));
+    handle('live:reveal', { admin: true }, ({ code }) => ({ room: this.hostState(this.reveal(code)) }));
+    handle('live:end', { admin: true }, ({ code }) => {
+      this.endRoom(code);
+      return {};
+    });
+    socket.on('disconnect', () => {
+      Array.from(joined).forEach((code) => {
+        const room = this.rooms.get(code);
+        if (room) leave(room);
+      });
+      joined.clear();
+    });
+  }
+}
+
+module.exports = new LiveRoomService();
@@ -0,0 +1,158 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Lifetime of a cached metrics response; 0 disables the cache
+const TTL_MS = process.env.METRICS_CACHE_TTL_MS !== undefined && process.env.METRICS_CACHE_TTL_MS !== ''
+  ? Number(process.env.METRICS_CACHE_TTL_MS)
+  : 5000;
+// Least recently used entries are dropped beyond this many
+const MAX_ENTRIES = Number(process.env.METRICS_CACHE_MAX_ENTRIES) || 500;
+
+/**
+ * Metric name of a /api/metrics path (e.g. /api/metrics/questions/:id -> questions), as used by metricsAffectedBy.
+ */
+function metricOf(path) {
+  const match = /\/metrics\/([^/]+)/.exec(path);
+  return match ? match[1] : null;
+}
+
+/**
+ * Cache key for a request: route path plus the query params sorted by name, so dashboards polling the same
+ * data with differently ordered params share an entry.
+ */
+function cacheKey(path, query) {
+  const params = Object.keys(query || {})
+    .sort()
+    .map((name) => {
+      const value = query[name];
+      return `${name}=${Array.isArray(value) ? value.map(String).join(',') : String(value).trim()}`;
+    });
+  return `${path}?${params.join('&')}`;
+}
+
+/**
+ * Short-lived in-memory cache of /api/metrics responses.
+ *
+ * Successful GET responses are kept for METRICS_CACHE_TTL_MS, keyed by route and normalized query. Entries are
+ * dropped early by invalidate(), which the ingestion pipeline calls with the metrics a stored event affects
+ * (the same names it announces in 'metrics_update'), and question edits and imports call for 'questions'.
+ * Responses carry an ETag and Cache-Control: no-cache so browsers revalidate and get 304 when nothing changed;
+ * X-Cache tells whether the body came from the cache.
+ * The cache is per process: other instances only see an invalidation through the TTL.
+ */
+class MetricsCache {
+  constructor() {
+    this.ttlMs = TTL_MS;
+    this.maxEntries = MAX_ENTRIES;
+    this.entries = new Map();
+    // Bumped by invalidate() so responses computed before an invalidation are not stored after it
+    this.generations = new Map();
+    // Bumped by clear(), likewise for every metric
+    this.epoch = 0;
+    this.counters = { hits: 0, misses: 0, not_modified: 0, invalidations: 0 };
+  }
+
+  // PUBLIC_INTERFACE
+  middleware() {
+    /** Express middleware serving cached GET responses and caching fresh 200 JSON responses. */
+    return (req, res, next) => {
+      // CSV / NDJSON exports (see dataExport) are rendered per request
+      if (req.method !== 'GET' || !(this.ttlMs > 0) || res.locals.exportFormat) return next();
+      const path = req.baseUrl + req.path;
+      const key = cacheKey(path, req.query);
+      const entry = this.lookup(key);
+      if (entry) {
+        this.counters.hits += 1;
+        return this.send(req, res, entry, 'HIT');
+      }
+      this.counters.misses += 1;
+
+      const metric = metricOf(path);
+      const generation = this.generations.get(metric) || 0;
+      const { epoch } = this;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode !== 200) return json(body);
+        const payload = JSON.stringify(body);
+        const fresh = {
+          metric,
+          payload,
+          etag: `W/"${crypto.createHash('sha1').update(payload).digest('base64url')}"`,
+          expiresAt: Date.now() + this.ttlMs,
+        };
+        if ((this.generations.get(metric) || 0) === generation && this.epoch === epoch) this.store(key, fresh);
+        return this.send(req, res, fresh, 'MISS');
+      };
+      return next();
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  invalidate(metrics) {
+    /** Drop cached responses of the given metric names (see socket.metricsAffectedBy). */
+    const names = new Set(metrics);
+    if (!names.size) return;
+    names.forEach((name) => this.generations.set(name, (this.generations.get(name) || 0) + 1));
+    this.entries.forEach((entry, key) => {
+      if (names.has(entry.metric)) {
+        this.entries.delete(key);
+        this.counters.invalidations += 1;
+      }
+    });
+  }
+
+  // PUBLIC_INTERFACE
+  clear() {
+    /** Drop every cached response (e.g. after the retention job purged data). */
+    this.epoch += 1;
+    this.entries.clear();
+  }
+
+  // PUBLIC_INTERFACE
+  stats() {
+    /** Hit/miss counters and current size, e.g. for the health endpoint. */
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.ttlMs > 0,
+      ttl_ms: this.ttlMs,
+      entries: this.entries.size,
+      ...this.counters,
+      hit_rate: lookups ? Math.round((this.counters.hits / lookups) * 10000) / 10000 : null,
+    };
+  }
+
+  /**
+   * Live entry for key (refreshed as most recently used), or undefined.
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  store(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Send a cached or freshly rendered body with its validators; Express answers 304 when If-None-Match matches.
+   */
+  send(req, res, entry, status) {
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', 'no-cache');
+    res.set('X-Cache', status);
+    if (req.fresh) this.counters.not_modified += 1;
+    res.type('application/json');
+    return res.send(entry.payload);
+  }
+}
+
+module.exports = new MetricsCache();
@@ -0,0 +1,90 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { badRequest } = require('../middleware/errors');
+
+/**
+ * Cursor pagination helpers for list endpoints.
+ * Lists are sorted by a date field and _id (both descending) so the order is stable even when
+ * several documents share a timestamp. The cursor encodes the last item's sort key as opaque base64url JSON.
+ *
+ * Validation problems are thrown as Error with statusCode=400 so routes can map them to responses.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// PUBLIC_INTERFACE
+function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  /** Parse a `limit` query param into an integer in [1, maxLimit]. Throws Error(statusCode=400) when invalid. */
+  if (value === undefined || value === null || value === '') return defaultLimit;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw badRequest('limit must be a positive integer');
+  }
+  return Math.min(n, maxLimit);
+}
+
+// PUBLIC_INTERFACE
+function encodeCursor(doc, field) {
+  /** Encode the sort key ({ field value, _id }) of a document as an opaque cursor string. */
+  const value = doc[field] instanceof Date ? doc[field].getTime() : new Date(doc[field]).getTime();
+  return Buffer.from(JSON.stringify({ t: value, id: String(doc._id) })).toString('base64url');
+}
+
+// PUBLIC_INTERFACE
+function decodeCursor(cursor) {
+  /** Decode a cursor produced by encodeCursor into { t: Date, id: string }; null when absent. Throws 400 when malformed. */
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const t = new Date(parsed.t);
+    if (Number.isNaN(t.getTime()) || typeof parsed.id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(parsed.id)) {
+      throw new Error('bad cursor');
+    }
+    return { t, id: parsed.id };
+  } catch (_) {
+    throw badRequest('cursor is invalid');
+  }
+}
+
+// PUBLIC_INTERFACE
+function cursorFilter(field, cursor) {
+  /** Mongo filter selecting documents after the cursor in (field desc, _id desc) order; {} without a cursor. */
+  if (!cursor) return {};
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { [field]: { $lt: cursor.t } },
+      { [field]: cursor.t, _id: { $lt: id } },
+    ],
+  };
+}
+
+// PUBLIC_INTERFACE
+function buildPage(docs, limit, field) {
+  /**
+   * Trim a result fetched with limit + 1 and build the page metadata.
+   * Returns { items, page: { limit, has_more, next_cursor } }.
+   */
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    page: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && items.length ? encodeCursor(items[items.length - 1], field) : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  buildPage,
+};
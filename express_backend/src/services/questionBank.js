@@ -0,0 +1,438 @@
+'use strict';
+
+const Question = require('../models/Question');
+const { csvLine, stripFormulaGuard } = require('./csv');
+const { badRequest } = require('../middleware/errors');
+
+/**
+ * Question bank import/export in JSON, CSV and Moodle GIFT.
+ *
+ * Every format is parsed into plain items ({ text, options, correctOptionIndex, difficulty, tags } plus the
+ * source line for text formats) and validated with the Question schema rules, so a bank can be checked
+ * row by row before anything is written.
+ *
+ * CSV columns: text, option_1 .. option_10, correctOptionIndex (0-based), difficulty, tags (';'-separated).
+ * Exported text that spreadsheets would read as a formula is prefixed with ' (removed again on import).
+ * GIFT: multiple-choice ({=right ~wrong}) and true/false ({T} / {F}) questions. Tags and difficulty travel
+ * as comment directives before a question ('// [tag:algebra]', '// [difficulty:hard]'), which Moodle ignores.
+ */
+
+const FORMATS = ['json', 'csv', 'gift'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const DIFFICULTIES = Question.schema.path('difficulty').enumValues;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+// PUBLIC_INTERFACE
+function validateItem(item) {
+  /**
+   * Validate one imported item against the Question rules (2-10 options, correctOptionIndex in range,
+   * difficulty enum, schema lengths). Returns { doc } (an unsaved Question) or { error }.
+   */
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'item must be an object' };
+  }
+  if (item.__parseError) {
+    return { error: item.__parseError };
+  }
+  const { text, options, correctOptionIndex } = item;
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'text is required' };
+  }
+  if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `A question must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+  }
+  const normalizedOptions = [];
+  for (let i = 0; i < options.length; i += 1) {
+    const opt = typeof options[i] === 'string' ? { text: options[i] } : options[i];
+    if (!opt || typeof opt.text !== 'string' || !opt.text.trim()) {
+      return { error: `option ${i + 1} must have non-empty text` };
+    }
+    normalizedOptions.push(opt.key ? { text: opt.text, key: String(opt.key) } : { text: opt.text });
+  }
+  const index = typeof correctOptionIndex === 'string' && correctOptionIndex.trim() !== ''
+    ? Number(correctOptionIndex)
+    : correctOptionIndex;
+  if (!Number.isInteger(index) || index < 0 || index >= normalizedOptions.length) {
+    return { error: 'correctOptionIndex must be a valid index within options array' };
+  }
+  const difficulty = item.difficulty === undefined || item.difficulty === null || item.difficulty === ''
+    ? 'easy'
+    : String(item.difficulty).trim().toLowerCase();
+  if (!DIFFICULTIES.includes(difficulty)) {
+    return { error: `difficulty must be one of ${DIFFICULTIES.join(', ')}` };
+  }
+  let tags = item.tags === undefined || item.tags === null ? [] : item.tags;
+  if (typeof tags === 'string') tags = splitTags(tags);
+  if (!Array.isArray(tags) || !tags.every((t) => typeof t === 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+
+  const doc = new Question({
+    text,
+    options: normalizedOptions,
+    correctOptionIndex: index,
+    difficulty,
+    tags: tags.map((t) => t.trim()).filter(Boolean),
+  });
+  const validationErr = doc.validateSync();
+  if (validationErr) {
+    return { error: validationErr.message };
+  }
+  return { doc };
+}
+
+function splitTags(value) {
+  return String(value).split(/[;|]/).map((t) => t.trim()).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+function parseJsonBank(body) {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      throw badRequest(`Invalid JSON: ${e.message}`);
+    }
+  }
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.questions)) return data.questions;
+  throw badRequest('JSON bank must be an array of questions or { questions: [...] }');
+}
+
+function toPortable(q) {
+  return {
+    text: q.text,
+    options: (q.options || []).map((o) => (o.key ? { text: o.text, key: o.key } : { text: o.text })),
+    correctOptionIndex: q.correctOptionIndex,
+    difficulty: q.difficulty,
+    tags: q.tags || [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CSV (RFC 4180)
+// ---------------------------------------------------------------------------
+
+/**
+ * Split CSV text into records of fields, honouring quoted fields with embedded commas, quotes and newlines.
+ * Each record carries the 1-based line it starts on.
+ */
+function parseCsvRecords(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (!(record.length === 1 && record[0] === '')) records.push({ line: recordLine, fields: record });
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else if (ch === '\r' && src[i + 1] === '\n') {
+        // Embedded CRLF is kept as a plain newline
+      } else {
+        if (ch === '\n') line += 1;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw badRequest(`Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || record.length) endRecord();
+  return records;
+}
+
+function parseCsvBank(text) {
+  const records = parseCsvRecords(text);
+  if (!records.length) return [];
+  const header = records[0].fields.map((h) => h.trim());
+  if (!header.includes('text')) {
+    throw badRequest('CSV header must include text, option_1 .. option_N and correctOptionIndex columns');
+  }
+  const optionColumns = header
+    .map((name, col) => ({ col, n: (/^option_(\d+)$/.exec(name) || [])[1] }))
+    .filter((c) => c.n)
+    .sort((a, b) => Number(a.n) - Number(b.n));
+  const col = (name) => header.indexOf(name);
+
+  return records.slice(1).map(({ line, fields: raw }) => {
+    // Exports guard formula-like text (see csv.js)
+    const fields = raw.map(stripFormulaGuard);
+    if (fields.length > header.length) {
+      return { line, __parseError: `Row has ${fields.length} fields but the header has ${header.length}` };
+    }
+    const get = (name) => (col(name) >= 0 && fields[col(name)] !== undefined ? fields[col(name)] : undefined);
+    return {
+      line,
+      text: get('text'),
+      options: optionColumns.map((c) => fields[c.col]).filter((v) => v !== undefined && v.trim() !== ''),
+      correctOptionIndex: get('correctOptionIndex'),
+      difficulty: get('difficulty'),
+      tags: get('tags') || '',
+    };
+  });
+}
+
+function toCsv(questions) {
+  const maxOptions = Math.max(MIN_OPTIONS, ...questions.map((q) => (q.options || []).length));
+  const optionHeaders = Array.from({ length: maxOptions }, (_, i) => `option_${i + 1}`);
+  const lines = [csvLine(['text', ...optionHeaders, 'correctOptionIndex', 'difficulty', 'tags'])];
+  questions.forEach((q) => {
+    const options = optionHeaders.map((_, i) => (q.options[i] ? q.options[i].text : ''));
+    lines.push(csvLine([q.text, ...options, q.correctOptionIndex, q.difficulty, (q.tags || []).join(';')]));
+  });
+  return lines.join('');
+}
+
+// ---------------------------------------------------------------------------
+// GIFT
+// ---------------------------------------------------------------------------
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+function giftEscape(value) {
+  return String(value).replace(GIFT_SPECIAL, (ch) => `\\${ch}`).replace(/\r?\n/g, '\\n');
+}
+
+function giftUnescape(value) {
+  return String(value).replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch)).trim();
+}
+
+/**
+ * Index of the first unescaped occurrence of ch in s at or after start, or -1.
+ */
+function findUnescaped(s, ch, start = 0) {
+  for (let i = start; i < s.length; i += 1) {
+    if (s[i] === '\\') {
+      i += 1;
+    } else if (s[i] === ch) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split GIFT text into question blocks separated by blank lines (outside answer braces).
+ * Comment directives before a question are kept for tags and difficulty; other comments are dropped.
+ */
+function splitGiftBlocks(text) {
+  const blocks = [];
+  let current = null;
+  let depth = 0;
+  String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    const trimmed = raw.trim();
+    if (depth === 0 && trimmed === '') {
+      if (current && current.body.length) blocks.push(current);
+      if (current && !current.body.length) return; // keep directives for the next question
+      current = null;
+      return;
+    }
+    if (!current) current = { line: lineNo, body: [], directives: [] };
+    if (depth === 0 && trimmed.startsWith('//')) {
+      const directive = /^\/\/\s*\[(tag|difficulty):([^\]]+)\]/i.exec(trimmed);
+      if (directive) current.directives.push({ kind: directive[1].toLowerCase(), value: directive[2].trim() });
+      return;
+    }
+    if (depth === 0 && /^\$CATEGORY:/i.test(trimmed)) return;
+    if (!current.body.length) current.line = lineNo;
+    current.body.push(raw);
+    for (let j = 0; j < raw.length; j += 1) {
+      if (raw[j] === '\\') j += 1;
+      else if (raw[j] === '{') depth += 1;
+      else if (raw[j] === '}') depth = Math.max(0, depth - 1);
+    }
+  });
+  if (current && current.body.length) blocks.push(current);
+  return blocks;
+}
+
+/**
+ * Split an answer block ("=a ~b #feedback ~c") into its choices.
+ */
+function parseGiftAnswers(block) {
+  const choices = [];
+  let i = 0;
+  while (i < block.length) {
+    if (block[i] === '\\') {
+      i += 2;
+    } else if (block[i] === '=' || block[i] === '~') {
+      const marker = block[i];
+      let end = i + 1;
+      while (end < block.length && !((block[end] === '=' || block[end] === '~') && block[end - 1] !== '\\')) end += 1;
+      let body = block.slice(i + 1, end);
+      const feedback = findUnescaped(body, '#');
+      if (feedback >= 0) body = body.slice(0, feedback);
+      let correct = marker === '=';
+      const weight = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(body);
+      if (weight) {
+        body = body.slice(weight[0].length);
+        correct = Number(weight[1]) === 100;
+        if (Number(weight[1]) > 0 && Number(weight[1]) < 100) {
+          return { error: 'Partial-credit GIFT answers are not supported' };
+        }
+      }
+      choices.push({ text: giftUnescape(body), correct });
+      i = end;
+    } else {
+      i += 1;
+    }
+  }
+  return { choices };
+}
+
+function parseGiftBlock(block) {
+  let body = block.body.join('\n');
+  const title = /^\s*::(.*?)::/s.exec(body);
+  if (title) body = body.slice(title[0].length);
+  body = body.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+
+  const open = findUnescaped(body, '{');
+  const close = open >= 0 ? findUnescaped(body, '}', open + 1) : -1;
+  if (open < 0 || close < 0) {
+    return { __parseError: 'GIFT question must contain an answer block { ... }' };
+  }
+  const before = giftUnescape(body.slice(0, open));
+  const after = giftUnescape(body.slice(close + 1));
+  const answerBlock = body.slice(open + 1, close).trim();
+  const text = after ? `${before} _____ ${after}` : before;
+
+  const item = {
+    text,
+    tags: block.directives.filter((d) => d.kind === 'tag').map((d) => d.value),
+    difficulty: (block.directives.find((d) => d.kind === 'difficulty') || {}).value,
+  };
+
+  const trueFalse = /^(T|TRUE|F|FALSE)(\s*#.*)?$/i.exec(answerBlock);
+  if (trueFalse) {
+    const isTrue = /^T/i.test(trueFalse[1]);
+    return { ...item, options: ['True', 'False'], correctOptionIndex: isTrue ? 0 : 1 };
+  }
+  if (!/^[=~]/.test(answerBlock) || /->/.test(answerBlock)) {
+    return { __parseError: 'Only multiple-choice and true/false GIFT questions are supported' };
+  }
+  const { choices, error } = parseGiftAnswers(answerBlock);
+  if (error) return { __parseError: error };
+  const correct = choices.filter((c) => c.correct);
+  if (correct.length !== 1) {
+    return { __parseError: `GIFT question must have exactly one correct answer (found ${correct.length})` };
+  }
+  return {
+    ...item,
+    options: choices.map((c) => c.text),
+    correctOptionIndex: choices.findIndex((c) => c.correct),
+  };
+}
+
+function parseGiftBank(text) {
+  return splitGiftBlocks(text).map((block) => ({ line: block.line, ...parseGiftBlock(block) }));
+}
+
+function toGift(questions) {
+  return questions.map((q) => {
+    const lines = (q.tags || []).map((t) => `// [tag:${t}]`);
+    if (q.difficulty) lines.push(`// [difficulty:${q.difficulty}]`);
+    lines.push(`${giftEscape(q.text)} {`);
+    (q.options || []).forEach((o, i) => {
+      lines.push(`${i === q.correctOptionIndex ? '=' : '~'}${giftEscape(o.text)}`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+  }).join('\n\n').concat('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+// PUBLIC_INTERFACE
+function parseBank(format, body) {
+  /**
+   * Parse a request body in the given format into items (not yet validated).
+   * Text formats add the 1-based source line to each item. Throws Error(statusCode=400) for unreadable input.
+   */
+  switch (format) {
+    case 'json':
+      return parseJsonBank(body);
+    case 'csv':
+      return parseCsvBank(typeof body === 'string' ? body : '');
+    case 'gift':
+      return parseGiftBank(typeof body === 'string' ? body : '');
+    default:
+      throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+  }
+}
+
+// PUBLIC_INTERFACE
+function serializeBank(format, questions) {
+  /** Serialize Question documents (lean) into the format. Returns { contentType, extension, body }. */
+  const portable = questions.map(toPortable);
+  switch (format) {
+    case 'json':
+      return { contentType: 'application/json', extension: 'json', body: JSON.stringify(portable, null, 2) };
+    case 'csv':
+      return { contentType: 'text/csv; charset=utf-8', extension: 'csv', body: toCsv(portable) };
+    case 'gift':
+      return { contentType: 'text/plain; charset=utf-8', extension: 'gift', body: toGift(portable) };
+    default:
+      throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+  }
+}
+
+// PUBLIC_INTERFACE
+function detectFormat(explicit, contentType) {
+  /** Resolve the import format from ?format= or the Content-Type header. */
+  if (explicit) {
+    const format = String(explicit).toLowerCase();
+    if (!FORMATS.includes(format)) throw badRequest(`format must be one of ${FORMATS.join(', ')}`);
+    return format;
+  }
+  const type = String(contentType || '').toLowerCase();
+  if (type.includes('json')) return 'json';
+  if (type.includes('csv')) return 'csv';
+  if (type.includes('gift')) return 'gift';
+  throw badRequest(`format query parameter is required (one of ${FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  FORMATS,
+  validateItem,
+  parseBank,
+  serializeBank,
+  detectFormat,
+};
@@ -0,0 +1,251 @@
+'use strict';
+
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const broadcaster = require('./broadcaster');
+const eventIngestion = require('./eventIngestion');
+const { httpError } = require('../middleware/errors');
+
+/**
+ * Score as the share of the quiz's questions answered correctly, rounded to 4 decimals.
+ */
+function scoreOf(session) {
+  return Math.round((session.correct_count / session.total_questions) * 10000) / 10000;
+}
+
+/**
+ * Quiz session lifecycle: start, answer, finish.
+ * Each step logs a quiz_start / quiz_answer / quiz_finish event (quiz_id and session_id in meta) through
+ * the event ingestion pipeline, like the answer and auth routes do.
+ *
+ * Failures are thrown as Error with statusCode (400/404/409) so routes can map them to responses.
+ */
+class QuizSessionService {
+  // PUBLIC_INTERFACE
+  isOpen(quiz, now = new Date()) {
+    /** True when sessions may be started now (inside opens_at / closes_at). */
+    if (quiz.opens_at && now < quiz.opens_at) return false;
+    if (quiz.closes_at && now >= quiz.closes_at) return false;
+    return true;
+  }
+
+  /**
+   * Deadline for a session started at `startedAt`: the time limit, capped by the quiz closing time.
+   */
+  deadlineFor(quiz, startedAt) {
+    const deadlines = [];
+    if (quiz.time_limit_seconds) deadlines.push(startedAt.getTime() + quiz.time_limit_seconds * 1000);
+    if (quiz.closes_at) deadlines.push(new Date(quiz.closes_at).getTime());
+    return deadlines.length ? new Date(Math.min(...deadlines)) : null;
+  }
+
+  // PUBLIC_INTERFACE
+  async start(quiz, user) {
+    /**
+     * Start a session for user on quiz, or resume the user's running one.
+     * Returns { session, resumed }. Throws 409 when the quiz is not open.
+     */
+    const running = await this.expireIfDue(await QuizSession.findOne({ quiz_id: quiz._id, user_id: user.id, status: 'in_progress' }));
+    if (running && running.status === 'in_progress') {
+      return { session: running, resumed: true };
+    }
+    if (!this.isOpen(quiz)) {
+      throw httpError(409, 'Quiz is not open');
+    }
+
+    const startedAt = new Date();
+    let session;
+    try {
+      session = await new QuizSession({
+        quiz_id: quiz._id,
+        user_id: user.id,
+        username: user.username,
+        total_questions: quiz.question_ids.length,
+        started_at: startedAt,
+        expires_at: this.deadlineFor(quiz, startedAt),
+      }).save();
+    } catch (e) {
+      // A concurrent start created the running session first
+      if (e && e.code === 11000) {
+        return { session: await QuizSession.findOne({ quiz_id: quiz._id, user_id: user.id, status: 'in_progress' }), resumed: true };
+      }
+      throw e;
+    }
+
+    await this.recordEvent('quiz_start', session, {
+      total_questions: session.total_questions,
+      expires_at: session.expires_at,
+    });
+    return { session, resumed: false };
+  }
+
+  // PUBLIC_INTERFACE
+  async answer(current, quiz, { question_id, selectedOptionIndex }, meta = {}) {
+    /**
+     * Record an answer inside a running session. Each quiz question may be answered once per session.
+     * Returns { session, answer }. Throws 400 for questions outside the quiz or archived, 409 when the session
+     * is over or the question was already answered.
+     */
+    const session = await this.expireIfDue(current);
+    if (session.status !== 'in_progress') {
+      throw httpError(409, `Session is ${session.status}`);
+    }
+    if (!quiz.question_ids.some((id) => String(id) === String(question_id))) {
+      throw httpError(400, 'question_id is not part of this quiz');
+    }
+    const question = await Question.findById(question_id).lean();
+    if (!question) {
+      throw httpError(400, 'Invalid question_id');
+    }
+    if (question.archived_at) {
+      throw httpError(400, 'Question is archived');
+    }
+    if (selectedOptionIndex < 0 || selectedOptionIndex >= question.options.length) {
+      throw httpError(400, 'selectedOptionIndex out of range');
+    }
+
+    const isCorrect = Number(selectedOptionIndex) === Number(question.correctOptionIndex);
+    const answeredAt = new Date();
+    // Claim the question atomically so concurrent submissions cannot both count
+    const updated = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'in_progress', 'responses.question_id': { $ne: question._id } },
+      {
+        $push: { responses: { question_id: question._id, selectedOptionIndex, isCorrect, answered_at: answeredAt } },
+        $inc: { correct_count: isCorrect ? 1 : 0 },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(409, 'Question already answered in this session');
+    }
+
+    let answer;
+    try {
+      answer = await new Answer({
+        question_id: question._id,
+        user_id: session.user_id,
+        username: session.username,
+        selectedOptionIndex,
+        isCorrect,
+        quiz_id: session.quiz_id,
+        quiz_session_id: session._id,
+        created_at: answeredAt,
+        meta,
+      }).save();
+    } catch (e) {
+      // Release the claim so the question is not counted without an answer and can be answered again
+      await QuizSession.updateOne(
+        { _id: session._id },
+        { $pull: { responses: { question_id: question._id } }, $inc: { correct_count: isCorrect ? -1 : 0 } }
+      ).catch((releaseErr) => {
+        // eslint-disable-next-line no-console
+        console.warn('[QuizSessions] could not release answered question:', releaseErr.message);
+      });
+      throw e;
+    }
+    await QuizSession.updateOne(
+      { _id: session._id, 'responses.question_id': question._id },
+      { $set: { 'responses.$.answer_id': answer._id } }
+    );
+
+    broadcaster.publish('new_answer', {
+      _id: String(answer._id),
+      question_id: String(answer.question_id),
+      user_id: String(answer.user_id),
+      username: answer.username,
+      selectedOptionIndex: answer.selectedOptionIndex,
+      isCorrect: answer.isCorrect,
+      quiz_id: String(answer.quiz_id),
+      quiz_session_id: String(answer.quiz_session_id),
+      created_at: answer.created_at,
+    }, { questionId: String(answer.question_id), userId: String(answer.user_id) }, { restricted: true });
+    await this.recordEvent('quiz_answer', updated, {
+      question_id: String(question._id),
+      isCorrect,
+      answered: updated.responses.length,
+    });
+    return { session: updated, answer };
+  }
+
+  // PUBLIC_INTERFACE
+  async finish(session) {
+    /**
+     * Finish a running session and score it. Sessions past their deadline are finished as expired,
+     * with finished_at set to the deadline. Finishing an already finished session returns it unchanged.
+     */
+    if (session.status !== 'in_progress') {
+      return session;
+    }
+    const now = new Date();
+    const overdue = session.expires_at && now >= session.expires_at;
+    // Leaving in_progress first stops further answers, so the score below is final
+    const finished = await QuizSession.findOneAndUpdate(
+      { _id: session._id, status: 'in_progress' },
+      { $set: { status: overdue ? 'expired' : 'completed', finished_at: overdue ? session.expires_at : now } },
+      { new: true }
+    );
+    if (!finished) {
+      // Finished concurrently; return the stored state
+      return QuizSession.findById(session._id);
+    }
+    finished.score = scoreOf(finished);
+    await QuizSession.updateOne({ _id: finished._id }, { $set: { score: finished.score } });
+    await this.recordEvent('quiz_finish', finished, {
+      status: finished.status,
+      score: finished.score,
+      correct: finished.correct_count,
+      answered: finished.responses.length,
+      total_questions: finished.total_questions,
+      duration_ms: finished.finished_at.getTime() - finished.started_at.getTime(),
+    });
+    return finished;
+  }
+
+  /**
+   * Expire a running session whose deadline has passed. Returns the (possibly updated) session.
+   */
+  async expireIfDue(session) {
+    if (session && session.status === 'in_progress' && session.expires_at && new Date() >= session.expires_at) {
+      return this.finish(session);
+    }
+    return session;
+  }
+
+  // PUBLIC_INTERFACE
+  async loadQuiz(id) {
+    /** Load a quiz by id; throws 404 when unknown. */
+    const quiz = await Quiz.findById(id).lean();
+    if (!quiz) throw httpError(404, 'Quiz not found');
+    return quiz;
+  }
+
+  // PUBLIC_INTERFACE
+  toPublicSession(session) {
+    /** Session view for clients: score only once finished, plus seconds remaining while running. */
+    const s = typeof session.toObject === 'function' ? session.toObject() : session;
+    const remaining = s.status === 'in_progress' && s.expires_at
+      ? Math.max(0, Math.ceil((new Date(s.expires_at).getTime() - Date.now()) / 1000))
+      : null;
+    return {
+      ...s,
+      score: s.status === 'in_progress' ? null : s.score,
+      seconds_remaining: remaining,
+    };
+  }
+
+  /**
+   * Log a quiz event through the ingestion pipeline. Logging failures never fail the request.
+   */
+  async recordEvent(eventType, session, meta) {
+    await eventIngestion.log({
+      user_id: session.user_id,
+      username: session.username,
+      event_type: eventType,
+      meta: { quiz_id: String(session.quiz_id), session_id: String(session._id), ...meta },
+    });
+  }
+}
+
+module.exports = new QuizSessionService();
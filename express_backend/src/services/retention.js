@@ -0,0 +1,275 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+const Event = require('../models/Event');
+const Answer = require('../models/Answer');
+const RetentionRun = require('../models/RetentionRun');
+const rollups = require('./rollups');
+const metricsCache = require('./metricsCache');
+const liveMetrics = require('./liveMetrics');
+const { httpError } = require('../middleware/errors');
+
+const DAY_MS = 24 * 3600 * 1000;
+const MODES = ['delete', 'archive', 'ttl'];
+// Name of the TTL index the retention job manages (mode=ttl)
+const TTL_INDEX_NAME = 'retention_ttl';
+
+/**
+ * Collections under retention. Each has the date field rows expire by, the modes it allows and the key of its
+ * TTL index: the opposite direction of the field's existing single-field index, so both can coexist. Only user
+ * events can be compacted (into the EventRollup counts) before they are purged. Answers can only be archived:
+ * the attempt policy counts archived answers (AnswerArchive), while deleted ones would give users their
+ * attempts back.
+ */
+const TARGETS = [
+  { name: 'user_events', env: 'USER_EVENTS', model: UserEvent, field: 'timestamp', modes: MODES, ttlKey: { timestamp: -1 }, compactable: true },
+  { name: 'events', env: 'EVENTS', model: Event, field: 'timestamp', modes: MODES, ttlKey: { timestamp: 1 }, compactable: false },
+  { name: 'answers', env: 'ANSWERS', model: Answer, field: 'created_at', modes: ['archive'], ttlKey: null, compactable: false },
+];
+
+function floorDay(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Retention of raw event data. Per collection (RETENTION_<NAME>_DAYS, _MODE, _COMPACT) rows older than N days are
+ * - delete: removed by the periodic purge job
+ * - archive: moved by the purge job into <collection>_archive (the only mode for answers)
+ * - ttl: removed by MongoDB through a TTL index the service creates and keeps in sync
+ *
+ * Purge cutoffs are whole UTC days, so a day is either fully kept or fully purged. With compaction (user events,
+ * delete/archive modes) the minute/hour/day rollups of the days about to be purged are rebuilt from the raw rows
+ * first, so event counts survive the purge. Each purge is recorded as a RetentionRun and drops the cached
+ * metrics responses. Archived answers stay referenced by QuizSession.responses[].answer_id.
+ * Errors carry statusCode (409 when a run is already in progress).
+ */
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.started = false;
+    this.running = false;
+    this.nextRunAt = null;
+    this.loadSettings();
+  }
+
+  // PUBLIC_INTERFACE
+  loadSettings(env = process.env) {
+    /**
+     * Read retention settings from the environment. Invalid values are reported on the console and turn
+     * retention off for that collection. Returns the settings list.
+     */
+    this.intervalMs = env.RETENTION_PURGE_INTERVAL_MS !== undefined && env.RETENTION_PURGE_INTERVAL_MS !== ''
+      ? Number(env.RETENTION_PURGE_INTERVAL_MS)
+      : 3600000;
+    this.settings = TARGETS.map((target) => {
+      const days = Number(env[`RETENTION_${target.env}_DAYS`] || 0);
+      const mode = String(env[`RETENTION_${target.env}_MODE`] || target.modes[0]).toLowerCase();
+      const compactRaw = env[`RETENTION_${target.env}_COMPACT`];
+      const compact = target.compactable && mode !== 'ttl' && String(compactRaw || 'true').toLowerCase() !== 'false';
+      if (!Number.isInteger(days) || days < 0 || !target.modes.includes(mode)) {
+        // eslint-disable-next-line no-console
+        console.warn(`[Retention] ignoring invalid settings for ${target.name}: days must be a non-negative integer, mode one of ${target.modes.join(', ')}`);
+        return { target, days: 0, mode: target.modes[0], compact: false };
+      }
+      return { target, days, mode, compact };
+    });
+    return this.settings;
+  }
+
+  // PUBLIC_INTERFACE
+  start() {
+    /** Sync TTL indexes whenever Mongo (re)connects and purge every RETENTION_PURGE_INTERVAL_MS (0 disables). */
+    if (this.started) return;
+    this.started = true;
+    const runSync = () => {
+      this.syncTtlIndexes().catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[Retention] TTL index sync failed:', e.message);
+      });
+    };
+    mongoose.connection.on('connected', runSync);
+    if (mongoose.connection.readyState === 1) runSync();
+
+    if (!(this.intervalMs > 0) || !this.settings.some((s) => s.days > 0 && s.mode !== 'ttl')) return;
+    this.nextRunAt = new Date(Date.now() + this.intervalMs);
+    this.timer = setInterval(() => {
+      this.nextRunAt = new Date(Date.now() + this.intervalMs);
+      if (mongoose.connection.readyState !== 1 || this.running) return;
+      this.run().catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[Retention] purge failed:', e.message);
+      });
+    }, this.intervalMs);
+    // Do not keep process alive solely for timers
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // PUBLIC_INTERFACE
+  stop() {
+    /** Stop scheduled purges. */
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Create, retune or drop the managed TTL index of each collection to match its settings.
+   */
+  async syncTtlIndexes() {
+    for (const { target, days, mode } of this.settings) {
+      const indexes = await target.model.collection.indexes().catch((e) => {
+        // A collection that does not exist yet has no indexes
+        if (e && e.code === 26) return [];
+        throw e;
+      });
+      const existing = indexes.find((ix) => ix.name === TTL_INDEX_NAME);
+      const expireAfterSeconds = days * 86400;
+      if (mode !== 'ttl' || days === 0) {
+        if (existing) await target.model.collection.dropIndex(TTL_INDEX_NAME);
+        continue;
+      }
+      if (!existing) {
+        await target.model.collection.createIndex(target.ttlKey, { name: TTL_INDEX_NAME, expireAfterSeconds });
+      } else if (existing.expireAfterSeconds !== expireAfterSeconds) {
+        await mongoose.connection.db.command({
+          collMod: target.model.collection.collectionName,
+          index: { name: TTL_INDEX_NAME, expireAfterSeconds },
+        });
+      }
+    }
+  }
+
+  // PUBLIC_INTERFACE
+  async run({ trigger = 'schedule', now = new Date() } = {}) {
+    /**
+     * Purge every collection in delete or archive mode (compacting user events first when enabled).
+     * Returns the RetentionRun records written; throws Error(statusCode=409) while another run is in progress.
+     */
+    if (this.running) throw httpError(409, 'A retention run is already in progress');
+    this.running = true;
+    try {
+      const runs = [];
+      for (const setting of this.settings) {
+        if (setting.days === 0 || setting.mode === 'ttl') continue;
+        runs.push(await this.purge(setting, { trigger, now }));
+      }
+      return runs;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Purge one collection up to its cutoff and record the outcome (errors are recorded, not thrown).
+   */
+  async purge({ target, days, mode, compact }, { trigger, now }) {
+    const cutoff = new Date(floorDay(now.getTime()) - days * DAY_MS);
+    const record = {
+      target: target.name,
+      mode,
+      days,
+      cutoff,
+      trigger,
+      compacted_days: 0,
+      deleted: 0,
+      archived: 0,
+      error: null,
+      started_at: new Date(),
+    };
+    const expired = { [target.field]: { $lt: cutoff } };
+    try {
+      if (compact) {
+        const oldest = await target.model.findOne(expired).sort({ [target.field]: 1 }).select({ [target.field]: 1 }).lean();
+        if (oldest) {
+          const summary = await rollups.backfill({ from: oldest[target.field], to: cutoff });
+          record.compacted_days = summary.days;
+        }
+      }
+      if (mode === 'archive') {
+        record.archived = await this.archive(target, expired);
+      } else {
+        const result = await target.model.deleteMany(expired);
+        record.deleted = result.deletedCount || 0;
+      }
+    } catch (e) {
+      if (e.archived) record.archived = e.archived;
+      record.error = e.message;
+      // eslint-disable-next-line no-console
+      console.warn(`[Retention] ${target.name} purge failed:`, e.message);
+    }
+    // Also after a failed archive: rows moved before the failure are gone from the collection. Live counters
+    // (metrics_update / metrics_snapshot totals) are recounted so they match the metrics routes again.
+    if (record.deleted || record.archived) {
+      metricsCache.clear();
+      await liveMetrics.hydrate().catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[Retention] live metrics refresh failed:', e.message);
+      });
+    }
+    record.finished_at = new Date();
+    const saved = await RetentionRun.create(record);
+    return saved.toObject();
+  }
+
+  /**
+   * Move matching rows into <collection>_archive in batches: copy, then delete the copied rows.
+   * Rows already present in the archive (from an interrupted run) are not copied twice. Errors carry the
+   * number of rows moved before them as err.archived.
+   */
+  async archive(target, filter, batchSize = 1000) {
+    const archive = mongoose.connection.collection(`${target.model.collection.collectionName}_archive`);
+    let moved = 0;
+    try {
+      for (;;) {
+        const rows = await target.model.find(filter).sort({ [target.field]: 1 }).limit(batchSize).lean();
+        if (!rows.length) break;
+        try {
+          await archive.insertMany(rows, { ordered: false });
+        } catch (e) {
+          // Duplicate keys mean the row was archived before; anything else aborts the move
+          const writeErrors = e && e.writeErrors ? [].concat(e.writeErrors) : null;
+          if (!writeErrors || writeErrors.some((we) => we.code !== 11000)) throw e;
+        }
+        const result = await target.model.deleteMany({ _id: { $in: rows.map((row) => row._id) } });
+        moved += result.deletedCount || 0;
+        if (rows.length < batchSize) break;
+      }
+    } catch (e) {
+      e.archived = moved;
+      throw e;
+    }
+    return moved;
+  }
+
+  // PUBLIC_INTERFACE
+  async status() {
+    /**
+     * Current settings per collection with the latest recorded run, plus scheduler state.
+     * Returns { purge_interval_ms, running, next_run_at, collections: [...] }.
+     */
+    const lastRuns = await Promise.all(this.settings.map(({ target }) => (
+      RetentionRun.findOne({ target: target.name }).sort({ started_at: -1 }).lean()
+    )));
+    return {
+      purge_interval_ms: this.intervalMs,
+      running: this.running,
+      next_run_at: this.nextRunAt,
+      collections: this.settings.map(({ target, days, mode, compact }, i) => ({
+        name: target.name,
+        collection: target.model.collection.collectionName,
+        field: target.field,
+        days,
+        enabled: days > 0,
+        mode,
+        compact,
+        archive_collection: mode === 'archive' ? `${target.model.collection.collectionName}_archive` : null,
+        last_run: lastRuns[i] || null,
+      })),
+    };
+  }
+}
+
+module.exports = new RetentionService();
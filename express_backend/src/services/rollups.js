@@ -0,0 +1,353 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const EventRollup = require('../models/EventRollup');
+const RollupState = require('../models/RollupState');
+const UserEvent = require('../models/UserEvent');
+const { bucketExpression } = require('./timeRange');
+
+const STATE_ID = 'user_events';
+// How often each process re-reads the backfill state (a backfill usually runs in another process)
+const STATE_REFRESH_MS = 60000;
+// Set METRICS_ROLLUPS=false to make metrics read raw events only (rollups are still maintained)
+const READS_ENABLED = String(process.env.METRICS_ROLLUPS || 'true').toLowerCase() !== 'false';
+// Distinct bucket increments held while Mongo is unreachable; beyond this rollups are marked stale
+const MAX_PENDING = 10000;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Coarsest first
+const GRAINS = [
+  { name: 'day', ms: DAY_MS },
+  { name: 'hour', ms: HOUR_MS },
+  { name: 'minute', ms: MINUTE_MS },
+];
+
+function floorTo(ms, size) {
+  return Math.floor(ms / size) * size;
+}
+
+/**
+ * Split [start, end) into pieces read from rollups of the given grains (coarsest first) and raw pieces
+ * (granularity null) for the edges no grain covers. Infinite bounds stand for an open range.
+ */
+function cover(start, end, grains) {
+  if (!(start < end)) return [];
+  if (!grains.length) return [{ granularity: null, from: start, to: end }];
+  const [grain, ...finer] = grains;
+  const alignedStart = Math.ceil(start / grain.ms) * grain.ms;
+  const alignedEnd = floorTo(end, grain.ms);
+  if (!(alignedStart < alignedEnd)) return cover(start, end, finer);
+  return [
+    ...cover(start, alignedStart, finer),
+    { granularity: grain.name, from: alignedStart, to: alignedEnd },
+    ...cover(alignedEnd, end, finer),
+  ];
+}
+
+function rangeFilter(field, { from, to }) {
+  const cond = {};
+  if (Number.isFinite(from)) cond.$gte = new Date(from);
+  if (Number.isFinite(to)) cond.$lt = new Date(to);
+  return Object.keys(cond).length ? { [field]: cond } : {};
+}
+
+/**
+ * Add each event to the rollup bucket of every grain in incs (key -> { granularity, bucket, event_type, n }).
+ */
+function addIncrements(incs, events) {
+  events.forEach((ev) => {
+    const ms = new Date(ev.timestamp).getTime();
+    if (!ev.event_type || !Number.isFinite(ms)) return;
+    GRAINS.forEach((grain) => {
+      const bucket = floorTo(ms, grain.ms);
+      const key = `${grain.name}|${bucket}|${ev.event_type}`;
+      const entry = incs.get(key) || { granularity: grain.name, bucket: new Date(bucket), event_type: ev.event_type, n: 0 };
+      entry.n += 1;
+      incs.set(key, entry);
+    });
+  });
+  return incs;
+}
+
+function groupKey(id) {
+  return id instanceof Date ? id.getTime() : String(id);
+}
+
+/**
+ * Pre-aggregated UserEvent counts per event type in UTC minute, hour and day buckets (EventRollup).
+ *
+ * Stored events are added incrementally by record() (called from the ingestion pipeline); backfill() rebuilds
+ * the counts of closed UTC days from raw events for data written before rollups existed. Metrics read rollups
+ * through total(), countByType() and series(), which split the requested range into the coarsest rollup buckets
+ * that fit and count only the unaligned edges (and the day the last backfill ran on) from raw events. They return
+ * null until a complete backfill has been recorded (or when METRICS_ROLLUPS=false) so routes can fall back to
+ * raw aggregation. When increments are lost (a failed write, or too many held while Mongo is unreachable) the
+ * rollups are marked stale and metrics read raw events until the next complete backfill.
+ */
+class RollupService {
+  constructor() {
+    this.ready = false;
+    this.partialDay = null;
+    this.refreshTimer = null;
+    this.started = false;
+    // Increments not yet written (Mongo unreachable), merged per bucket
+    this.pending = new Map();
+    // Stale state not yet written to RollupState
+    this.staleUnsaved = false;
+  }
+
+  // PUBLIC_INTERFACE
+  start() {
+    /** Load the backfill state whenever Mongo (re)connects, then re-read it every minute. */
+    if (this.started) return;
+    this.started = true;
+    const runLoad = () => {
+      this.flush().then(() => this.loadState()).catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('[Rollups] state load failed:', e.message);
+      });
+    };
+    mongoose.connection.on('connected', runLoad);
+    if (mongoose.connection.readyState === 1) runLoad();
+
+    this.refreshTimer = setInterval(() => {
+      if (mongoose.connection.readyState === 1) runLoad();
+    }, STATE_REFRESH_MS);
+    // Do not keep process alive solely for timers
+    if (this.refreshTimer.unref) this.refreshTimer.unref();
+  }
+
+  // PUBLIC_INTERFACE
+  stop() {
+    /** Stop periodic state reloads. */
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Mark rollups readable once a complete backfill is on record.
+   */
+  async loadState() {
+    const state = await RollupState.findById(STATE_ID).lean();
+    this.ready = Boolean(state && state.backfilled_at) && !this.staleUnsaved;
+    this.partialDay = state && state.partial_day ? new Date(state.partial_day).getTime() : null;
+  }
+
+  // PUBLIC_INTERFACE
+  usable() {
+    /** Whether metrics may read rollups. */
+    return READS_ENABLED && this.ready;
+  }
+
+  // PUBLIC_INTERFACE
+  async record(events) {
+    /**
+     * Add stored events to their minute, hour and day rollups with one unordered bulk upsert. While Mongo is
+     * unreachable the increments are held and written with the next update (or on reconnect).
+     * Failures mark the rollups stale and never fail the write that produced the events.
+     */
+    if (!events.length) return;
+    addIncrements(this.pending, events);
+    if (this.pending.size > MAX_PENDING) {
+      const dropped = this.pending.size;
+      this.pending = new Map();
+      await this.markStale(`dropped ${dropped} pending increments while the database was unreachable`);
+      return;
+    }
+    if (mongoose.connection.readyState !== 1) return;
+    await this.flush();
+  }
+
+  /**
+   * Write held increments (and a stale state not yet saved). A failed write marks the rollups stale, since
+   * an unordered bulk write may have applied only part of the increments.
+   */
+  async flush() {
+    if (this.staleUnsaved) await this.markStale(null);
+    if (!this.pending.size) return;
+    const ops = this.incrementOps(this.pending);
+    this.pending = new Map();
+    try {
+      await EventRollup.bulkWrite(ops, { ordered: false });
+    } catch (e) {
+      await this.markStale(`update failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Stop reading rollups here and, through RollupState, in every process until the next complete backfill.
+   * reason (when given) is reported on the console; the state is saved once Mongo is reachable.
+   */
+  async markStale(reason) {
+    if (reason) {
+      // eslint-disable-next-line no-console
+      console.warn(`[Rollups] ${reason}; metrics read raw events until the next complete backfill (npm run rollups:backfill)`);
+    }
+    this.ready = false;
+    this.staleUnsaved = true;
+    if (mongoose.connection.readyState !== 1) return;
+    try {
+      await RollupState.updateOne(
+        { _id: STATE_ID },
+        { $set: { backfilled_at: null, stale_at: new Date() } },
+        { upsert: true }
+      );
+      this.staleUnsaved = false;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn('[Rollups] could not save stale state:', e.message);
+    }
+  }
+
+  /**
+   * Upserts adding events (an array, or increments merged by addIncrements) to the rollup bucket of every grain
+   * (one operation per bucket and type).
+   */
+  incrementOps(events) {
+    const incs = Array.isArray(events) ? addIncrements(new Map(), events) : events;
+    return Array.from(incs.values()).map(({ n, ...filter }) => ({
+      updateOne: { filter, update: { $inc: { count: n } }, upsert: true },
+    }));
+  }
+
+  // PUBLIC_INTERFACE
+  async total(range) {
+    /** Number of events in range ({ from, to }, both optional, to inclusive); null when rollups are not usable. */
+    if (!this.usable()) return null;
+    const rows = await this.count(range, GRAINS, () => null);
+    return rows.reduce((sum, row) => sum + row.count, 0);
+  }
+
+  // PUBLIC_INTERFACE
+  async countByType(range) {
+    /** [{ event_type, count }] in range, most frequent first; null when rollups are not usable. */
+    if (!this.usable()) return null;
+    const rows = await this.count(range, GRAINS, () => '$event_type');
+    return rows
+      .filter((row) => row.count > 0)
+      .map((row) => ({ count: row.count, event_type: row._id }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // PUBLIC_INTERFACE
+  async series(range, buckets) {
+    /**
+     * [{ time, count }] per bucket of range.interval in range.timezone (feed to timeRange.zeroFill); null when
+     * rollups are not usable. Only grains whose boundaries line up with every bucket boundary are used, so e.g.
+     * day rollups serve UTC days while a +05:30 timezone falls back to minutes.
+     */
+    if (!this.usable()) return null;
+    const boundaries = buckets.slice(1).map((b) => b.getTime());
+    const grains = GRAINS.filter((grain) => boundaries.every((ms) => ms % grain.ms === 0));
+    const rows = await this.count(range, grains, (field) => bucketExpression(field, range.interval, range.timezone));
+    return rows.map((row) => ({ time: row._id, count: row.count }));
+  }
+
+  /**
+   * Sum rollups and raw events over the range, grouped by groupId(field) where field is the date field
+   * ('$bucket' for rollups, '$timestamp' for raw events). Returns [{ _id, count }].
+   */
+  async count({ from, to }, grains, groupId) {
+    const start = from ? from.getTime() : -Infinity;
+    const end = to ? to.getTime() + 1 : Infinity;
+    let pieces = cover(start, end, grains);
+    if (this.partialDay !== null) {
+      // The day the last backfill ran on is only partly rolled up: count it from raw events
+      const dayStart = Math.max(start, this.partialDay);
+      const dayEnd = Math.min(end, this.partialDay + DAY_MS);
+      pieces = dayStart < dayEnd
+        ? [
+          ...cover(start, dayStart, grains),
+          { granularity: null, from: dayStart, to: dayEnd },
+          ...cover(dayEnd, end, grains),
+        ]
+        : pieces;
+    }
+    const rolled = pieces.filter((p) => p.granularity);
+    const raw = pieces.filter((p) => !p.granularity);
+
+    const [rollupRows, rawRows] = await Promise.all([
+      rolled.length
+        ? EventRollup.aggregate([
+          { $match: { $or: rolled.map((p) => ({ granularity: p.granularity, ...rangeFilter('bucket', p) })) } },
+          { $group: { _id: groupId('$bucket'), count: { $sum: '$count' } } },
+        ])
+        : [],
+      raw.length
+        ? UserEvent.aggregate([
+          { $match: { $or: raw.map((p) => rangeFilter('timestamp', p)) } },
+          { $group: { _id: groupId('$timestamp'), count: { $sum: 1 } } },
+        ])
+        : [],
+    ]);
+
+    const merged = new Map();
+    rollupRows.concat(rawRows).forEach((row) => {
+      const key = groupKey(row._id);
+      const entry = merged.get(key) || { _id: row._id, count: 0 };
+      entry.count += row.count;
+      merged.set(key, entry);
+    });
+    return Array.from(merged.values());
+  }
+
+  // PUBLIC_INTERFACE
+  async backfill({ from = null, to = null, onDay = null } = {}) {
+    /**
+     * Rebuild rollups from raw events one UTC day at a time, from `from` (default the first event) up to (not
+     * including) the day containing `to`, default today. Only closed days are rebuilt: counts are set rather than
+     * incremented, which would race with record() on the current day. Re-running is safe. A run without bounds
+     * records the backfill as complete, which switches metrics to rollups (reading today from raw events).
+     * Returns { from, to, days, documents, complete }.
+     */
+    const today = floorTo(Date.now(), DAY_MS);
+    const first = from ? null : await UserEvent.findOne({}).sort({ timestamp: 1 }).select({ timestamp: 1 }).lean();
+    const startMs = floorTo((from || (first && first.timestamp) || new Date(today)).getTime(), DAY_MS);
+    const endMs = Math.min(to ? floorTo(to.getTime(), DAY_MS) : today, today) - DAY_MS;
+
+    const summary = { from: new Date(startMs), to: new Date(endMs + DAY_MS), days: 0, documents: 0, complete: !from && !to };
+    for (let day = startMs; day <= endMs; day += DAY_MS) {
+      const rows = await UserEvent.aggregate([
+        { $match: { timestamp: { $gte: new Date(day), $lt: new Date(day + DAY_MS) } } },
+        { $group: { _id: { event_type: '$event_type', minute: bucketExpression('$timestamp', 'minute') }, count: { $sum: 1 } } },
+      ]);
+      summary.days += 1;
+      if (!rows.length) continue;
+
+      const counts = new Map();
+      rows.forEach((row) => {
+        const ms = new Date(row._id.minute).getTime();
+        GRAINS.forEach((grain) => {
+          const bucket = floorTo(ms, grain.ms);
+          const key = `${grain.name}|${bucket}|${row._id.event_type}`;
+          const entry = counts.get(key) || { granularity: grain.name, bucket: new Date(bucket), event_type: row._id.event_type, count: 0 };
+          entry.count += row.count;
+          counts.set(key, entry);
+        });
+      });
+      await EventRollup.bulkWrite(Array.from(counts.values()).map(({ count, ...filter }) => ({
+        updateOne: { filter, update: { $set: { count } }, upsert: true },
+      })), { ordered: false });
+      summary.documents += counts.size;
+      if (onDay) onDay(new Date(day), counts.size);
+    }
+
+    if (summary.complete) {
+      await RollupState.updateOne(
+        { _id: STATE_ID },
+        { $set: { backfilled_at: new Date(), backfilled_from: summary.from, partial_day: new Date(today), stale_at: null } },
+        { upsert: true }
+      );
+      this.partialDay = today;
+      this.staleUnsaved = false;
+      this.ready = true;
+    }
+    return summary;
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,138 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+const { listBuckets } = require('./timeRange');
+
+// Inactivity gap that ends a session unless the request passes its own
+const DEFAULT_GAP_MS = (Number(process.env.SESSION_GAP_MINUTES) || 30) * 60 * 1000;
+// Upper bound on events returned by one timeline request
+const TIMELINE_MAX_EVENTS = 1000;
+// Per-user scans walk the { user_id, timestamp } compound index
+const USER_TIMELINE_INDEX = { user_id: 1, timestamp: -1 };
+
+function toMs(timestamp) {
+  return new Date(timestamp).getTime();
+}
+
+/**
+ * Index of the bucket containing ms (buckets are sorted starts); -1 before the first one.
+ */
+function bucketOf(bucketMs, ms) {
+  let lo = 0;
+  let hi = bucketMs.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (bucketMs[mid] <= ms) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Session reconstruction from UserEvent streams. A user's events, in time order, belong to one session until
+ * the gap between two consecutive events exceeds the inactivity gap; the next event then starts a new session.
+ * Only events with a user_id are sessionized, and only events inside the requested range are read, so a session
+ * crossing a range edge is cut there.
+ */
+class SessionService {
+  constructor() {
+    this.defaultGapMs = DEFAULT_GAP_MS;
+  }
+
+  // PUBLIC_INTERFACE
+  split(events, gapMs = this.defaultGapMs) {
+    /**
+     * Split one user's events (ascending by timestamp) into sessions.
+     * Returns [{ start, end, events }] in the same order; start/end are Dates of the first and last event.
+     */
+    const sessions = [];
+    let current = null;
+    events.forEach((ev) => {
+      const ms = toMs(ev.timestamp);
+      if (!current || ms - current.endMs > gapMs) {
+        current = { startMs: ms, endMs: ms, events: [] };
+        sessions.push(current);
+      }
+      current.endMs = ms;
+      current.events.push(ev);
+    });
+    return sessions.map(({ startMs, endMs, events: list }) => ({ start: new Date(startMs), end: new Date(endMs), events: list }));
+  }
+
+  // PUBLIC_INTERFACE
+  async metrics({ from, to, interval, timezone, gapMs = this.defaultGapMs }) {
+    /**
+     * Session counts, durations and event counts per bucket of session start over [from, to].
+     * Events are read user by user from the { user_id, timestamp } index, so one user's events are held at a time.
+     * Returns { totals: { sessions, users, duration_ms, events }, series: [{ time, sessions, duration_ms, events }] }.
+     */
+    const buckets = listBuckets(from, to, interval, timezone);
+    const bucketMs = buckets.map((b) => b.getTime());
+    const series = buckets.map((time) => ({ time, sessions: 0, duration_ms: 0, events: 0 }));
+    const totals = { sessions: 0, users: 0, duration_ms: 0, events: 0 };
+
+    const tally = (timeline) => {
+      totals.users += 1;
+      this.split(timeline.reverse(), gapMs).forEach((session) => {
+        const duration = session.end.getTime() - session.start.getTime();
+        totals.sessions += 1;
+        totals.duration_ms += duration;
+        totals.events += session.events.length;
+        const point = series[bucketOf(bucketMs, session.start.getTime())];
+        if (!point) return;
+        point.sessions += 1;
+        point.duration_ms += duration;
+        point.events += session.events.length;
+      });
+    };
+
+    let currentUser = null;
+    let timeline = [];
+    const cursor = UserEvent.find({ user_id: { $ne: null }, timestamp: { $gte: from, $lte: to } })
+      .select({ user_id: 1, timestamp: 1 })
+      .sort({ user_id: 1, timestamp: -1 })
+      .hint(USER_TIMELINE_INDEX)
+      .lean()
+      .cursor();
+    for await (const ev of cursor) {
+      const userId = String(ev.user_id);
+      if (userId !== currentUser) {
+        if (timeline.length) tally(timeline);
+        currentUser = userId;
+        timeline = [];
+      }
+      timeline.push(ev);
+    }
+    if (timeline.length) tally(timeline);
+    return { totals, series };
+  }
+
+  // PUBLIC_INTERFACE
+  async timeline(userId, { from, to, gapMs = this.defaultGapMs, limit = TIMELINE_MAX_EVENTS }) {
+    /**
+     * One user's journey over [from, to]: the newest `limit` events grouped into sessions.
+     * Returns { sessions (newest first, events oldest first within each), truncated } where truncated
+     * means older events in the range were left out.
+     */
+    const docs = await UserEvent.find({
+      user_id: new mongoose.Types.ObjectId(String(userId)),
+      timestamp: { $gte: from, $lte: to },
+    })
+      .select({ event_type: 1, timestamp: 1, meta: 1, source: 1 })
+      .sort({ timestamp: -1 })
+      .limit(limit + 1)
+      .hint(USER_TIMELINE_INDEX)
+      .lean();
+    const truncated = docs.length > limit;
+    const events = (truncated ? docs.slice(0, limit) : docs).reverse();
+    return { sessions: this.split(events, gapMs).reverse(), truncated };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,301 @@
+'use strict';
+
+const { badRequest } = require('../middleware/errors');
+
+/**
+ * Shared time range helpers for metrics routes.
+ * - Parses `from` / `to` / `interval` query parameters into a validated range
+ * - Builds portable Mongo bucket expressions ($dateToParts/$dateFromParts, MongoDB 3.6+)
+ * - Enumerates bucket starts so series can be zero-filled
+ * - Resolves an optional IANA `tz` so day boundaries and bucket labels follow the caller's timezone
+ *
+ * Validation problems are thrown as Error with statusCode=400 so routes can map them to responses.
+ */
+
+const INTERVALS = ['minute', 'hour', 'day', 'week', 'month'];
+
+// Guard against requests that would generate huge zero-filled series
+const MAX_BUCKETS = Number(process.env.METRICS_MAX_BUCKETS) || 10000;
+
+const INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 3600 * 1000,
+  day: 24 * 3600 * 1000,
+  week: 7 * 24 * 3600 * 1000,
+};
+
+const DURATION_UNIT_MS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+// PUBLIC_INTERFACE
+function resolveTimezone(tz) {
+  /**
+   * Validate an IANA timezone name (e.g. Asia/Kolkata). Returns 'UTC' when absent.
+   * Throws Error(statusCode=400) for unknown zones.
+   */
+  if (tz === undefined || tz === null || String(tz).trim() === '') return 'UTC';
+  const name = String(tz).trim();
+  try {
+    return getFormatter(name).resolvedOptions().timeZone;
+  } catch (_) {
+    throw badRequest(`tz must be a valid IANA timezone (got ${name})`);
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in the given timezone.
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach((p) => {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of the timezone from UTC at the given instant, in milliseconds.
+ */
+function getOffsetMs(date, timezone) {
+  if (timezone === 'UTC') return 0;
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Convert wall-clock parts in the timezone to a Date. Month is 1-based; overflowing days/months roll over.
+ */
+function zonedPartsToDate({ year, month, day = 1, hour = 0, minute = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - getOffsetMs(new Date(guess), timezone);
+  // Re-check the offset at the candidate instant to handle DST transitions
+  const second = guess - getOffsetMs(new Date(first), timezone);
+  return new Date(second);
+}
+
+/**
+ * Parse a date query parameter given as ISO string or epoch milliseconds.
+ * Returns null when the value is absent.
+ */
+function parseDateParam(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const raw = String(value).trim();
+  const date = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date or epoch milliseconds`);
+  }
+  return date;
+}
+
+// PUBLIC_INTERFACE
+function parseTimeRange(query, { defaultFrom = null, defaultTo = null, defaultInterval = 'day' } = {}) {
+  /**
+   * Parse shared metrics query params.
+   * Params: query (req.query), defaults for from/to (Date or null) and interval.
+   * Returns: { from: Date|null, to: Date|null, interval: string, timezone: string }
+   * Throws: Error(statusCode=400) for invalid dates, unknown intervals, unknown tz or from > to.
+   */
+  const q = query || {};
+  const timezone = resolveTimezone(q.tz);
+  const from = parseDateParam(q.from, 'from') || defaultFrom;
+  const to = parseDateParam(q.to, 'to') || defaultTo || (from ? new Date() : null);
+
+  const interval = q.interval ? String(q.interval).toLowerCase() : defaultInterval;
+  if (!INTERVALS.includes(interval)) {
+    throw badRequest(`interval must be one of ${INTERVALS.join(', ')}`);
+  }
+  if (from && to && from.getTime() > to.getTime()) {
+    throw badRequest('from must be before to');
+  }
+  return { from, to, interval, timezone };
+}
+
+// PUBLIC_INTERFACE
+function parseDuration(value, name, { defaultMs, maxMs = Infinity } = {}) {
+  /**
+   * Parse a duration query param like 90s, 30m, 24h or 7d into milliseconds; defaultMs when absent.
+   * Throws Error(statusCode=400) for other formats, zero, or durations above maxMs.
+   */
+  if (value === undefined || value === null || value === '') return defaultMs;
+  const match = /^(\d+)\s*([smhd])$/i.exec(String(value).trim());
+  const ms = match ? Number(match[1]) * DURATION_UNIT_MS[match[2].toLowerCase()] : NaN;
+  if (!(ms > 0)) {
+    throw badRequest(`${name} must be a duration like 30m, 24h or 7d`);
+  }
+  if (ms > maxMs) {
+    throw badRequest(`${name} must be at most ${maxMs / DURATION_UNIT_MS.d}d`);
+  }
+  return ms;
+}
+
+// PUBLIC_INTERFACE
+function buildRangeMatch(field, { from, to }) {
+  /** Build a $match stage fragment for the given date field; returns {} when the range is unbounded. */
+  const cond = {};
+  if (from) cond.$gte = from;
+  if (to) cond.$lte = to;
+  return Object.keys(cond).length ? { [field]: cond } : {};
+}
+
+// PUBLIC_INTERFACE
+function bucketExpression(field, interval, timezone = 'UTC') {
+  /**
+   * Mongo expression truncating `field` to the start of its interval bucket in the given timezone.
+   * Weeks start on Monday (ISO 8601).
+   */
+  if (interval === 'week') {
+    return {
+      $let: {
+        vars: { p: { $dateToParts: { date: field, timezone, iso8601: true } } },
+        in: {
+          $dateFromParts: {
+            isoWeekYear: '$$p.isoWeekYear',
+            isoWeek: '$$p.isoWeek',
+            isoDayOfWeek: 1,
+            timezone,
+          },
+        },
+      },
+    };
+  }
+  const parts = { year: '$$p.year', month: '$$p.month' };
+  if (interval !== 'month') parts.day = '$$p.day';
+  if (interval === 'hour' || interval === 'minute') parts.hour = '$$p.hour';
+  if (interval === 'minute') parts.minute = '$$p.minute';
+  return {
+    $let: {
+      vars: { p: { $dateToParts: { date: field, timezone } } },
+      in: { $dateFromParts: { ...parts, timezone } },
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+function truncateDate(date, interval, timezone = 'UTC') {
+  /** Truncate a Date to the start of its interval bucket in the given timezone (weeks start on Monday). */
+  const p = getZonedParts(date, timezone);
+  switch (interval) {
+    case 'minute':
+      return zonedPartsToDate(p, timezone);
+    case 'hour':
+      return zonedPartsToDate({ ...p, minute: 0 }, timezone);
+    case 'day':
+      return zonedPartsToDate({ year: p.year, month: p.month, day: p.day }, timezone);
+    case 'week': {
+      const dow = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+      const sinceMonday = (dow + 6) % 7;
+      return zonedPartsToDate({ year: p.year, month: p.month, day: p.day - sinceMonday }, timezone);
+    }
+    case 'month':
+      return zonedPartsToDate({ year: p.year, month: p.month }, timezone);
+    default:
+      throw badRequest(`Unsupported interval ${interval}`);
+  }
+}
+
+function addInterval(date, interval, timezone) {
+  if (interval === 'minute' || interval === 'hour') {
+    return new Date(date.getTime() + INTERVAL_MS[interval]);
+  }
+  // Calendar intervals step in wall-clock time so DST changes do not shift bucket starts
+  const p = getZonedParts(date, timezone);
+  if (interval === 'month') {
+    return zonedPartsToDate({ year: p.year, month: p.month + 1 }, timezone);
+  }
+  const days = interval === 'week' ? 7 : 1;
+  return zonedPartsToDate({ year: p.year, month: p.month, day: p.day + days }, timezone);
+}
+
+// PUBLIC_INTERFACE
+function listBuckets(from, to, interval, timezone = 'UTC') {
+  /**
+   * Enumerate bucket start dates covering [from, to] in the given timezone.
+   * Throws Error(statusCode=400) when the range would exceed METRICS_MAX_BUCKETS buckets.
+   */
+  const buckets = [];
+  let cursor = truncateDate(from, interval, timezone);
+  while (cursor.getTime() <= to.getTime()) {
+    buckets.push(cursor);
+    if (buckets.length > MAX_BUCKETS) {
+      throw badRequest(`Requested range produces more than ${MAX_BUCKETS} ${interval} buckets; narrow the range or use a coarser interval`);
+    }
+    cursor = addInterval(cursor, interval, timezone);
+  }
+  return buckets;
+}
+
+// PUBLIC_INTERFACE
+function zeroFill(rows, buckets, { timeKey = 'time', valueKey = 'count' } = {}) {
+  /**
+   * Merge aggregated rows ({ [timeKey]: Date, [valueKey]: number }) into the full bucket list.
+   * Returns [{ time: Date, value: number }] with one entry per bucket, missing buckets set to 0.
+   */
+  const byMs = new Map();
+  (rows || []).forEach((row) => {
+    const t = row[timeKey] instanceof Date ? row[timeKey] : new Date(row[timeKey]);
+    byMs.set(t.getTime(), Number(row[valueKey]) || 0);
+  });
+  return buckets.map((b) => ({ time: b, value: byMs.get(b.getTime()) || 0 }));
+}
+
+// PUBLIC_INTERFACE
+function formatInstant(date, timezone = 'UTC') {
+  /**
+   * ISO 8601 string for an instant. UTC keeps toISOString() output;
+   * other zones render local wall-clock time with their offset (e.g. 2025-01-01T05:30:00.000+05:30).
+   */
+  if (timezone === 'UTC') return date.toISOString();
+  const offsetMs = getOffsetMs(date, timezone);
+  const local = new Date(date.getTime() + offsetMs).toISOString().slice(0, 23);
+  const sign = offsetMs < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMs) / 60000;
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${local}${sign}${hh}:${mm}`;
+}
+
+// PUBLIC_INTERFACE
+function formatBucketLabel(date, interval, timezone = 'UTC') {
+  /** Label for a bucket: local YYYY-MM-DD for day/week/month, full ISO string for finer intervals. */
+  const iso = formatInstant(date, timezone);
+  return interval === 'minute' || interval === 'hour' ? iso : iso.slice(0, 10);
+}
+
+module.exports = {
+  INTERVALS,
+  resolveTimezone,
+  parseTimeRange,
+  parseDuration,
+  buildRangeMatch,
+  bucketExpression,
+  truncateDate,
+  listBuckets,
+  zeroFill,
+  formatInstant,
+  formatBucketLabel,
+};
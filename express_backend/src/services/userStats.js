@@ -0,0 +1,222 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Answer = require('../models/Answer');
+const AnswerArchive = require('../models/AnswerArchive');
+const Question = require('../models/Question');
+const { bucketExpression, formatBucketLabel } = require('./timeRange');
+const { cursorFilter, buildPage } = require('./pagination');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Accuracy rounded to 4 decimals; null when there are no attempts.
+ */
+function accuracy(correct, attempts) {
+  return attempts ? Math.round((correct / attempts) * 10000) / 10000 : null;
+}
+
+function toBreakdown(rows, key) {
+  return rows.map((row) => ({
+    [key]: row._id,
+    attempts: row.attempts,
+    correct: row.correct,
+    accuracy: accuracy(row.correct, row.attempts),
+  }));
+}
+
+/**
+ * Longest and current (ending at the latest item) runs of consecutive truthy values.
+ */
+function runs(values) {
+  let longest = 0;
+  let current = 0;
+  values.forEach((v) => {
+    current = v ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return { current, longest };
+}
+
+/**
+ * Per-user answer history and performance stats, computed from the answers collection and its archive.
+ * Uses the { user_id, created_at } index on answers; question attributes come from a $lookup.
+ */
+class UserStatsService {
+  // PUBLIC_INTERFACE
+  async history(userId, { limit, cursor, questionId } = {}) {
+    /**
+     * Page of a user's answers, newest first, joined with the question text, difficulty and tags.
+     * Returns { items, page } (see pagination.buildPage). The correct option index is never exposed.
+     */
+    const match = { user_id: new mongoose.Types.ObjectId(String(userId)), ...cursorFilter('created_at', cursor) };
+    if (questionId) match.question_id = new mongoose.Types.ObjectId(String(questionId));
+
+    const docs = await Answer.aggregate([
+      ...AnswerArchive.withArchived(match),
+      { $sort: { created_at: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      {
+        $lookup: {
+          from: Question.collection.name,
+          localField: 'question_id',
+          foreignField: '_id',
+          as: 'question',
+        },
+      },
+      { $unwind: { path: '$question', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          question_id: 1,
+          selectedOptionIndex: 1,
+          isCorrect: 1,
+          created_at: 1,
+          'question.text': 1,
+          'question.difficulty': 1,
+          'question.tags': 1,
+        },
+      },
+    ]);
+    return buildPage(docs, limit, 'created_at');
+  }
+
+  // PUBLIC_INTERFACE
+  async stats(userId, { timezone = 'UTC' } = {}) {
+    /**
+     * Performance summary for one user:
+     * - totals: attempts, correct, accuracy, distinct questions attempted
+     * - by_difficulty / by_tag accuracy (from the answered question's current difficulty and tags)
+     * - first_attempt vs retry accuracy (retry = any later answer to the same question)
+     * - streaks: consecutive correct answers and consecutive active days (days counted in `timezone`)
+     */
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+    const [facets] = await Answer.aggregate([
+      ...AnswerArchive.withArchived({ user_id: userObjectId }),
+      { $sort: { created_at: 1, _id: 1 } },
+      {
+        $lookup: {
+          from: Question.collection.name,
+          localField: 'question_id',
+          foreignField: '_id',
+          as: 'question',
+        },
+      },
+      { $unwind: { path: '$question', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          question_id: 1,
+          created_at: 1,
+          'question.difficulty': 1,
+          'question.tags': 1,
+          correct: { $cond: ['$isCorrect', 1, 0] },
+        },
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                attempts: { $sum: 1 },
+                correct: { $sum: '$correct' },
+                questions: { $addToSet: '$question_id' },
+                first_at: { $first: '$created_at' },
+                last_at: { $last: '$created_at' },
+              },
+            },
+            { $addFields: { questions: { $size: '$questions' } } },
+          ],
+          byDifficulty: [
+            { $group: { _id: { $ifNull: ['$question.difficulty', 'unknown'] }, attempts: { $sum: 1 }, correct: { $sum: '$correct' } } },
+            { $sort: { _id: 1 } },
+          ],
+          byTag: [
+            { $unwind: '$question.tags' },
+            { $group: { _id: '$question.tags', attempts: { $sum: 1 }, correct: { $sum: '$correct' } } },
+            { $sort: { attempts: -1, _id: 1 } },
+          ],
+          attemptOrder: [
+            // Answers are sorted by time, so the first pushed value per question is the first attempt
+            { $group: { _id: '$question_id', results: { $push: '$correct' } } },
+            {
+              $group: {
+                _id: null,
+                first_attempts: { $sum: 1 },
+                first_correct: { $sum: { $arrayElemAt: ['$results', 0] } },
+                retries: { $sum: { $subtract: [{ $size: '$results' }, 1] } },
+                retry_correct: { $sum: { $subtract: [{ $sum: '$results' }, { $arrayElemAt: ['$results', 0] }] } },
+              },
+            },
+          ],
+          sequence: [{ $project: { _id: 0, correct: 1 } }],
+          days: [
+            { $group: { _id: bucketExpression('$created_at', 'day', timezone) } },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const totals = facets.totals[0] || { attempts: 0, correct: 0, questions: 0, first_at: null, last_at: null };
+    const order = facets.attemptOrder[0] || { first_attempts: 0, first_correct: 0, retries: 0, retry_correct: 0 };
+    const correctRun = runs(facets.sequence.map((row) => row.correct));
+    const dayStreaks = this.dayStreaks(facets.days.map((row) => row._id), timezone);
+
+    return {
+      user_id: String(userId),
+      timezone,
+      totals: {
+        attempts: totals.attempts,
+        correct: totals.correct,
+        accuracy: accuracy(totals.correct, totals.attempts),
+        questions_attempted: totals.questions,
+        first_answer_at: totals.first_at,
+        last_answer_at: totals.last_at,
+      },
+      by_difficulty: toBreakdown(facets.byDifficulty, 'difficulty'),
+      by_tag: toBreakdown(facets.byTag, 'tag'),
+      first_attempt: {
+        attempts: order.first_attempts,
+        correct: order.first_correct,
+        accuracy: accuracy(order.first_correct, order.first_attempts),
+      },
+      retry: {
+        attempts: order.retries,
+        correct: order.retry_correct,
+        accuracy: accuracy(order.retry_correct, order.retries),
+      },
+      streaks: {
+        current_correct: correctRun.current,
+        longest_correct: correctRun.longest,
+        ...dayStreaks,
+      },
+    };
+  }
+
+  /**
+   * Consecutive active-day streaks from sorted day bucket starts. The current streak counts only
+   * if the latest active day is today or yesterday (in the timezone).
+   */
+  dayStreaks(days, timezone, now = new Date()) {
+    if (!days.length) {
+      return { current_days: 0, longest_days: 0, last_active_day: null };
+    }
+    // Calendar day numbers; labels avoid DST-length days skewing the gap
+    const dayNumbers = days.map((d) => Date.parse(`${formatBucketLabel(d, 'day', timezone)}T00:00:00Z`) / DAY_MS);
+    let longest = 1;
+    let current = 1;
+    for (let i = 1; i < dayNumbers.length; i += 1) {
+      current = dayNumbers[i] - dayNumbers[i - 1] === 1 ? current + 1 : 1;
+      longest = Math.max(longest, current);
+    }
+    const today = Date.parse(`${formatBucketLabel(now, 'day', timezone)}T00:00:00Z`) / DAY_MS;
+    const last = dayNumbers[dayNumbers.length - 1];
+    return {
+      current_days: today - last <= 1 ? current : 0,
+      longest_days: longest,
+      last_active_day: formatBucketLabel(days[days.length - 1], 'day', timezone),
+    };
+  }
+}
+
+module.exports = new UserStatsService();
@@ -1,7 +1,222 @@
 'use strict';
 
+const { verifyJwt, isAdminPrincipal } = require('./middleware/auth');
+
 let ioInstance = null;
 
+/**
+ * Room conventions for targeted streams.
+ * - event_type:<type>   events of one type (everything recorded through the event ingestion pipeline)
+ * - question:<id>       answers to one question
+ * - user:<id>           activity of one user
+ * - metric:<name>       metrics_update pings for one /api/metrics/<name> route ('questions' and 'quizzes' cover their /* routes)
+ * - live:<code>[:host]  live quiz room participants / hosts (joined via the live:* protocol, not 'subscribe')
+ *
+ * Sockets start in the firehose room and receive every emission they are allowed to see.
+ * The first 'subscribe' moves a socket out of the firehose so it only receives what it asked for.
+ *
+ * Access control: the handshake JWT (auth.token, Authorization header or ?token=) is verified and the
+ * principal stored on socket.data.user. Admin sockets join rooms under the 'admin/' scope, everyone else
+ * joins the public scope. Restricted emissions (raw answers, per-user events) only go to admin-scoped rooms
+ * and to the owning user's own user:<id> room; aggregate emissions go to both scopes.
+ */
+const FIREHOSE_ROOM = 'all';
+const ADMIN_SCOPE = 'admin/';
+const LIVE_ROOM_PREFIX = 'live:';
+
+// When true, connections without a token are rejected; otherwise they get aggregate-only streams
+const SOCKET_REQUIRE_AUTH = String(process.env.SOCKET_REQUIRE_AUTH || '').toLowerCase() === 'true';
+
+const SUBSCRIPTION_KINDS = {
+  eventTypes: 'event_type',
+  questions: 'question',
+  users: 'user',
+  metrics: 'metric',
+};
+
+const METRIC_NAMES = [
+  'signups-per-day',
+  'active-users',
+  'event-types',
+  'total-events',
+  'recent-activity',
+  'users-answered-today',
+  'event-heatmap',
+  'breakdown',
+  'funnel',
+  'retention',
+  'sessions',
+  'questions',
+  'quizzes',
+];
+
+// Upper bound on subscription rooms a single socket may hold
+const MAX_ROOMS_PER_SOCKET = Number(process.env.SOCKET_MAX_SUBSCRIPTIONS) || 100;
+
+/**
+ * Build a room name for a subscription kind and key.
+ */
+function roomName(kind, key) {
+  return `${kind}:${String(key)}`;
+}
+
+/**
+ * Turn a subscribe/unsubscribe payload ({ eventTypes, questions, users, metrics }) into room names.
+ * Throws on malformed payloads so the handler can ack an error.
+ */
+function payloadToRooms(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('payload must be an object like { eventTypes, questions, users, metrics }');
+  }
+  const rooms = [];
+  Object.keys(SUBSCRIPTION_KINDS).forEach((field) => {
+    if (payload[field] === undefined) return;
+    const values = Array.isArray(payload[field]) ? payload[field] : [payload[field]];
+    values.forEach((value) => {
+      if (typeof value !== 'string' || !value.trim() || value.length > 128) {
+        throw new Error(`${field} must contain non-empty strings`);
+      }
+      if (field === 'metrics' && !METRIC_NAMES.includes(value)) {
+        throw new Error(`Unknown metric ${value}; expected one of ${METRIC_NAMES.join(', ')}`);
+      }
+      rooms.push(roomName(SUBSCRIPTION_KINDS[field], value.trim()));
+    });
+  });
+  return rooms;
+}
+
+/**
+ * Prefix room names with the admin scope for admin sockets.
+ */
+function scoped(rooms, isAdmin) {
+  return isAdmin ? rooms.map((r) => `${ADMIN_SCOPE}${r}`) : rooms;
+}
+
+/**
+ * The user:<id> room a non-admin socket joins on connect and keeps for its lifetime (null for admins and guests).
+ */
+function ownUserRoom(socket) {
+  if (socket.data.isAdmin || !socket.data.user || !socket.data.user.id) return null;
+  return roomName('user', socket.data.user.id);
+}
+
+/**
+ * Subscription rooms a socket currently holds, unscoped (excludes its private id room, the firehose, live rooms
+ * and its own user room).
+ */
+function subscriptionRooms(socket) {
+  const prefix = socket.data.isAdmin ? ADMIN_SCOPE : '';
+  const ownRoom = ownUserRoom(socket);
+  return Array.from(socket.rooms)
+    .filter((r) => r !== socket.id && r.startsWith(prefix) && !r.startsWith(LIVE_ROOM_PREFIX))
+    .map((r) => r.slice(prefix.length))
+    .filter((r) => r !== FIREHOSE_ROOM && r !== ownRoom);
+}
+
+/**
+ * Reject subscriptions a non-admin socket may not hold: other users' activity rooms.
+ */
+function assertAllowedRooms(socket, rooms) {
+  if (socket.data.isAdmin) return;
+  const ownRoom = ownUserRoom(socket);
+  rooms.forEach((r) => {
+    if (r.startsWith('user:') && r !== ownRoom) {
+      throw new Error('Admin role required to subscribe to other users');
+    }
+  });
+}
+
+/**
+ * Extract the JWT from the Socket.io handshake: auth.token, Authorization: Bearer header or ?token= query.
+ */
+function extractHandshakeToken(handshake) {
+  if (handshake.auth && typeof handshake.auth.token === 'string' && handshake.auth.token) {
+    return handshake.auth.token.replace(/^Bearer\s+/i, '');
+  }
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header) {
+    const parts = header.split(' ');
+    if (parts.length === 2 && /^Bearer$/i.test(parts[0])) return parts[1];
+  }
+  if (handshake.query && typeof handshake.query.token === 'string' && handshake.query.token) {
+    return handshake.query.token;
+  }
+  return null;
+}
+
+/**
+ * Socket.io middleware verifying the handshake JWT and attaching the principal to socket.data.
+ * Invalid tokens are always rejected; missing tokens are rejected only when SOCKET_REQUIRE_AUTH=true.
+ */
+function authenticateSocket(socket, next) {
+  const token = extractHandshakeToken(socket.handshake);
+  if (!token) {
+    if (SOCKET_REQUIRE_AUTH) {
+      return next(new Error('Missing authentication token'));
+    }
+    socket.data.user = null;
+    socket.data.isAdmin = false;
+    return next();
+  }
+  try {
+    const principal = verifyJwt(token);
+    socket.data.user = principal;
+    socket.data.isAdmin = isAdminPrincipal(principal);
+    return next();
+  } catch (err) {
+    return next(new Error(err.statusCode === 500 ? err.message : 'Invalid or expired token'));
+  }
+}
+
+/**
+ * Attach the subscribe/unsubscribe protocol to a connected socket.
+ * Both events accept an optional ack callback receiving { ok, rooms, firehose } or { ok: false, error }.
+ */
+function registerSubscriptionHandlers(socket) {
+  const reply = (ack, body) => {
+    if (typeof ack === 'function') ack(body);
+  };
+  const isAdmin = socket.data.isAdmin;
+  const [firehose] = scoped([FIREHOSE_ROOM], isAdmin);
+  const state = () => ({ ok: true, rooms: subscriptionRooms(socket), firehose: socket.rooms.has(firehose) });
+
+  socket.on('subscribe', (payload, ack) => {
+    try {
+      if (payload && payload.all === true) {
+        socket.join(firehose);
+        return reply(ack, state());
+      }
+      const rooms = payloadToRooms(payload);
+      assertAllowedRooms(socket, rooms);
+      const next = new Set([...subscriptionRooms(socket), ...rooms]);
+      if (next.size > MAX_ROOMS_PER_SOCKET) {
+        throw new Error(`A socket may hold at most ${MAX_ROOMS_PER_SOCKET} subscriptions`);
+      }
+      socket.leave(firehose);
+      socket.join(scoped(rooms, isAdmin));
+      return reply(ack, state());
+    } catch (err) {
+      return reply(ack, { ok: false, error: err.message });
+    }
+  });
+
+  socket.on('unsubscribe', (payload, ack) => {
+    try {
+      if (payload && payload.all === true) {
+        socket.leave(firehose);
+        return reply(ack, state());
+      }
+      // No payload: drop every subscription room
+      const rooms = payload === undefined || payload === null ? subscriptionRooms(socket) : payloadToRooms(payload);
+      const ownRoom = ownUserRoom(socket);
+      scoped(rooms, isAdmin).filter((r) => r !== ownRoom).forEach((r) => socket.leave(r));
+      return reply(ack, state());
+    } catch (err) {
+      return reply(ack, { ok: false, error: err.message });
+    }
+  });
+}
+
 /**
  * Initialize Socket.io on a given HTTP server with CORS configured.
  * FRONTEND_ORIGIN env variable is used for CORS origins.
@@ -22,9 +237,18 @@ function initIO(server) {
     },
   });
 
+  ioInstance.use(authenticateSocket);
+
   ioInstance.on('connection', (socket) => {
+    const principal = socket.data.user;
     // eslint-disable-next-line no-console
-    console.log('[Socket.io] client connected', socket.id);
+    console.log('[Socket.io] client connected', socket.id, principal ? `(${principal.username || principal.id}${socket.data.isAdmin ? ', admin' : ''})` : '(anonymous)');
+    socket.join(scoped([FIREHOSE_ROOM], socket.data.isAdmin));
+    // Regular users always receive their own activity (self-scoped stream)
+    if (principal && principal.id && !socket.data.isAdmin) {
+      socket.join(roomName('user', principal.id));
+    }
+    registerSubscriptionHandlers(socket);
     socket.on('disconnect', () => {
       // eslint-disable-next-line no-console
       console.log('[Socket.io] client disconnected', socket.id);
@@ -47,7 +271,51 @@ function getIO() {
   return ioInstance;
 }
 
+// PUBLIC_INTERFACE
+function metricsAffectedBy(eventType) {
+  /** Names of /api/metrics routes whose output changes when a UserEvent of the given type is written. */
+  const metrics = [
+    'active-users', 'event-types', 'total-events', 'recent-activity', 'event-heatmap', 'breakdown',
+    'funnel', 'retention', 'sessions',
+  ];
+  if (eventType === 'signup') metrics.push('signups-per-day');
+  if (eventType === 'answer') metrics.push('users-answered-today', 'questions');
+  if (eventType === 'quiz_answer') metrics.push('users-answered-today', 'questions', 'quizzes');
+  if (eventType === 'quiz_start' || eventType === 'quiz_finish') metrics.push('quizzes');
+  return metrics;
+}
+
+// PUBLIC_INTERFACE
+function liveRoomName(code, { host = false } = {}) {
+  /** Socket.io room for a live quiz room's participants, or its hosts with { host: true }. */
+  return `${LIVE_ROOM_PREFIX}${code}${host ? ':host' : ''}`;
+}
+
+// PUBLIC_INTERFACE
+function roomsFor({ eventType, questionId, userId, metrics } = {}, { restricted = false } = {}) {
+  /**
+   * Resolve emission targets into room names, always including the firehose room.
+   * Aggregate emissions target both the public and admin scopes. Restricted emissions (raw, per-user data)
+   * target only admin-scoped rooms plus the public user:<id> room, which only that user may hold.
+   */
+  const rooms = [FIREHOSE_ROOM];
+  if (eventType) rooms.push(roomName('event_type', eventType));
+  if (questionId) rooms.push(roomName('question', questionId));
+  if (userId) rooms.push(roomName('user', userId));
+  (metrics || []).forEach((m) => rooms.push(roomName('metric', m)));
+  if (restricted) {
+    return [...scoped(rooms, true), ...(userId ? [roomName('user', userId)] : [])];
+  }
+  return [...rooms, ...scoped(rooms, true)];
+}
+
 module.exports = {
   initIO,
   getIO,
+  roomsFor,
+  subscriptionRooms,
+  liveRoomName,
+  metricsAffectedBy,
+  FIREHOSE_ROOM,
+  METRIC_NAMES,
 };
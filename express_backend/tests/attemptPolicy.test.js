@@ -0,0 +1,54 @@
+'use strict';
+
+const Answer = require('../src/models/Answer');
+const AnswerArchive = require('../src/models/AnswerArchive');
+const attemptPolicy = require('../src/services/attemptPolicy');
+
+function mockHistory(count, lastAt, archived = 0) {
+  jest.spyOn(Answer, 'countDocuments').mockResolvedValue(count);
+  jest.spyOn(AnswerArchive, 'countDocuments').mockResolvedValue(archived);
+  jest.spyOn(Answer, 'findOne').mockReturnValue({
+    sort: () => ({ select: () => ({ lean: async () => (lastAt ? { created_at: lastAt } : null) }) }),
+  });
+}
+
+describe('attempt policy', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('inherits global defaults unless the question overrides them', () => {
+    expect(attemptPolicy.resolve({})).toEqual({ max_attempts: 0, cooldown_seconds: 0 });
+    expect(attemptPolicy.resolve({ attempt_policy: { max_attempts: 1, cooldown_seconds: null } }))
+      .toEqual({ max_attempts: 1, cooldown_seconds: 0 });
+  });
+
+  it('validates overrides', () => {
+    expect(attemptPolicy.validateOverride({ max_attempts: 3 })).toEqual({ max_attempts: 3, cooldown_seconds: null });
+    expect(() => attemptPolicy.validateOverride({ max_attempts: -1 })).toThrow(/max_attempts/);
+    expect(() => attemptPolicy.validateOverride('once')).toThrow(/attempt_policy/);
+  });
+
+  it('returns the next attempt number when allowed', async () => {
+    mockHistory(2, new Date(Date.now() - 60000));
+    const result = await attemptPolicy.check({ _id: 'q', attempt_policy: { max_attempts: 3 } }, 'u');
+    expect(result.attempt_number).toBe(3);
+  });
+
+  it('rejects single-attempt questions that were already answered with 409', async () => {
+    mockHistory(1, new Date());
+    await expect(attemptPolicy.check({ _id: 'q', attempt_policy: { max_attempts: 1 } }, 'u'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('counts answers archived by the retention job as attempts', async () => {
+    mockHistory(0, null, 2);
+    await expect(attemptPolicy.check({ _id: 'q', attempt_policy: { max_attempts: 2 } }, 'u'))
+      .rejects.toMatchObject({ statusCode: 409, attempts: 2 });
+  });
+
+  it('rejects answers during the cooldown with 429 and a retry delay', async () => {
+    const now = new Date('2025-01-01T00:00:10Z');
+    mockHistory(1, new Date('2025-01-01T00:00:00Z'));
+    await expect(attemptPolicy.check({ _id: 'q', attempt_policy: { cooldown_seconds: 30 } }, 'u', now))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: 20 });
+  });
+});
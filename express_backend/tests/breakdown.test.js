@@ -0,0 +1,51 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const eventIngestion = require('../src/services/eventIngestion');
+
+describe('event properties', () => {
+  it('stores custom properties as meta', () => {
+    const { doc } = eventIngestion.normalize(
+      { username: 'a', event_type: 'click', properties: { page: '/pricing', button_id: 'cta', device: 'mobile' } },
+      { source: 'api' }
+    );
+    expect(doc.meta).toEqual({ page: '/pricing', button_id: 'cta', device: 'mobile' });
+    expect(eventIngestion.normalize({ username: 'a', event_type: 'click', properties: {}, meta: {} }).error).toMatch(/not both/);
+  });
+});
+
+describe('GET /api/metrics/breakdown', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('validates by and limit', async () => {
+    expect((await request(app).get('/api/metrics/breakdown')).status).toBe(400);
+    const bad = await request(app).get('/api/metrics/breakdown?by=properties.$where');
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toMatch(/properties\.<path>/);
+    expect((await request(app).get('/api/metrics/breakdown?by=properties.page&limit=0')).status).toBe(400);
+  });
+
+  it('returns the top values with other and missing buckets', async () => {
+    const aggregate = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([{
+      top: [{ _id: '/home', count: 6 }, { _id: '/pricing', count: 2 }],
+      missing: [{ _id: null, count: 1 }],
+      totals: [{ _id: null, total: 12, values: 5 }],
+    }]);
+
+    const res = await request(app).get('/api/metrics/breakdown?event=click&by=properties.page&limit=2');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      by: 'properties.page',
+      event: ['click'],
+      total: 12,
+      buckets: [{ value: '/home', count: 6, share: 0.5 }, { value: '/pricing', count: 2, share: 0.1667 }],
+      other: { count: 3, values: 2, share: 0.25 },
+      missing: { count: 1, share: 0.0833 },
+    });
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match.event_type).toBe('click');
+    expect(pipeline[1].$group._id).toBe('$meta.page');
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const http = require('http');
+const { initIO } = require('../src/socket');
+const broadcaster = require('../src/services/broadcaster');
+
+describe('socket broadcaster', () => {
+  let io;
+
+  beforeAll(() => {
+    io = initIO(http.createServer());
+  });
+
+  afterAll(() => {
+    io.close();
+  });
+
+  beforeEach(() => {
+    broadcaster.flush();
+    broadcaster.resetStats();
+  });
+
+  it('merges intermediate metrics_update messages within a window', () => {
+    const targets = { eventType: 'answer', metrics: ['total-events'] };
+    broadcaster.publish('metrics_update', { type: 'answer', seq: 1, delta: { total_events: 1, event_types: { answer: 1 } } }, targets);
+    broadcaster.publish('metrics_update', { type: 'answer', seq: 2, delta: { total_events: 2, event_types: { answer: 2 } } }, targets);
+    broadcaster.publish('metrics_update', { type: 'answer', seq: 3, delta: { total_events: 3, event_types: { answer: 3 } } }, targets);
+    expect(broadcaster.stats()).toMatchObject({ published: 3, coalesced: 2, pending: 1 });
+
+    broadcaster.flush();
+    expect(broadcaster.stats()).toMatchObject({ emitted: 1, pending: 0 });
+  });
+
+  it('coalesces per event name regardless of targets', () => {
+    broadcaster.publish('metrics_update', { type: 'login' }, { eventType: 'login' });
+    broadcaster.publish('metrics_update', { type: 'signup' }, { eventType: 'signup' });
+    broadcaster.publish('new_answer', { _id: 'a' }, { userId: 'u1' }, { restricted: true });
+    broadcaster.flush();
+    expect(broadcaster.stats()).toMatchObject({ coalesced: 1, emitted: 2 });
+  });
+
+  it('merges metrics_update deltas for one socket', () => {
+    const [name, body] = broadcaster.buildMessage('metrics_update', [
+      { type: 'login', seq: 1, delta: { total_events: 1, event_types: { login: 1 } } },
+      { type: 'answer', seq: 2, delta: { total_events: 2, event_types: { answer: 1 }, users_answered_today: 1 } },
+    ]);
+    expect(name).toBe('metrics_update');
+    expect(body).toMatchObject({
+      seq: 2,
+      types: ['login', 'answer'],
+      coalesced: 2,
+      delta: { total_events: 2, event_types: { login: 1, answer: 1 }, users_answered_today: 1 },
+    });
+  });
+
+  it('batches raw events under the plural event name', () => {
+    expect(broadcaster.buildMessage('new_answer', [{ _id: 'a' }, { _id: 'b' }])).toEqual([
+      'new_answers',
+      { count: 2, answers: [{ _id: 'a' }, { _id: 'b' }] },
+    ]);
+    expect(broadcaster.buildMessage('new_answer', [{ _id: 'a' }])).toEqual(['new_answer', { _id: 'a' }]);
+    expect(broadcaster.buildMessage('new_events', [{ events: [1, 2] }, { events: [3] }])).toEqual([
+      'new_events',
+      { count: 3, events: [1, 2, 3] },
+    ]);
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const Answer = require('../src/models/Answer');
+const dataExport = require('../src/services/dataExport');
+
+const BOM = '\uFEFF';
+
+// find() stub whose lean().cursor() yields rows through next()
+function cursorQuery(rows) {
+  const cursor = {
+    next: jest.fn(async () => (rows.length ? rows.shift() : null)),
+    close: jest.fn(async () => {}),
+  };
+  const q = { cursor: jest.fn(() => cursor) };
+  ['sort', 'lean'].forEach((m) => { q[m] = jest.fn(() => q); });
+  return { q, cursor };
+}
+
+describe('data export', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('renders a metrics array response as CSV with ?format=csv', async () => {
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([
+      { event_type: 'login', count: 3 },
+      { event_type: '=cmd', count: 1 },
+    ]);
+    const res = await request(app).get('/api/metrics/event-types?format=csv');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="event-types-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.headers['x-cache']).toBeUndefined();
+    // Formula-like text is neutralized for spreadsheets
+    expect(res.text).toBe(`${BOM}event_type,count\r\nlogin,3\r\n'=cmd,1\r\n`);
+  });
+
+  it('negotiates from Accept and exports a table of an object response', async () => {
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([{ hour: 9, dow: 1, count: 4 }]);
+    const res = await request(app)
+      .get('/api/metrics/event-heatmap')
+      .set('Accept', 'application/x-ndjson');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    const lines = res.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(7 * 24);
+    expect(lines[24 + 9]).toEqual({ hour: 9, dow: 1, count: 4 });
+
+    const summary = await request(app).get('/api/metrics/event-heatmap?format=csv&table=summary');
+    expect(summary.text.split('\r\n')[0]).toBe(`${BOM}timezone,last24h,from,to`);
+  });
+
+  it('flattens nested fields into dotted columns', () => {
+    const body = {
+      cohorts: [
+        { cohort: '2024-W01', size: 4, retained: [4, 2], other: { count: 1 } },
+        { cohort: '2024-W02', size: 2, retained: [2] },
+      ],
+      average: [1, 0.5],
+    };
+    const rows = dataExport.table(body, undefined);
+    expect(rows).toBe(body.cohorts);
+    expect(dataExport.table(body, 'summary')).toEqual([{ average: [1, 0.5] }]);
+    expect(dataExport.csv(rows)).toBe(
+      `${BOM}cohort,size,retained.0,retained.1,other.count\r\n2024-W01,4,4,2,1\r\n2024-W02,2,2,,\r\n`
+    );
+  });
+
+  it('keeps errors and bad export params as JSON', async () => {
+    const badFormat = await request(app).get('/api/metrics/event-types?format=xlsx');
+    expect(badFormat.status).toBe(400);
+    expect(badFormat.body.error).toMatch(/format must be one of json, csv, ndjson/);
+
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([]);
+    const badTable = await request(app).get('/api/metrics/event-heatmap?format=csv&table=nope');
+    expect(badTable.status).toBe(400);
+    expect(badTable.body.error).toBe('table must be one of buckets, summary');
+
+    const routeError = await request(app).get('/api/metrics/breakdown?format=csv');
+    expect(routeError.status).toBe(400);
+    expect(routeError.headers['content-type']).toMatch(/application\/json/);
+  });
+
+  it('streams raw user events from a cursor as CSV (admin only)', async () => {
+    const id = new mongoose.Types.ObjectId('507f1f77bcf86cd799439021');
+    const { q, cursor } = cursorQuery([
+      { _id: id, timestamp: new Date('2024-01-01T10:00:00Z'), event_type: 'click', user_id: id, source: 'api', meta: { page: 'home, top' } },
+      { _id: id, timestamp: new Date('2024-01-01T11:00:00Z'), event_type: 'login', username: 'bob', source: 'server', meta: {} },
+    ]);
+    const find = jest.spyOn(UserEvent, 'find').mockReturnValue(q);
+
+    const denied = await request(app).get('/api/export/user-events').set('Authorization', `Bearer ${token('user')}`);
+    expect(denied.status).toBe(403);
+
+    const res = await request(app)
+      .get('/api/export/user-events?from=2024-01-01&to=2024-01-02&event=click,login')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(find).toHaveBeenCalledWith({
+      timestamp: { $gte: new Date('2024-01-01T00:00:00Z'), $lte: new Date('2024-01-02T00:00:00Z') },
+      event_type: { $in: ['click', 'login'] },
+    });
+    expect(q.sort).toHaveBeenCalledWith({ timestamp: 1 });
+    expect(res.text.split('\r\n')).toEqual([
+      `${BOM}_id,timestamp,event_type,user_id,username,source,meta`,
+      `${id},2024-01-01T10:00:00.000Z,click,${id},,api,"{""page"":""home, top""}"`,
+      `${id},2024-01-01T11:00:00.000Z,login,,bob,server,{}`,
+      '',
+    ]);
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('streams raw answers as NDJSON and validates filters', async () => {
+    const { q } = cursorQuery([{ _id: '1', isCorrect: true, created_at: new Date('2024-01-01T00:00:00Z') }]);
+    jest.spyOn(Answer, 'find').mockReturnValue(q);
+    const res = await request(app)
+      .get('/api/export/answers?format=ndjson')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/filename="answers-.*\.ndjson"/);
+    expect(res.text).toBe('{"_id":"1","isCorrect":true,"created_at":"2024-01-01T00:00:00.000Z"}\n');
+
+    const bad = await request(app)
+      .get('/api/export/answers?question_id=nope')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toBe('question_id must be a valid id');
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { token, query } = require('./helpers');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const Answer = require('../src/models/Answer');
+const RetentionRun = require('../src/models/RetentionRun');
+const rollups = require('../src/services/rollups');
+const retention = require('../src/services/retention');
+const metricsCache = require('../src/services/metricsCache');
+const liveMetrics = require('../src/services/liveMetrics');
+
+const at = (iso) => new Date(iso);
+
+describe('data retention', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    retention.loadSettings({});
+  });
+
+  it('reads per-collection settings and ignores invalid ones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const settings = retention.loadSettings({
+      RETENTION_USER_EVENTS_DAYS: '90',
+      RETENTION_EVENTS_DAYS: '30',
+      RETENTION_EVENTS_MODE: 'ttl',
+      RETENTION_ANSWERS_DAYS: '-1',
+      RETENTION_PURGE_INTERVAL_MS: '0',
+    });
+    expect(settings.map(({ target, days, mode, compact }) => [target.name, days, mode, compact])).toEqual([
+      ['user_events', 90, 'delete', true],
+      ['events', 30, 'ttl', false],
+      ['answers', 0, 'archive', false],
+    ]);
+    expect(retention.intervalMs).toBe(0);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+
+    // Deleting answers would hand attempts back to users: answers can only be archived
+    expect(retention.loadSettings({ RETENTION_ANSWERS_DAYS: '7' })[2]).toMatchObject({ days: 7, mode: 'archive' });
+    expect(retention.loadSettings({ RETENTION_ANSWERS_DAYS: '7', RETENTION_ANSWERS_MODE: 'delete' })[2])
+      .toMatchObject({ days: 0 });
+    expect(console.warn).toHaveBeenLastCalledWith(expect.stringMatching(/answers: .*mode one of archive$/));
+  });
+
+  it('compacts user events into rollups, then deletes rows before the day-aligned cutoff', async () => {
+    retention.loadSettings({ RETENTION_USER_EVENTS_DAYS: '30', RETENTION_ANSWERS_DAYS: '7' });
+    jest.spyOn(UserEvent, 'findOne').mockReturnValue(query({ timestamp: at('2023-11-20T08:00:00Z') }));
+    const backfill = jest.spyOn(rollups, 'backfill').mockResolvedValue({ days: 12 });
+    const deleteEvents = jest.spyOn(UserEvent, 'deleteMany').mockResolvedValue({ deletedCount: 500 });
+    const rows = [{ _id: 'a1' }, { _id: 'a2' }];
+    const answers = { sort: () => answers, limit: () => answers, lean: async () => rows };
+    const findAnswers = jest.spyOn(Answer, 'find').mockReturnValue(answers);
+    const insertMany = jest.fn(async () => ({}));
+    const archiveOf = jest.spyOn(mongoose.connection, 'collection').mockReturnValue({ insertMany });
+    const deleteAnswers = jest.spyOn(Answer, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    const create = jest.spyOn(RetentionRun, 'create').mockImplementation(async (doc) => ({ toObject: () => doc }));
+    const clearCache = jest.spyOn(metricsCache, 'clear');
+    const hydrate = jest.spyOn(liveMetrics, 'hydrate').mockResolvedValue();
+
+    const runs = await retention.run({ trigger: 'manual', now: at('2024-01-01T15:30:00Z') });
+
+    expect(backfill).toHaveBeenCalledWith({ from: at('2023-11-20T08:00:00Z'), to: at('2023-12-02T00:00:00Z') });
+    expect(deleteEvents).toHaveBeenCalledWith({ timestamp: { $lt: at('2023-12-02T00:00:00Z') } });
+    expect(findAnswers).toHaveBeenCalledWith({ created_at: { $lt: at('2023-12-25T00:00:00Z') } });
+    expect(archiveOf).toHaveBeenCalledWith('answers_archive');
+    expect(insertMany).toHaveBeenCalledWith(rows, { ordered: false });
+    expect(deleteAnswers).toHaveBeenCalledWith({ _id: { $in: ['a1', 'a2'] } });
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(runs.map((r) => [r.target, r.trigger, r.compacted_days, r.deleted, r.archived, r.error])).toEqual([
+      ['user_events', 'manual', 12, 500, 0, null],
+      ['answers', 'manual', 0, 0, 2, null],
+    ]);
+    // Cached metrics and live counters must not keep counting purged rows
+    expect(clearCache).toHaveBeenCalled();
+    expect(hydrate).toHaveBeenCalled();
+  });
+
+  it('keeps the rows when compaction fails and records the error', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    retention.loadSettings({ RETENTION_USER_EVENTS_DAYS: '30' });
+    jest.spyOn(UserEvent, 'findOne').mockReturnValue(query({ timestamp: at('2023-11-20T08:00:00Z') }));
+    jest.spyOn(rollups, 'backfill').mockRejectedValue(new Error('boom'));
+    const deleteEvents = jest.spyOn(UserEvent, 'deleteMany');
+    jest.spyOn(RetentionRun, 'create').mockImplementation(async (doc) => ({ toObject: () => doc }));
+
+    const [run] = await retention.run({ now: at('2024-01-01T00:00:00Z') });
+    expect(deleteEvents).not.toHaveBeenCalled();
+    expect(run).toMatchObject({ target: 'user_events', trigger: 'schedule', deleted: 0, error: 'boom' });
+  });
+
+  it('GET /api/admin/retention shows settings and the last run (admin only)', async () => {
+    retention.loadSettings({ RETENTION_USER_EVENTS_DAYS: '30', RETENTION_ANSWERS_DAYS: '7', RETENTION_ANSWERS_MODE: 'archive' });
+    const lastRun = { target: 'user_events', mode: 'delete', deleted: 500 };
+    jest.spyOn(RetentionRun, 'findOne').mockImplementation(({ target }) => query(target === 'user_events' ? lastRun : null));
+
+    const denied = await request(app).get('/api/admin/retention').set('Authorization', `Bearer ${token('user')}`);
+    expect(denied.status).toBe(403);
+
+    const res = await request(app).get('/api/admin/retention').set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ purge_interval_ms: 3600000, running: false });
+    expect(res.body.collections).toEqual([
+      {
+        name: 'user_events', collection: 'userevents', field: 'timestamp', days: 30, enabled: true, mode: 'delete',
+        compact: true, archive_collection: null, last_run: lastRun,
+      },
+      {
+        name: 'events', collection: 'events', field: 'timestamp', days: 0, enabled: false, mode: 'delete',
+        compact: false, archive_collection: null, last_run: null,
+      },
+      {
+        name: 'answers', collection: 'answers', field: 'created_at', days: 7, enabled: true, mode: 'archive',
+        compact: false, archive_collection: 'answers_archive', last_run: null,
+      },
+    ]);
+  });
+
+  it('POST /api/admin/retention/run rejects overlapping runs', async () => {
+    retention.running = true;
+    try {
+      const res = await request(app).post('/api/admin/retention/run').set('Authorization', `Bearer ${token('admin')}`);
+      expect(res.status).toBe(409);
+    } finally {
+      retention.running = false;
+    }
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const { httpError, badRequest, handleHttpError } = require('../src/middleware');
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('http errors', () => {
+  it('builds errors with a status and extra fields', () => {
+    const err = httpError(429, 'Slow down', { retryAfter: 5 });
+    expect(err).toBeInstanceOf(Error);
+    expect(err).toMatchObject({ statusCode: 429, message: 'Slow down', retryAfter: 5 });
+    expect(badRequest('Nope').statusCode).toBe(400);
+  });
+
+  it('answers client errors and forwards the rest', () => {
+    const res = mockRes();
+    const next = jest.fn();
+    handleHttpError(httpError(409, 'Busy'), res, next);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Busy' });
+
+    const validation = Object.assign(new Error('Quiz validation failed'), { name: 'ValidationError' });
+    handleHttpError(validation, res, next);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+
+    const failure = new Error('db down');
+    handleHttpError(failure, res, next);
+    handleHttpError(httpError(500, 'boom'), res, next);
+    expect(next.mock.calls).toEqual([[failure], [expect.objectContaining({ statusCode: 500 })]]);
+  });
+});
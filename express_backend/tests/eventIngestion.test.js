@@ -0,0 +1,82 @@
+'use strict';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { USER_ID: userId, token, query } = require('./helpers');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const Event = require('../src/models/Event');
+const User = require('../src/models/User');
+const broadcaster = require('../src/services/broadcaster');
+const eventTypes = require('../src/services/eventTypes');
+const eventIngestion = require('../src/services/eventIngestion');
+
+describe('event ingestion', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('attributes client events to the authenticated user only', () => {
+    const spoofed = eventIngestion.normalize({ username: 'a', user_id: userId, event_type: 'click' }, { source: 'api' });
+    expect(spoofed.doc.user_id).toBeUndefined();
+    expect(spoofed.doc.username).toBe('a');
+
+    const authed = eventIngestion.normalize({ event_type: 'click' }, { source: 'api', principal: { id: userId, username: 'user' } });
+    expect(authed.doc).toMatchObject({ user_id: userId, username: 'user', source: 'api', meta: {} });
+
+    expect(eventIngestion.normalize({ username: 'a', event_type: 'click', meta: [] }).error).toBe('properties must be an object');
+  });
+
+  it('stores POST /api/events in the canonical store and announces it', async () => {
+    jest.spyOn(UserEvent.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    const publish = jest.spyOn(broadcaster, 'publish').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', `Bearer ${token('user')}`)
+      .send({ event_type: 'click', meta: { target: 'nav' } });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ user_id: userId, username: 'user', event_type: 'click', source: 'api' });
+    expect(publish.mock.calls.map((c) => c[0])).toEqual(['user_event_created', 'new_event', 'metrics_update']);
+  });
+
+  it('rejects invalid tokens on the events endpoints', async () => {
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', 'Bearer nope')
+      .send({ username: 'a', event_type: 'click' });
+    expect(res.status).toBe(401);
+  });
+
+  it('copies legacy events idempotently and registers their types', async () => {
+    const legacyId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    jest.spyOn(eventTypes, 'refresh').mockResolvedValue();
+    const create = jest.spyOn(eventTypes, 'create').mockImplementation(async ({ name }) => {
+      if (name !== name.toLowerCase()) throw new Error('invalid');
+      eventTypes.types.set(name, { name });
+      return { name };
+    });
+    jest.spyOn(Event, 'distinct').mockResolvedValue(['click', 'page_view', 'Bad Type']);
+    jest.spyOn(Event, 'find')
+      .mockReturnValueOnce(query([
+        { _id: legacyId, username: 'alice', event_type: 'page_view', timestamp: new Date('2024-01-01T00:00:00Z') },
+        { _id: otherId, username: 'bob', event_type: 'Bad Type', timestamp: new Date('2024-01-01T00:00:00Z') },
+      ]))
+      .mockReturnValueOnce(query([]));
+    jest.spyOn(User, 'find').mockReturnValue(query([{ _id: userId, username: 'alice' }]));
+    const bulkWrite = jest.spyOn(UserEvent, 'bulkWrite').mockResolvedValue({ upsertedCount: 1 });
+
+    try {
+      const summary = await eventIngestion.migrateLegacyEvents();
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(summary).toMatchObject({ scanned: 2, migrated: 1, already_migrated: 0, skipped: 1, registered_types: ['page_view'] });
+      const [ops] = bulkWrite.mock.calls[0];
+      expect(ops).toHaveLength(1);
+      expect(ops[0].updateOne.filter).toEqual({ legacy_event_id: legacyId });
+      expect(ops[0].updateOne.update.$setOnInsert).toMatchObject({ user_id: userId, username: 'alice', source: 'legacy' });
+    } finally {
+      eventTypes.types.delete('page_view');
+    }
+  });
+});
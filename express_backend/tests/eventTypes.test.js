@@ -0,0 +1,115 @@
+'use strict';
+
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const EventType = require('../src/models/EventType');
+const UserEvent = require('../src/models/UserEvent');
+const eventTypes = require('../src/services/eventTypes');
+const jsonSchema = require('../src/services/jsonSchema');
+
+describe('jsonSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['position'],
+    additionalProperties: false,
+    properties: {
+      position: { type: 'integer', minimum: 0 },
+      quality: { enum: ['sd', 'hd'] },
+    },
+  };
+
+  it('validates meta against the supported subset', () => {
+    expect(jsonSchema.checkSchema(schema)).toBeNull();
+    expect(jsonSchema.validate(schema, { position: 3, quality: 'hd' })).toBeNull();
+    expect(jsonSchema.validate(schema, {})).toBe('meta.position is required');
+    expect(jsonSchema.validate(schema, { position: 1.5 })).toBe('meta.position must be of type integer');
+    expect(jsonSchema.validate(schema, { position: 1, extra: true })).toBe('meta.extra is not allowed');
+  });
+
+  it('does not resolve meta keys to Object.prototype members', () => {
+    expect(jsonSchema.validate(schema, { position: 1, constructor: 1 })).toBe('meta.constructor is not allowed');
+    expect(jsonSchema.validate(schema, JSON.parse('{ "position": 1, "__proto__": 1 }'))).toBe('meta.__proto__ is not allowed');
+    expect(jsonSchema.validate({ type: 'object', required: ['toString'] }, {})).toBe('meta.toString is required');
+  });
+
+  it('rejects schemas with unsupported keywords', () => {
+    expect(jsonSchema.checkSchema({ type: 'object', oneOf: [] })).toMatch(/oneOf is not a supported/);
+    expect(jsonSchema.checkSchema({ type: 'date' })).toMatch(/type must be one of/);
+  });
+});
+
+describe('event type registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    eventTypes.types.delete('video_play');
+  });
+
+  it('knows the built-in types before Mongo is loaded', () => {
+    ['signup', 'login', 'answer', 'quiz_finish'].forEach((name) => expect(eventTypes.has(name)).toBe(true));
+    expect(new UserEvent({ username: 'a', event_type: 'answer' }).validateSync()).toBeUndefined();
+    expect(new UserEvent({ username: 'a', event_type: 'video_play' }).validateSync().errors.event_type.message).toBe('Unknown event_type "video_play"');
+  });
+
+  it('validates UserEvent meta against a registered schema', async () => {
+    jest.spyOn(EventType.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    await eventTypes.create({ name: 'Video_Play', meta_schema: { type: 'object', required: ['video_id'] } });
+    expect(eventTypes.has('video_play')).toBe(true);
+
+    const bad = new UserEvent({ username: 'a', event_type: 'video_play', meta: {} });
+    await expect(bad.validate()).rejects.toThrow('meta.video_id is required');
+    await expect(new UserEvent({ username: 'a', event_type: 'video_play', meta: { video_id: 'v1' } }).validate()).resolves.toBeUndefined();
+  });
+});
+
+describe('event type routes', () => {
+  it('require the admin role to register types', async () => {
+    const res = await request(app)
+      .post('/api/event-types')
+      .set('Authorization', `Bearer ${token('user')}`)
+      .send({ name: 'video_play' });
+    expect(res.status).toBe(403);
+  });
+
+  it('validate names and schemas', async () => {
+    const badName = await request(app)
+      .post('/api/event-types')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ name: '9lives' });
+    expect(badName.status).toBe(400);
+
+    const badSchema = await request(app)
+      .post('/api/event-types')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ name: 'video_play', meta_schema: { anyOf: [] } });
+    expect(badSchema.status).toBe(400);
+    expect(badSchema.body.error).toMatch(/anyOf/);
+
+    const builtIn = await request(app)
+      .delete('/api/event-types/login')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(builtIn.status).toBe(409);
+  });
+
+  it('list the registry', async () => {
+    const res = await request(app)
+      .get('/api/event-types')
+      .set('Authorization', `Bearer ${token('user')}`);
+    expect(res.status).toBe(200);
+    expect(res.body.map((t) => t.name)).toEqual(expect.arrayContaining(['answer', 'login', 'signup']));
+  });
+
+  it('reject events with unregistered types', async () => {
+    const single = await request(app).post('/api/events').send({ username: 'a', event_type: 'video_play' });
+    expect(single.status).toBe(400);
+    expect(single.body.error).toMatch(/Unknown event_type/);
+
+    const batch = await request(app)
+      .post('/api/events/batch')
+      .send([{ username: 'a', event_type: 'video_play' }]);
+    expect(batch.status).toBe(400);
+    expect(batch.body.results[0].error).toMatch(/Unknown event_type/);
+  });
+});
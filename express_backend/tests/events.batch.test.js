@@ -0,0 +1,62 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+
+describe('POST /api/events/batch validation', () => {
+  it('returns 400 for an empty body', async () => {
+    const res = await request(app)
+      .post('/api/events/batch')
+      .set('Content-Type', 'application/json')
+      .send([]);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBeDefined();
+  });
+
+  it('reports per-item errors when no JSON item is valid', async () => {
+    const res = await request(app)
+      .post('/api/events/batch')
+      .set('Content-Type', 'application/json')
+      .send({ events: [{ username: 'a' }, { username: 'b', event_type: 'click', timestamp: 'not-a-date' }, 42] });
+    expect(res.status).toBe(400);
+    expect(res.body.inserted).toBe(0);
+    expect(res.body.failed).toBe(3);
+    expect(res.body.results.map((r) => r.index)).toEqual([0, 1, 2]);
+    expect(res.body.results.every((r) => r.ok === false)).toBe(true);
+  });
+
+  it('parses NDJSON bodies line by line', async () => {
+    const res = await request(app)
+      .post('/api/events/batch')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"username":"a"}\n{not json}\n');
+    expect(res.status).toBe(400);
+    expect(res.body.failed).toBe(2);
+    expect(res.body.results[1].error).toMatch(/Invalid JSON/);
+  });
+
+  it('accepts JSON batches over the default 100kb body limit', async () => {
+    const events = Array.from({ length: 900 }, (_, i) => ({
+      username: `user-${i}`,
+      event_type: 'click',
+      timestamp: 'not-a-date',
+      meta: { page: 'p'.repeat(60) },
+    }));
+    const res = await request(app)
+      .post('/api/events/batch')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(events));
+    expect(JSON.stringify(events).length).toBeGreaterThan(100 * 1024);
+    expect(res.status).toBe(400);
+    expect(res.body.failed).toBe(900);
+  });
+
+  it('returns 413 for bodies over the batch limit', async () => {
+    const res = await request(app)
+      .post('/api/events/batch')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify([{ username: 'a', event_type: 'click', meta: { blob: 'x'.repeat(6 * 1024 * 1024) } }]));
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBeDefined();
+  });
+});
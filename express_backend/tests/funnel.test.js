@@ -0,0 +1,68 @@
+'use strict';
+
+const request = require('supertest');
+const { query } = require('./helpers');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+
+const alice = '507f1f77bcf86cd799439021';
+const bob = '507f1f77bcf86cd799439022';
+const carol = '507f1f77bcf86cd799439023';
+
+const at = (iso) => new Date(iso);
+
+describe('GET /api/metrics/funnel', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('validates steps and window', async () => {
+    expect((await request(app).get('/api/metrics/funnel')).status).toBe(400);
+    expect((await request(app).get('/api/metrics/funnel?steps=signup')).status).toBe(400);
+    const unknown = await request(app).get('/api/metrics/funnel?steps=signup,teleport');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Unknown event_type "teleport"/);
+    expect((await request(app).get('/api/metrics/funnel?steps=signup,login&window=soon')).status).toBe(400);
+    expect((await request(app).get('/api/metrics/funnel?steps=signup,login&window=365d')).status).toBe(400);
+    const badFilter = await request(app)
+      .get('/api/metrics/funnel')
+      .query({ steps: JSON.stringify(['signup', { event: 'answer', properties: { correct: { $ne: false } } }]) });
+    expect(badFilter.status).toBe(400);
+  });
+
+  it('counts ordered steps within the window from the user timeline index', async () => {
+    const q = query([
+      // index order: user_id asc, timestamp desc
+      // alice: full funnel, login 1h after signup, correct answer 2h after login
+      { user_id: alice, event_type: 'answer', timestamp: at('2024-01-01T03:00:00Z'), meta: { correct: true } },
+      { user_id: alice, event_type: 'answer', timestamp: at('2024-01-01T02:00:00Z'), meta: { correct: false } },
+      { user_id: alice, event_type: 'login', timestamp: at('2024-01-01T01:00:00Z'), meta: {} },
+      { user_id: alice, event_type: 'signup', timestamp: at('2024-01-01T00:00:00Z'), meta: {} },
+      // bob: login before signup does not count, the later one is 3h after signup
+      { user_id: bob, event_type: 'login', timestamp: at('2024-01-02T03:00:00Z'), meta: {} },
+      { user_id: bob, event_type: 'signup', timestamp: at('2024-01-02T00:00:00Z'), meta: {} },
+      { user_id: bob, event_type: 'login', timestamp: at('2024-01-01T23:00:00Z'), meta: {} },
+      // carol: logs in after the 1d window closed
+      { user_id: carol, event_type: 'login', timestamp: at('2024-01-04T00:00:00Z'), meta: {} },
+      { user_id: carol, event_type: 'signup', timestamp: at('2024-01-02T00:00:00Z'), meta: {} },
+    ]);
+    const find = jest.spyOn(UserEvent, 'find').mockReturnValue(q);
+
+    const res = await request(app).get('/api/metrics/funnel').query({
+      steps: JSON.stringify(['signup', 'login', { event: 'answer', properties: { correct: true } }]),
+      window: '1d',
+      from: '2024-01-01T00:00:00Z',
+      to: '2024-01-03T00:00:00Z',
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ users_entered: 3, users_converted: 1, conversion_rate: 0.3333, window_seconds: 86400 });
+    expect(res.body.steps).toEqual([
+      expect.objectContaining({ step: 1, event: 'signup', properties: null, users: 3, conversion_rate: 1, median_seconds_from_previous: null }),
+      expect.objectContaining({ step: 2, event: 'login', users: 2, step_conversion_rate: 0.6667, drop_off: 1, median_seconds_from_previous: 7200 }),
+      expect.objectContaining({ step: 3, event: 'answer', properties: { correct: true }, users: 1, step_conversion_rate: 0.5, median_seconds_from_previous: 7200 }),
+    ]);
+
+    const [match] = find.mock.calls[0];
+    expect(match.event_type).toEqual({ $in: ['signup', 'login', 'answer'] });
+    expect(match.timestamp.$lte).toEqual(at('2024-01-04T00:00:00Z'));
+    expect(q.hint).toHaveBeenCalledWith({ user_id: 1, timestamp: -1 });
+  });
+});
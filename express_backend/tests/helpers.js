@@ -0,0 +1,34 @@
+'use strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+
+const ADMIN_ID = '507f1f77bcf86cd799439011';
+const USER_ID = '507f1f77bcf86cd799439012';
+
+/**
+ * Bearer token for a principal with the given role (admin: ADMIN_ID, anything else: USER_ID).
+ */
+function token(role, { sub = role === 'admin' ? ADMIN_ID : USER_ID, username = role } = {}) {
+  return jwt.sign({ sub, username, role }, process.env.JWT_SECRET);
+}
+
+/**
+ * Chainable Mongoose query stub: select/sort/limit/skip/hint return the stub, lean() resolves to result and its
+ * cursor() (also on the stub itself) returns result for `for await` iteration.
+ */
+function query(result) {
+  const q = {};
+  ['select', 'sort', 'limit', 'skip', 'hint'].forEach((m) => { q[m] = jest.fn(() => q); });
+  q.lean = jest.fn(() => Object.assign(Promise.resolve(result), { cursor: () => result }));
+  q.cursor = jest.fn(() => result);
+  return q;
+}
+
+module.exports = {
+  ADMIN_ID,
+  USER_ID,
+  token,
+  query,
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+const liveMetrics = require('../src/services/liveMetrics');
+
+describe('live metrics counters', () => {
+  beforeEach(() => liveMetrics.reset());
+
+  it('pushes only the counters an event changed', () => {
+    const first = liveMetrics.recordUserEvent({ user_id: 'u1', event_type: 'login' });
+    expect(first.seq).toBe(1);
+    expect(first.delta).toEqual({
+      total_events: 1,
+      event_types: { login: 1 },
+      active_users_current_minute: 1,
+    });
+
+    // Same user again this minute: active users unchanged, so it is not in the delta
+    const second = liveMetrics.recordUserEvent({ user_id: 'u1', event_type: 'click' });
+    expect(second.delta).toEqual({ total_events: 2, event_types: { click: 1 } });
+  });
+
+  it('tracks distinct answerers today', () => {
+    liveMetrics.recordUserEvent({ user_id: 'u1', event_type: 'answer' });
+    const update = liveMetrics.recordUserEvent({ user_id: 'u2', event_type: 'answer' });
+    expect(update.delta.users_answered_today).toBe(2);
+
+    const snap = liveMetrics.snapshot();
+    expect(snap).toMatchObject({
+      seq: 2,
+      total_events: 2,
+      event_types: { answer: 2 },
+      active_users_current_minute: 2,
+      users_answered_today: 2,
+      timezone: 'UTC',
+    });
+  });
+});
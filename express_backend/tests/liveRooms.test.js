@@ -0,0 +1,139 @@
+'use strict';
+
+const http = require('http');
+const { initIO } = require('../src/socket');
+const Question = require('../src/models/Question');
+const broadcaster = require('../src/services/broadcaster');
+const liveRooms = require('../src/services/liveRooms');
+
+const question = {
+  _id: '507f1f77bcf86cd799439021',
+  text: 'Pick one',
+  options: [{ text: 'A' }, { text: 'B' }, { text: 'C' }],
+  correctOptionIndex: 1,
+  archived_at: null,
+};
+
+function answer(userId, selectedOptionIndex) {
+  broadcaster.publish('new_answer', {
+    question_id: question._id,
+    user_id: userId,
+    selectedOptionIndex,
+    isCorrect: selectedOptionIndex === question.correctOptionIndex,
+    created_at: new Date(),
+  }, { questionId: question._id, userId }, { restricted: true });
+}
+
+describe('live quiz rooms', () => {
+  let io;
+
+  beforeAll(() => {
+    io = initIO(http.createServer());
+    liveRooms.start();
+  });
+
+  afterAll(() => {
+    liveRooms.stop();
+    broadcaster.flush();
+    io.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Question, 'findById').mockReturnValue({ lean: async () => ({ ...question }) });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('tallies participants\' new_answer emissions for the open question', async () => {
+    const room = liveRooms.createRoom({ id: 'host' }, { title: 'Class' });
+    liveRooms.addParticipant(room, 'u1', 's1');
+    liveRooms.addParticipant(room, 'u2', 's2');
+    await liveRooms.pushQuestion(room.code, question._id);
+
+    answer('u1', 0);
+    answer('u2', 1);
+    answer('u1', 1); // latest choice replaces the earlier one
+    answer('outsider', 2); // not in the room
+
+    expect(liveRooms.tally(room)).toMatchObject({ status: 'open', counts: [0, 2, 0], total: 2, correct: 2 });
+  });
+
+  it('hides the correct option from participants until revealed', async () => {
+    const room = liveRooms.createRoom({ id: 'host' });
+    liveRooms.addParticipant(room, 'u1', 's1');
+    await liveRooms.pushQuestion(room.code, question._id);
+    expect(liveRooms.participantState(room).question.correctOptionIndex).toBeUndefined();
+
+    liveRooms.closeQuestion(room.code);
+    answer('u1', 0); // after close: ignored
+    expect(liveRooms.tally(room)).toMatchObject({ status: 'closed', total: 0 });
+    expect(liveRooms.participantState(room).question.correctOptionIndex).toBeUndefined();
+
+    liveRooms.reveal(room.code);
+    expect(liveRooms.participantState(room).question.correctOptionIndex).toBe(1);
+    expect(room.history).toHaveLength(1);
+  });
+
+  // Fake socket recording the handlers registerHandlers attaches
+  function fakeSocket(id, userId) {
+    const handlers = {};
+    const socket = {
+      id,
+      data: { user: { id: userId }, isAdmin: false },
+      on: (event, fn) => { handlers[event] = fn; },
+      join: jest.fn(),
+      leave: jest.fn(),
+    };
+    liveRooms.registerHandlers(socket);
+    return handlers;
+  }
+
+  const lastCount = (publish) => publish.mock.calls.filter(([name]) => name === 'live_tally').pop()[1].participants;
+
+  it('drops a participant on live:leave once their last socket leaves', async () => {
+    const room = liveRooms.createRoom({ id: 'host' });
+    await liveRooms.pushQuestion(room.code, question._id);
+    const tab1 = fakeSocket('s1', 'u1');
+    const tab2 = fakeSocket('s2', 'u1');
+    const publish = jest.spyOn(broadcaster, 'publish');
+
+    await tab1['live:join']({ code: room.code }, () => {});
+    await tab2['live:join']({ code: room.code }, () => {});
+    expect(lastCount(publish)).toBe(1);
+
+    await tab1['live:leave']({ code: room.code }, () => {});
+    expect(room.participants.has('u1')).toBe(true); // still joined from the other tab
+    answer('u1', 1);
+    expect(liveRooms.tally(room)).toMatchObject({ total: 1 });
+
+    await tab2['live:leave']({ code: room.code }, () => {});
+    expect(room.participants.has('u1')).toBe(false);
+    expect(publish).toHaveBeenLastCalledWith(
+      'live_tally',
+      expect.objectContaining({ participants: 0 }),
+      null,
+      expect.objectContaining({ key: room.code })
+    );
+  });
+
+  it('drops the participants of disconnected sockets', async () => {
+    const room = liveRooms.createRoom({ id: 'host' });
+    await liveRooms.pushQuestion(room.code, question._id);
+    const alice = fakeSocket('s1', 'u1');
+    const bob = fakeSocket('s2', 'u2');
+    const publish = jest.spyOn(broadcaster, 'publish');
+
+    await alice['live:join']({ code: room.code }, () => {});
+    await bob['live:join']({ code: room.code }, () => {});
+    expect(lastCount(publish)).toBe(2);
+
+    alice.disconnect('transport close');
+    expect(lastCount(publish)).toBe(1);
+    answer('u1', 0); // closed tab: no longer counted
+    expect(liveRooms.tally(room)).toMatchObject({ participants: 1, total: 0 });
+  });
+
+  it('rejects unknown rooms', () => {
+    expect(() => liveRooms.getRoom('NOPE42')).toThrow(/Unknown live room/);
+  });
+});
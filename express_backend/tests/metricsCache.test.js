@@ -0,0 +1,68 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const broadcaster = require('../src/services/broadcaster');
+const eventIngestion = require('../src/services/eventIngestion');
+const metricsCache = require('../src/services/metricsCache');
+
+describe('metrics response cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    metricsCache.clear();
+  });
+
+  it('serves repeated queries from the cache and revalidates with ETag', async () => {
+    const aggregate = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([{ event_type: 'login', count: 3 }]);
+    const before = metricsCache.stats();
+
+    const first = await request(app).get('/api/metrics/event-types?from=2024-01-01&to=2024-01-02');
+    expect(first.status).toBe(200);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(first.headers['cache-control']).toBe('no-cache');
+    expect(first.headers.etag).toBeDefined();
+
+    // Same params in another order share the entry
+    const second = await request(app).get('/api/metrics/event-types?to=2024-01-02&from=2024-01-01');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual([{ event_type: 'login', count: 3 }]);
+
+    const revalidated = await request(app)
+      .get('/api/metrics/event-types?from=2024-01-01&to=2024-01-02')
+      .set('If-None-Match', first.headers.etag);
+    expect(revalidated.status).toBe(304);
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    const after = metricsCache.stats();
+    expect(after.hits - before.hits).toBe(2);
+    expect(after.misses - before.misses).toBe(1);
+    expect(after.not_modified - before.not_modified).toBe(1);
+  });
+
+  it('drops entries of the metrics an announced event affects', async () => {
+    jest.spyOn(broadcaster, 'publish').mockImplementation(() => {});
+    const aggregate = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([]);
+
+    await request(app).get('/api/metrics/event-types');
+    await request(app).get('/api/metrics/event-types');
+    expect(aggregate).toHaveBeenCalledTimes(1);
+
+    eventIngestion.announce([{ event_type: 'click', username: 'a', timestamp: new Date(), source: 'api' }]);
+    const res = await request(app).get('/api/metrics/event-types');
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(aggregate).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache errors', async () => {
+    await request(app).get('/api/metrics/breakdown');
+    const res = await request(app).get('/api/metrics/breakdown');
+    expect(res.status).toBe(400);
+    expect(res.headers['x-cache']).toBeUndefined();
+  });
+
+  it('reports its counters on the health endpoint', async () => {
+    const res = await request(app).get('/health');
+    expect(res.body.metrics_cache).toMatchObject({ enabled: true, ttl_ms: 5000 });
+  });
+});
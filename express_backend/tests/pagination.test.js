@@ -0,0 +1,45 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const { parseLimit, encodeCursor, decodeCursor, cursorFilter, buildPage } = require('../src/services/pagination');
+
+describe('pagination helpers', () => {
+  it('clamps and validates limit', () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit('500')).toBe(100);
+    expect(() => parseLimit('0')).toThrow(/limit/);
+  });
+
+  it('round-trips cursors and builds a tie-breaking filter', () => {
+    const doc = { _id: '507f1f77bcf86cd799439011', created_at: new Date('2025-01-01T00:00:00Z') };
+    const cursor = decodeCursor(encodeCursor(doc, 'created_at'));
+    expect(cursor.t.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(cursor.id).toBe(doc._id);
+    const filter = cursorFilter('created_at', cursor);
+    expect(filter.$or).toHaveLength(2);
+    expect(() => decodeCursor('garbage')).toThrow(/cursor/);
+  });
+
+  it('reports has_more and next_cursor from a limit + 1 fetch', () => {
+    const docs = [1, 2, 3].map((i) => ({ _id: `507f1f77bcf86cd79943901${i}`, created_at: new Date(i * 1000) }));
+    const page = buildPage(docs, 2, 'created_at');
+    expect(page.items).toHaveLength(2);
+    expect(page.page.has_more).toBe(true);
+    expect(decodeCursor(page.page.next_cursor).id).toBe(docs[1]._id);
+    expect(buildPage(docs, 5, 'created_at').page.next_cursor).toBeNull();
+  });
+});
+
+describe('GET /api/questions query validation', () => {
+  it('rejects unknown difficulties', async () => {
+    const res = await request(app).get('/api/questions?difficulty=impossible');
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects malformed cursors', async () => {
+    const res = await request(app).get('/api/questions?cursor=not-a-cursor');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/cursor/);
+  });
+});
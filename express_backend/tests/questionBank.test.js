@@ -0,0 +1,139 @@
+'use strict';
+
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const Question = require('../src/models/Question');
+const metricsCache = require('../src/services/metricsCache');
+const { parseBank, serializeBank, validateItem } = require('../src/services/questionBank');
+
+describe('questionBank parsers', () => {
+  it('parses CSV with quoted fields and reports source lines', () => {
+    const csv = [
+      'text,option_1,option_2,option_3,correctOptionIndex,difficulty,tags',
+      '"What is 2+2, exactly?",3,4,,1,easy,math;arithmetic',
+      '"Multi',
+      'line ""quoted""",a,b,c,2,hard,',
+    ].join('\r\n');
+    const items = parseBank('csv', csv);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ line: 2, text: 'What is 2+2, exactly?', options: ['3', '4'], tags: 'math;arithmetic' });
+    expect(items[1]).toMatchObject({ line: 3, text: 'Multi\nline "quoted"', options: ['a', 'b', 'c'] });
+    expect(validateItem(items[0]).doc.tags).toEqual(['math', 'arithmetic']);
+  });
+
+  it('parses GIFT multiple-choice and true/false questions with directives', () => {
+    const gift = [
+      '$CATEGORY: algebra',
+      '',
+      '// [tag:algebra]',
+      '// [difficulty:medium]',
+      '::Q1:: What is x if x\\=2? {',
+      '  ~1 #no',
+      '  =2',
+      '  ~%0%3',
+      '}',
+      '',
+      'The earth is flat. {F}',
+      '',
+      'Match these {=a -> b =c -> d}',
+    ].join('\n');
+    const items = parseBank('gift', gift);
+    expect(items).toHaveLength(3);
+    expect(items[0]).toMatchObject({
+      line: 5,
+      text: 'What is x if x=2?',
+      options: ['1', '2', '3'],
+      correctOptionIndex: 1,
+      difficulty: 'medium',
+      tags: ['algebra'],
+    });
+    expect(items[1]).toMatchObject({ options: ['True', 'False'], correctOptionIndex: 1 });
+    expect(validateItem(items[2]).error).toMatch(/Only multiple-choice/);
+  });
+
+  it('validates rows with the question rules', () => {
+    expect(validateItem({ text: 'Only one?', options: ['a'], correctOptionIndex: 0 }).error).toMatch(/between 2 and 10/);
+    expect(validateItem({ text: 'Out of range', options: ['a', 'b'], correctOptionIndex: 2 }).error).toMatch(/correctOptionIndex/);
+    expect(validateItem({ text: 'Bad level', options: ['a', 'b'], correctOptionIndex: 0, difficulty: 'insane' }).error).toMatch(/difficulty/);
+    expect(validateItem({ text: 'Fine', options: ['a', 'b'], correctOptionIndex: '1' }).doc.correctOptionIndex).toBe(1);
+  });
+
+  it('round-trips exports through the parsers', () => {
+    const questions = [
+      { text: 'Pick {one}: a, b', options: [{ text: 'a = 1' }, { text: 'b "2"' }], correctOptionIndex: 1, difficulty: 'hard', tags: ['x', 'y'] },
+    ];
+    ['json', 'csv', 'gift'].forEach((format) => {
+      const { body } = serializeBank(format, questions);
+      const [item] = parseBank(format, body);
+      const { doc, error } = validateItem(item);
+      expect(error).toBeUndefined();
+      expect(doc.toObject()).toMatchObject({
+        text: 'Pick {one}: a, b',
+        options: [{ text: 'a = 1' }, { text: 'b "2"' }],
+        correctOptionIndex: 1,
+        difficulty: 'hard',
+        tags: ['x', 'y'],
+      });
+    });
+  });
+
+  it('guards formula-like CSV cells and restores them on import', () => {
+    const questions = [
+      { text: '=HYPERLINK("x")', options: [{ text: '-1' }, { text: '\'=kept' }], correctOptionIndex: 0, tags: [] },
+    ];
+    const { body } = serializeBank('csv', questions);
+    expect(body.split('\r\n')[1]).toBe('"\'=HYPERLINK(""x"")",\'-1,\'\'=kept,0,,');
+    const [item] = parseBank('csv', body);
+    expect(item).toMatchObject({ text: '=HYPERLINK("x")', options: ['-1', '\'=kept'] });
+  });
+});
+
+describe('question bank routes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('require the admin role', async () => {
+    const res = await request(app)
+      .post('/api/questions/import?format=csv')
+      .set('Authorization', `Bearer ${token('user')}`)
+      .type('text/csv')
+      .send('text,option_1,option_2,correctOptionIndex\nQ?,a,b,0\n');
+    expect(res.status).toBe(403);
+  });
+
+  it('dry-runs an import without writing', async () => {
+    const insert = jest.spyOn(Question, 'insertMany');
+    const res = await request(app)
+      .post('/api/questions/import?format=csv&dry_run=true')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .type('text/csv')
+      .send('text,option_1,option_2,correctOptionIndex\nGood one?,a,b,0\nBad one?,a,b,5\n');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ format: 'csv', dry_run: true, inserted: 0, valid: 1, failed: 1 });
+    expect(res.body.results[1]).toMatchObject({ index: 1, line: 3, ok: false });
+    expect(insert).not.toHaveBeenCalled();
+  });
+
+  it('inserts valid rows and reports the rest', async () => {
+    jest.spyOn(Question, 'insertMany').mockResolvedValue([]);
+    const invalidate = jest.spyOn(metricsCache, 'invalidate');
+    const res = await request(app)
+      .post('/api/questions/import')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send([
+        { text: 'Valid question?', options: ['a', 'b'], correctOptionIndex: 0 },
+        { text: 'Missing options?', correctOptionIndex: 0 },
+      ]);
+    expect(res.status).toBe(207);
+    expect(res.body).toMatchObject({ format: 'json', inserted: 1, failed: 1 });
+    expect(res.body.results[0]._id).toEqual(expect.any(String));
+    expect(invalidate).toHaveBeenCalledWith(['questions']);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await request(app)
+      .get('/api/questions/export?format=xml')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(400);
+  });
+});
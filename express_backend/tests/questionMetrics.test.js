@@ -0,0 +1,64 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const Answer = require('../src/models/Answer');
+const Question = require('../src/models/Question');
+const metricsCache = require('../src/services/metricsCache');
+
+describe('per-question metrics validation', () => {
+  it('GET /api/metrics/questions/:id returns 404 for malformed ids', async () => {
+    const res = await request(app).get('/api/metrics/questions/not-an-id');
+    expect(res.status).toBe(404);
+  });
+
+  it('GET /api/metrics/questions/:id validates range parameters first', async () => {
+    const res = await request(app).get('/api/metrics/questions/507f1f77bcf86cd799439011?interval=decade');
+    expect(res.status).toBe(400);
+  });
+
+  it('GET /api/metrics/questions/leaderboard rejects unknown order and bad limits', async () => {
+    const order = await request(app).get('/api/metrics/questions/leaderboard?order=random');
+    expect(order.status).toBe(400);
+    const limit = await request(app).get('/api/metrics/questions/leaderboard?limit=-1');
+    expect(limit.status).toBe(400);
+  });
+});
+
+describe('first attempts', () => {
+  const questionId = '507f1f77bcf86cd799439031';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    metricsCache.clear();
+  });
+
+  function mockAggregate(result) {
+    return jest.spyOn(Answer, 'aggregate').mockReturnValue({ hint: jest.fn().mockResolvedValue(result) });
+  }
+
+  it('GET /api/metrics/questions/:id leaves quiz session answers out of first attempts', async () => {
+    jest.spyOn(Question, 'findById').mockReturnValue({
+      lean: async () => ({ _id: questionId, options: [], created_at: new Date('2024-01-01T00:00:00Z') }),
+    });
+    const aggregate = mockAggregate([{ totals: [], users: [], firstAttempts: [], options: [], series: [] }]);
+    const res = await request(app).get(`/api/metrics/questions/${questionId}?from=2024-01-01&to=2024-01-02`);
+    expect(res.status).toBe(200);
+    const [pipeline] = aggregate.mock.calls[0];
+    // Answers archived by the retention job are still counted
+    expect(pipeline[1].$unionWith).toEqual({ coll: 'answers_archive', pipeline: [pipeline[0]] });
+    const facet = pipeline.find((stage) => stage.$facet).$facet;
+    expect(facet.firstAttempts[0]).toEqual({ $match: { quiz_session_id: { $exists: false } } });
+  });
+
+  it('GET /api/metrics/questions/leaderboard skips quiz session answers when finding first attempts', async () => {
+    // No index hint: the range match has no question_id to walk { question_id, created_at } with
+    const aggregate = jest.spyOn(Answer, 'aggregate').mockResolvedValue([]);
+    const res = await request(app).get('/api/metrics/questions/leaderboard?basis=first');
+    expect(res.status).toBe(200);
+    const [pipeline] = aggregate.mock.calls[0];
+    const { first } = pipeline.find((stage) => stage.$group && stage.$group.first).$group;
+    expect(first.$min.$cond[0]).toEqual({ $gt: ['$quiz_session_id', null] });
+    expect(first.$min.$cond[1]).toBe('$$REMOVE');
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const Question = require('../src/models/Question');
+const metricsCache = require('../src/services/metricsCache');
+
+describe('Question CRUD routes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('require authentication', async () => {
+    const res = await request(app).delete('/api/questions/507f1f77bcf86cd799439013');
+    expect(res.status).toBe(401);
+  });
+
+  it('require the admin role', async () => {
+    const res = await request(app)
+      .patch('/api/questions/507f1f77bcf86cd799439013')
+      .set('Authorization', `Bearer ${token('user')}`)
+      .send({ text: 'x' });
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 for malformed ids', async () => {
+    const res = await request(app)
+      .get('/api/questions/not-an-id')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Question not found');
+  });
+
+  it('validates update bodies before loading the question', async () => {
+    const put = await request(app)
+      .put('/api/questions/507f1f77bcf86cd799439013')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ text: 'Only text' });
+    expect(put.status).toBe(400);
+
+    const patch = await request(app)
+      .patch('/api/questions/507f1f77bcf86cd799439013')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ options: [{ text: 'one' }] });
+    expect(patch.status).toBe(400);
+    expect(patch.body.error).toMatch(/two options/);
+  });
+
+  it('drop cached question metrics after updates and archiving', async () => {
+    const doc = new Question({ text: 'Old?', options: [{ text: 'a' }, { text: 'b' }], correctOptionIndex: 0 });
+    jest.spyOn(Question, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Question.prototype, 'save').mockImplementation(function save() { return Promise.resolve(this); });
+    const invalidate = jest.spyOn(metricsCache, 'invalidate');
+
+    const patch = await request(app)
+      .patch(`/api/questions/${doc._id}`)
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ text: 'New?' });
+    expect(patch.status).toBe(200);
+    expect(invalidate).toHaveBeenCalledWith(['questions']);
+
+    invalidate.mockClear();
+    const del = await request(app)
+      .delete(`/api/questions/${doc._id}`)
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(del.status).toBe(200);
+    expect(invalidate).toHaveBeenCalledWith(['questions']);
+  });
+});
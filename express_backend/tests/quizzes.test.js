@@ -0,0 +1,88 @@
+'use strict';
+
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const Answer = require('../src/models/Answer');
+const Question = require('../src/models/Question');
+const QuizSession = require('../src/models/QuizSession');
+const quizSessions = require('../src/services/quizSessions');
+
+describe('quiz routes validation', () => {
+  it('POST /api/quizzes requires authentication', async () => {
+    const res = await request(app).post('/api/quizzes').send({ title: 'Quiz' });
+    expect(res.status).toBe(401);
+  });
+
+  it('POST /api/quizzes validates the body before touching questions', async () => {
+    const missing = await request(app)
+      .post('/api/quizzes')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ title: 'Quiz' });
+    expect(missing.status).toBe(400);
+
+    const badIds = await request(app)
+      .post('/api/quizzes')
+      .set('Authorization', `Bearer ${token('admin')}`)
+      .send({ title: 'Quiz', question_ids: ['nope'] });
+    expect(badIds.status).toBe(400);
+    expect(badIds.body.error).toMatch(/question_ids/);
+  });
+
+  it('returns 404 for malformed quiz and session ids', async () => {
+    expect((await request(app).get('/api/quizzes/not-an-id')).status).toBe(404);
+    expect((await request(app).get('/api/metrics/quizzes/not-an-id')).status).toBe(404);
+    const session = await request(app)
+      .post('/api/quiz-sessions/not-an-id/finish')
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(session.status).toBe(404);
+  });
+});
+
+describe('quiz session windows', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  it('honours opens_at / closes_at', () => {
+    expect(quizSessions.isOpen({}, now)).toBe(true);
+    expect(quizSessions.isOpen({ opens_at: new Date('2025-01-02T00:00:00Z') }, now)).toBe(false);
+    expect(quizSessions.isOpen({ closes_at: new Date('2025-01-01T12:00:00Z') }, now)).toBe(false);
+  });
+
+  it('caps the time limit at the closing time', () => {
+    expect(quizSessions.deadlineFor({}, now)).toBeNull();
+    expect(quizSessions.deadlineFor({ time_limit_seconds: 600 }, now).toISOString()).toBe('2025-01-01T12:10:00.000Z');
+    expect(quizSessions.deadlineFor({ time_limit_seconds: 600, closes_at: new Date('2025-01-01T12:05:00Z') }, now).toISOString())
+      .toBe('2025-01-01T12:05:00.000Z');
+  });
+});
+
+describe('quiz session answers', () => {
+  const questionId = '507f1f77bcf86cd799439031';
+  const quiz = { _id: '507f1f77bcf86cd799439041', question_ids: [questionId] };
+  const session = { _id: '507f1f77bcf86cd799439051', quiz_id: quiz._id, user_id: '507f1f77bcf86cd799439011', status: 'in_progress' };
+  const lean = (doc) => ({ lean: async () => doc });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects archived questions like POST /api/answers does', async () => {
+    jest.spyOn(Question, 'findById').mockReturnValue(lean({ _id: questionId, options: [{}, {}], archived_at: new Date() }));
+    const claim = jest.spyOn(QuizSession, 'findOneAndUpdate');
+    await expect(quizSessions.answer(session, quiz, { question_id: questionId, selectedOptionIndex: 0 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Question is archived' });
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  it('releases the claimed question when the answer cannot be saved', async () => {
+    jest.spyOn(Question, 'findById').mockReturnValue(lean({ _id: questionId, options: [{}, {}], correctOptionIndex: 1 }));
+    jest.spyOn(QuizSession, 'findOneAndUpdate').mockResolvedValue({ ...session, responses: [{ question_id: questionId }] });
+    jest.spyOn(Answer.prototype, 'save').mockRejectedValue(new Error('write failed'));
+    const release = jest.spyOn(QuizSession, 'updateOne').mockResolvedValue({});
+
+    await expect(quizSessions.answer(session, quiz, { question_id: questionId, selectedOptionIndex: 1 }))
+      .rejects.toThrow('write failed');
+    expect(release).toHaveBeenCalledWith(
+      { _id: session._id },
+      { $pull: { responses: { question_id: questionId } }, $inc: { correct_count: -1 } }
+    );
+  });
+});
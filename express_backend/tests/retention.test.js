@@ -0,0 +1,56 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const UserEvent = require('../src/models/UserEvent');
+
+const at = (iso) => new Date(iso);
+
+describe('GET /api/metrics/retention', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('validates interval, periods and event', async () => {
+    expect((await request(app).get('/api/metrics/retention?interval=hour')).status).toBe(400);
+    expect((await request(app).get('/api/metrics/retention?periods=0')).status).toBe(400);
+    const unknown = await request(app).get('/api/metrics/retention?event=teleport');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Unknown event_type/);
+  });
+
+  it('reports weekly cohorts with retained users per period', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue([
+      { _id: at('2024-01-01T00:00:00Z'), users: 4 },
+      { _id: at('2024-01-08T00:00:00Z'), users: 2 },
+    ]);
+    const active = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([
+      { _id: { cohort: at('2024-01-01T00:00:00Z'), period: at('2024-01-01T00:00:00Z') }, users: 4 },
+      { _id: { cohort: at('2024-01-01T00:00:00Z'), period: at('2024-01-08T00:00:00Z') }, users: 2 },
+      { _id: { cohort: at('2024-01-01T00:00:00Z'), period: at('2024-01-15T00:00:00Z') }, users: 1 },
+      { _id: { cohort: at('2024-01-01T00:00:00Z'), period: at('2024-01-22T00:00:00Z') }, users: 1 },
+      { _id: { cohort: at('2024-01-08T00:00:00Z'), period: at('2024-01-08T00:00:00Z') }, users: 2 },
+      { _id: { cohort: at('2024-01-08T00:00:00Z'), period: at('2024-01-22T00:00:00Z') }, users: 1 },
+    ]);
+
+    const res = await request(app).get('/api/metrics/retention?interval=week&periods=2&event=answer&from=2024-01-01&to=2024-01-14');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ interval: 'week', periods: 2, event: 'answer' });
+    expect(res.body.cohorts).toEqual([
+      { cohort: '2024-01-01', start: '2024-01-01T00:00:00.000Z', size: 4, retained: [4, 2, 1], retention: [1, 0.5, 0.25] },
+      { cohort: '2024-01-08', start: '2024-01-08T00:00:00.000Z', size: 2, retained: [2, 0, 1], retention: [1, 0, 0.5] },
+    ]);
+    expect(res.body.average).toEqual([1, 0.3333, 0.3333]);
+    expect(active.mock.calls[0][0][0].$match.event_type).toBe('answer');
+  });
+
+  it('only returns periods that have started', async () => {
+    jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([]);
+
+    const res = await request(app).get('/api/metrics/retention?interval=day&periods=3');
+    expect(res.status).toBe(200);
+    expect(res.body.cohorts.map((c) => c.retained.length)).toEqual([4, 3, 2, 1]);
+    expect(res.body.cohorts[3].retention).toEqual([null]);
+    expect(res.body.average).toEqual([null, null, null, null]);
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const EventRollup = require('../src/models/EventRollup');
+const RollupState = require('../src/models/RollupState');
+const UserEvent = require('../src/models/UserEvent');
+const rollups = require('../src/services/rollups');
+
+const at = (iso) => new Date(iso);
+
+describe('event rollups', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rollups.ready = false;
+    rollups.partialDay = null;
+    rollups.pending = new Map();
+    rollups.staleUnsaved = false;
+  });
+
+  it('increments the minute, hour and day buckets of stored events', () => {
+    const ops = rollups.incrementOps([
+      { event_type: 'click', timestamp: at('2024-01-01T10:15:30Z') },
+      { event_type: 'click', timestamp: at('2024-01-01T10:15:59Z') },
+      { event_type: 'login', timestamp: at('2024-01-01T11:00:00Z') },
+    ]).map((op) => op.updateOne);
+    expect(ops).toHaveLength(6);
+    expect(ops).toEqual(expect.arrayContaining([
+      { filter: { granularity: 'minute', bucket: at('2024-01-01T10:15:00Z'), event_type: 'click' }, update: { $inc: { count: 2 } }, upsert: true },
+      { filter: { granularity: 'hour', bucket: at('2024-01-01T10:00:00Z'), event_type: 'click' }, update: { $inc: { count: 2 } }, upsert: true },
+      { filter: { granularity: 'day', bucket: at('2024-01-01T00:00:00Z'), event_type: 'login' }, update: { $inc: { count: 1 } }, upsert: true },
+    ]));
+  });
+
+  it('serves total-events from the coarsest aligned rollups plus raw edges', async () => {
+    rollups.ready = true;
+    const rollupAgg = jest.spyOn(EventRollup, 'aggregate').mockResolvedValue([{ _id: null, count: 40 }]);
+    const rawAgg = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([{ _id: null, count: 2 }]);
+    const count = jest.spyOn(UserEvent, 'countDocuments');
+
+    const res = await request(app).get('/api/metrics/total-events?from=2024-01-01T09:30:20Z&to=2024-01-03T00:59:59.999Z');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ total: 42 });
+    expect(count).not.toHaveBeenCalled();
+
+    const pieces = rollupAgg.mock.calls[0][0][0].$match.$or;
+    expect(pieces).toEqual([
+      { granularity: 'minute', bucket: { $gte: at('2024-01-01T09:31:00Z'), $lt: at('2024-01-01T10:00:00Z') } },
+      { granularity: 'hour', bucket: { $gte: at('2024-01-01T10:00:00Z'), $lt: at('2024-01-02T00:00:00Z') } },
+      { granularity: 'day', bucket: { $gte: at('2024-01-02T00:00:00Z'), $lt: at('2024-01-03T00:00:00Z') } },
+      { granularity: 'hour', bucket: { $gte: at('2024-01-03T00:00:00Z'), $lt: at('2024-01-03T01:00:00Z') } },
+    ]);
+    expect(rawAgg.mock.calls[0][0][0].$match.$or).toEqual([
+      { timestamp: { $gte: at('2024-01-01T09:30:20Z'), $lt: at('2024-01-01T09:31:00Z') } },
+    ]);
+  });
+
+  it('only uses grains that line up with the series buckets', async () => {
+    rollups.ready = true;
+    const rollupAgg = jest.spyOn(EventRollup, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([]);
+
+    const res = await request(app).get('/api/metrics/total-events?from=2024-01-01T00:00:00%2B05:30&to=2024-01-02T23:59:59.999%2B05:30&interval=day&tz=Asia/Kolkata');
+    expect(res.status).toBe(200);
+    expect(res.body.series).toHaveLength(2);
+    // The total may use any grain; the +05:30 day buckets only line up with minutes
+    const [seriesPipeline] = rollupAgg.mock.calls[rollupAgg.mock.calls.length - 1];
+    expect(seriesPipeline[0].$match.$or).toEqual([
+      { granularity: 'minute', bucket: { $gte: at('2023-12-31T18:30:00Z'), $lt: at('2024-01-02T18:30:00Z') } },
+    ]);
+  });
+
+  it('falls back to raw events until a backfill is recorded', async () => {
+    const rollupAgg = jest.spyOn(EventRollup, 'aggregate');
+    jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([{ event_type: 'login', count: 3 }]);
+
+    const res = await request(app).get('/api/metrics/event-types');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([{ event_type: 'login', count: 3 }]);
+    expect(rollupAgg).not.toHaveBeenCalled();
+  });
+
+  it('backfills closed days only and reads the day it ran on from raw events', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(at('2024-01-03T12:00:00Z').getTime());
+    const first = { sort: () => first, select: () => first, lean: async () => ({ timestamp: at('2024-01-01T05:00:00Z') }) };
+    jest.spyOn(UserEvent, 'findOne').mockReturnValue(first);
+    const dayAgg = jest.spyOn(UserEvent, 'aggregate').mockResolvedValue([]);
+    const state = jest.spyOn(RollupState, 'updateOne').mockResolvedValue({});
+
+    const summary = await rollups.backfill();
+    expect(summary).toMatchObject({ from: at('2024-01-01T00:00:00Z'), to: at('2024-01-03T00:00:00Z'), days: 2, complete: true });
+    expect(dayAgg.mock.calls.map(([pipeline]) => pipeline[0].$match.timestamp.$gte)).toEqual([
+      at('2024-01-01T00:00:00Z'),
+      at('2024-01-02T00:00:00Z'),
+    ]);
+    expect(state.mock.calls[0][1].$set).toMatchObject({ partial_day: at('2024-01-03T00:00:00Z'), stale_at: null });
+
+    const rollupAgg = jest.spyOn(EventRollup, 'aggregate').mockResolvedValue([]);
+    await request(app).get('/api/metrics/total-events?from=2024-01-02T00:00:00Z&to=2024-01-04T23:59:59.999Z');
+    expect(rollupAgg.mock.calls[0][0][0].$match.$or).toEqual([
+      { granularity: 'day', bucket: { $gte: at('2024-01-02T00:00:00Z'), $lt: at('2024-01-03T00:00:00Z') } },
+      { granularity: 'day', bucket: { $gte: at('2024-01-04T00:00:00Z'), $lt: at('2024-01-05T00:00:00Z') } },
+    ]);
+    expect(dayAgg.mock.calls[dayAgg.mock.calls.length - 1][0][0].$match.$or).toEqual([
+      { timestamp: { $gte: at('2024-01-03T00:00:00Z'), $lt: at('2024-01-04T00:00:00Z') } },
+    ]);
+  });
+
+  it('holds increments while the database is unreachable and goes stale when too many pile up', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    rollups.ready = true;
+    await rollups.record([{ event_type: 'click', timestamp: at('2024-01-01T10:15:30Z') }]);
+    expect(rollups.pending.size).toBe(3);
+    expect(rollups.usable()).toBe(true);
+
+    const events = Array.from({ length: 10000 }, (_, i) => ({ event_type: 'click', timestamp: new Date(Date.UTC(2024, 0, 1) + i * 60000) }));
+    await rollups.record(events);
+    expect(rollups.pending.size).toBe(0);
+    expect(rollups.usable()).toBe(false);
+    expect(rollups.staleUnsaved).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/dropped \d+ pending increments/));
+  });
+
+  it('marks rollups stale when an update fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(EventRollup, 'bulkWrite').mockRejectedValue(new Error('boom'));
+    rollups.ready = true;
+    // Held while disconnected (as in these tests), then written by flush()
+    await rollups.record([{ event_type: 'click', timestamp: at('2024-01-01T10:15:30Z') }]);
+    await rollups.flush();
+    expect(rollups.pending.size).toBe(0);
+    expect(rollups.usable()).toBe(false);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/update failed: boom/));
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const request = require('supertest');
+const { token, query } = require('./helpers');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const UserEvent = require('../src/models/UserEvent');
+const sessions = require('../src/services/sessions');
+
+const alice = '507f1f77bcf86cd799439021';
+const bob = '507f1f77bcf86cd799439022';
+const at = (iso) => new Date(iso);
+
+describe('session detection', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('starts a new session after the inactivity gap', () => {
+    const events = ['00:00', '00:10', '00:39', '01:20', '01:21'].map((t) => ({ timestamp: at(`2024-01-01T${t}:00Z`) }));
+    const split = sessions.split(events, 30 * 60 * 1000);
+    expect(split.map((s) => [s.start.toISOString(), s.end.toISOString(), s.events.length])).toEqual([
+      ['2024-01-01T00:00:00.000Z', '2024-01-01T00:39:00.000Z', 3],
+      ['2024-01-01T01:20:00.000Z', '2024-01-01T01:21:00.000Z', 2],
+    ]);
+  });
+
+  it('GET /api/metrics/sessions reports counts and averages per bucket', async () => {
+    const q = query([
+      // index order: user_id asc, timestamp desc
+      { user_id: alice, timestamp: at('2024-01-02T09:05:00Z') },
+      { user_id: alice, timestamp: at('2024-01-01T10:20:00Z') },
+      { user_id: alice, timestamp: at('2024-01-01T10:00:00Z') },
+      { user_id: bob, timestamp: at('2024-01-01T12:00:00Z') },
+    ]);
+    jest.spyOn(UserEvent, 'find').mockReturnValue(q);
+
+    const res = await request(app).get('/api/metrics/sessions?from=2024-01-01&to=2024-01-02T23:59:59Z&gap=30m');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ gap_seconds: 1800, sessions: 3, users: 2, avg_duration_seconds: 400, avg_events_per_session: 1.33 });
+    expect(res.body.series).toEqual([
+      { time: '2024-01-01T00:00:00.000Z', sessions: 2, avg_duration_seconds: 600, avg_events_per_session: 1.5 },
+      { time: '2024-01-02T00:00:00.000Z', sessions: 1, avg_duration_seconds: 0, avg_events_per_session: 1 },
+    ]);
+    expect(q.hint).toHaveBeenCalledWith({ user_id: 1, timestamp: -1 });
+
+    expect((await request(app).get('/api/metrics/sessions?gap=2d')).status).toBe(400);
+  });
+
+  it('GET /api/users/:id/timeline groups one user\'s events into sessions (admin only)', async () => {
+    const forbidden = await request(app)
+      .get(`/api/users/${alice}/timeline`)
+      .set('Authorization', `Bearer ${token('user')}`);
+    expect(forbidden.status).toBe(403);
+
+    jest.spyOn(User, 'findById').mockReturnValue(query({ _id: alice, username: 'alice' }));
+    jest.spyOn(UserEvent, 'find').mockReturnValue(query([
+      { _id: 'e3', event_type: 'answer', timestamp: at('2024-01-02T09:05:00Z'), meta: {}, source: 'server' },
+      { _id: 'e2', event_type: 'answer', timestamp: at('2024-01-01T10:20:00Z'), meta: {}, source: 'server' },
+      { _id: 'e1', event_type: 'login', timestamp: at('2024-01-01T10:00:00Z'), meta: {}, source: 'server' },
+    ]));
+
+    const res = await request(app)
+      .get(`/api/users/${alice}/timeline?from=2024-01-01&to=2024-01-03&limit=2`)
+      .set('Authorization', `Bearer ${token('admin')}`);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ user_id: alice, username: 'alice', truncated: true });
+    expect(res.body.sessions).toEqual([
+      expect.objectContaining({ start: '2024-01-02T09:05:00.000Z', event_count: 1, duration_seconds: 0 }),
+      expect.objectContaining({ start: '2024-01-01T10:20:00.000Z', event_count: 1 }),
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const { roomsFor, subscriptionRooms, metricsAffectedBy, FIREHOSE_ROOM } = require('../src/socket');
+
+describe('socket room targeting', () => {
+  it('always includes the firehose room', () => {
+    expect(roomsFor()).toEqual([FIREHOSE_ROOM, `admin/${FIREHOSE_ROOM}`]);
+  });
+
+  it('targets both public and admin scopes for aggregate emissions', () => {
+    expect(roomsFor({ eventType: 'answer', metrics: ['total-events'] })).toEqual([
+      FIREHOSE_ROOM,
+      'event_type:answer',
+      'metric:total-events',
+      `admin/${FIREHOSE_ROOM}`,
+      'admin/event_type:answer',
+      'admin/metric:total-events',
+    ]);
+  });
+
+  it('limits restricted emissions to admin rooms and the owning user', () => {
+    expect(roomsFor({ questionId: 'q1', userId: 'u1' }, { restricted: true })).toEqual([
+      `admin/${FIREHOSE_ROOM}`,
+      'admin/question:q1',
+      'admin/user:u1',
+      'user:u1',
+    ]);
+  });
+
+  it('does not count the own user room of a regular socket as a subscription', () => {
+    const socket = {
+      id: 'sock1',
+      data: { user: { id: 'u1' }, isAdmin: false },
+      rooms: new Set(['sock1', FIREHOSE_ROOM, 'user:u1', 'event_type:answer', 'live:ABC123']),
+    };
+    expect(subscriptionRooms(socket)).toEqual(['event_type:answer']);
+
+    const admin = {
+      id: 'sock2',
+      data: { user: { id: 'a1' }, isAdmin: true },
+      rooms: new Set(['sock2', `admin/${FIREHOSE_ROOM}`, 'admin/user:a1']),
+    };
+    expect(subscriptionRooms(admin)).toEqual(['user:a1']);
+  });
+
+  it('lists metrics affected by specific event types', () => {
+    expect(metricsAffectedBy('answer')).toContain('users-answered-today');
+    expect(metricsAffectedBy('signup')).toContain('signups-per-day');
+    expect(metricsAffectedBy('login')).not.toContain('signups-per-day');
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const request = require('supertest');
+const app = require('../src/app');
+const UserEvent = require('../src/models/UserEvent');
+const {
+  parseTimeRange,
+  listBuckets,
+  zeroFill,
+  truncateDate,
+  resolveTimezone,
+  formatInstant,
+  formatBucketLabel,
+} = require('../src/services/timeRange');
+
+describe('timeRange helpers', () => {
+  it('parses from/to/interval and rejects invalid input', () => {
+    const range = parseTimeRange({ from: '2025-01-01T00:00:00Z', to: '2025-01-02T00:00:00Z', interval: 'HOUR' });
+    expect(range.interval).toBe('hour');
+    expect(range.from.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+
+    expect(() => parseTimeRange({ interval: 'fortnight' })).toThrow(/interval/);
+    expect(() => parseTimeRange({ from: 'nope' })).toThrow(/from/);
+    expect(() => parseTimeRange({ from: '2025-01-02', to: '2025-01-01' })).toThrow(/before/);
+  });
+
+  it('truncates weeks to Monday and months to the first day', () => {
+    const wed = new Date('2025-01-08T15:30:00Z');
+    expect(truncateDate(wed, 'week').toISOString()).toBe('2025-01-06T00:00:00.000Z');
+    expect(truncateDate(wed, 'month').toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('applies IANA timezones to day boundaries and labels', () => {
+    const instant = new Date('2025-03-09T20:00:00Z');
+    expect(truncateDate(instant, 'day', 'Asia/Kolkata').toISOString()).toBe('2025-03-09T18:30:00.000Z');
+    expect(truncateDate(instant, 'day', 'America/Los_Angeles').toISOString()).toBe('2025-03-09T08:00:00.000Z');
+    expect(formatBucketLabel(instant, 'day', 'Asia/Kolkata')).toBe('2025-03-10');
+    expect(formatInstant(instant, 'Asia/Kolkata')).toBe('2025-03-10T01:30:00.000+05:30');
+    expect(() => resolveTimezone('Mars/Olympus')).toThrow(/tz/);
+  });
+
+  it('keeps local midnight bucket starts across DST changes', () => {
+    const buckets = listBuckets(new Date('2025-03-08T12:00:00Z'), new Date('2025-03-10T12:00:00Z'), 'day', 'America/Los_Angeles');
+    expect(buckets.map((b) => formatInstant(b, 'America/Los_Angeles').slice(11))).toEqual([
+      '00:00:00.000-08:00',
+      '00:00:00.000-08:00',
+      '00:00:00.000-07:00',
+    ]);
+  });
+
+  it('zero-fills missing buckets', () => {
+    const buckets = listBuckets(new Date('2025-01-01T00:00:00Z'), new Date('2025-01-03T12:00:00Z'), 'day');
+    expect(buckets).toHaveLength(3);
+    const filled = zeroFill([{ time: new Date('2025-01-02T00:00:00Z'), count: 4 }], buckets);
+    expect(filled.map((pt) => pt.value)).toEqual([0, 4, 0]);
+  });
+});
+
+describe('metrics range validation', () => {
+  it('GET /api/metrics/signups-per-day returns 400 for an unknown interval', async () => {
+    const res = await request(app).get('/api/metrics/signups-per-day?interval=decade');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/interval/);
+  });
+
+  it('GET /api/metrics/event-heatmap returns 400 for an unknown tz', async () => {
+    const res = await request(app).get('/api/metrics/event-heatmap?tz=Not/AZone');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/tz/);
+  });
+});
+
+describe('event heatmap', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // Evaluates the $hour / $dayOfWeek / $subtract expressions of the $group stage the way MongoDB does
+  function evaluate(expr, doc) {
+    if (typeof expr === 'number') return expr;
+    const local = (op) => {
+      const parts = new Intl.DateTimeFormat('en-US', { timeZone: op.timezone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+        .formatToParts(doc[op.date.slice(1)]);
+      return Object.fromEntries(parts.map((p) => [p.type, p.value]));
+    };
+    if (expr.$hour) return Number(local(expr.$hour).hour);
+    if (expr.$dayOfWeek) return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(local(expr.$dayOfWeek).weekday) + 1;
+    if (expr.$subtract) return evaluate(expr.$subtract[0], doc) - evaluate(expr.$subtract[1], doc);
+    throw new Error(`unsupported expression ${JSON.stringify(expr)}`);
+  }
+
+  it('buckets events by hour and day of week in the requested timezone', async () => {
+    // Saturday 23:30 UTC is Sunday 08:30 in Tokyo
+    const docs = [{ timestamp: new Date('2025-01-04T23:30:00Z') }];
+    jest.spyOn(UserEvent, 'aggregate').mockImplementation(async (pipeline) => {
+      const { _id } = pipeline.find((stage) => stage.$group).$group;
+      return docs.map((doc) => ({ hour: evaluate(_id.hour, doc), dow: evaluate(_id.dow, doc), count: 1 }));
+    });
+
+    const res = await request(app).get('/api/metrics/event-heatmap?from=2025-01-01&to=2025-01-08&tz=Asia/Tokyo');
+    expect(res.status).toBe(200);
+    expect(res.body.buckets.filter((b) => b.count)).toEqual([{ dow: 0, hour: 8, count: 1 }]);
+  });
+});
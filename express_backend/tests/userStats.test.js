@@ -0,0 +1,66 @@
+'use strict';
+
+const request = require('supertest');
+const { token } = require('./helpers');
+const app = require('../src/app');
+const Answer = require('../src/models/Answer');
+const userStats = require('../src/services/userStats');
+
+describe('user progress routes', () => {
+  it('require authentication', async () => {
+    const res = await request(app).get('/api/me/stats');
+    expect(res.status).toBe(401);
+  });
+
+  it('GET /api/users/:id/stats requires the admin role', async () => {
+    const res = await request(app)
+      .get('/api/users/507f1f77bcf86cd799439011/stats')
+      .set('Authorization', `Bearer ${token('user')}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('GET /api/me/stats rejects unknown timezones', async () => {
+    const res = await request(app)
+      .get('/api/me/stats?tz=Mars/Olympus')
+      .set('Authorization', `Bearer ${token('user')}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('GET /api/me/answers rejects malformed cursors', async () => {
+    const res = await request(app)
+      .get('/api/me/answers?cursor=nope')
+      .set('Authorization', `Bearer ${token('user')}`);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('userStats.dayStreaks', () => {
+  const day = (s) => new Date(`${s}T00:00:00Z`);
+
+  it('counts consecutive days and the current streak ending today or yesterday', () => {
+    const days = ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-05', '2025-03-06'].map(day);
+    expect(userStats.dayStreaks(days, 'UTC', new Date('2025-03-07T12:00:00Z'))).toEqual({
+      current_days: 2,
+      longest_days: 3,
+      last_active_day: '2025-03-06',
+    });
+    expect(userStats.dayStreaks(days, 'UTC', new Date('2025-03-09T12:00:00Z')).current_days).toBe(0);
+  });
+});
+
+describe('archived answers', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('are read along with live answers for history and stats', async () => {
+    const aggregate = jest.spyOn(Answer, 'aggregate')
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(new Error('no database'));
+    await userStats.history('507f1f77bcf86cd799439012', { limit: 10 });
+    await expect(userStats.stats('507f1f77bcf86cd799439012')).rejects.toThrow('no database');
+
+    aggregate.mock.calls.forEach(([pipeline]) => {
+      expect(pipeline[1].$unionWith).toEqual({ coll: 'answers_archive', pipeline: [pipeline[0]] });
+    });
+    expect(aggregate).toHaveBeenCalledTimes(2);
+  });
+});